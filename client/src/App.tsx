@@ -1,242 +1,433 @@
-import { useMemo, useRef, useState } from "react";
-import * as pdfjsLib from "pdfjs-dist";
-import "pdfjs-dist/build/pdf.worker.min.mjs";
-
-const API_BASE = "http://localhost:8789";
+import { useEffect, useRef, useState } from "react";
+import { API_BASE, fetchJson } from "./api.ts";
+import BatchTable from "./BatchTable.tsx";
+import EvalDashboard from "./EvalDashboard.tsx";
+import ReviewForm from "./ReviewForm.tsx";
+import type {
+  BatchItem,
+  DocSchema,
+  ExtractResult,
+  FieldSchema,
+  Grounding,
+  LlmInfo,
+  Preprocessing,
+  ReviewDocument,
+  StoredDocument,
+} from "./types.ts";
+import { formatMoney, formatValue, graySmall, primaryButton, secondaryButton } from "./ui.ts";
 
 // =============================
 // Types
 // =============================
-type FlightData = {
-  type: "flight";
-  passengerName: string | null;
-  bookingReference: string | null;
-  ticketNumber: string | null;
-  tripType: "one_way" | "round_trip" | null;
-  overallFrom: string | null;
-  overallTo: string | null;
-  departureDate: string | null;
-  returnDate: string | null;
-  currency: string | null;
-  totalPrice: number | null;
+// How a file reaches the model: OCR/text-layer text, page images, or both
+type Pipeline = "ocr" | "vision" | "hybrid";
+
+type ExtractMeta = {
+  input_type: string;
+  ocr_used: boolean;
+  pages?: number;
+  preprocessing?: Preprocessing[] | null;
 };
 
-type HotelData = {
-  type: "hotel";
-  guestName: string | null;
-  hotelName: string | null;
-  receiptNumber: string | null;
-  hotelCity: string | null;
-  checkInDate: string | null;
-  checkOutDate: string | null;
-  currency: string | null;
-  totalPrice: number | null;
+// Stored documents grouped per traveller (GET /api/trips, server/lib/trips.js)
+type TripIssue = { check: string; message: string; documents: number[] };
+
+type Trip = {
+  traveller: string | null;
+  start: string;
+  end: string;
+  origin: string | null;
+  cities: string[];
+  nights: number;
+  documents: { id: number; type: string; source_file: string | null; date: string | null }[];
+  issues: TripIssue[];
+  // reportingAmount is null when a document has no rate (ids in unconverted)
+  totals: {
+    byCurrency: Record<string, number>;
+    reportingCurrency: string;
+    reportingAmount: number | null;
+    unconverted: number[];
+  };
 };
 
-type ExtractResult = FlightData | HotelData;
+type ExtractResponse = {
+  ok?: boolean;
+  error?: string;
+  data?: ExtractResult;
+  records?: ExtractResult[];
+  meta?: ExtractMeta;
+  documents?: StoredDocument[];
+  // Detected document language (Tesseract code, e.g. "deu")
+  language?: string | null;
+  llm?: LlmInfo;
+};
+
+// Queued extraction (POST /api/jobs, GET /api/jobs/:id); stage is set while running
+type Job = {
+  id: string;
+  status: "queued" | "running" | "done" | "failed";
+  stage: "text" | "ocr" | "llm" | null;
+  source_file: string | null;
+  result: ExtractResponse | null;
+  error: string | null;
+};
+
+const JOB_POLL_MS = 1000;
 
 // =============================
 // Helpers
 // =============================
-function formatMoney(currency: string | null, price: number | null) {
-  if (price == null) return "—";
-  if (!currency) return `${price}`;
-  return `${price} ${currency}`;
+// Values the server could not find in the document text are highlighted
+const ungroundedStyle: React.CSSProperties = { background: "#fff3cd", borderRadius: 4, padding: "0 4px" };
+
+function groundingProps(g: Grounding | undefined) {
+  if (!g) return {};
+  if (!g.grounded) return { style: ungroundedStyle, title: "Not found in the document text — double-check" };
+  return { title: `Found: "${g.snippet}"` };
+}
+
+function renderConfidence(c: number | undefined, low: boolean) {
+  if (c == null || !low) return null;
+  return <span style={{ color: "#b00020", fontSize: 12, marginLeft: 4 }}>{Math.round(c * 100)}%</span>;
+}
+
+// Both amounts when the document used another currency than the report
+function formatReportedMoney(r: ExtractResult, currency: unknown, price: unknown) {
+  const original = formatMoney(currency, price);
+  if (price == null || !r.reportingCurrency || r.reportingCurrency === currency) return original;
+  if (r.reportingAmount == null) return `${original} (no ${r.reportingCurrency} rate)`;
+  return `${original} = ${r.reportingAmount} ${r.reportingCurrency} (rate ${r.fxRate}, ${r.fxRateDate})`;
+}
+
+function isSupportedFile(file: File) {
+  return file.type === "application/pdf" || file.type.startsWith("image/");
+}
+
+const BATCH_STORAGE_KEY = "batch";
+
+// Files whose upload was cut off by the reload never got a job
+function loadBatch(): BatchItem[] {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BATCH_STORAGE_KEY) ?? "[]");
+    if (!Array.isArray(saved)) return [];
+    return saved.map((b: BatchItem) =>
+      b.jobId || b.status === "failed" ? b : { ...b, status: "failed", error: "Upload interrupted" }
+    );
+  } catch {
+    return [];
+  }
+}
+
+// Batch item fields for a polled job; a done job's result is the /api/extract-file response
+function jobProgress(job: Job, name: string, schemas: Record<string, DocSchema>): Partial<BatchItem> {
+  if (job.status === "queued") return { status: "queued" };
+  if (job.status === "running") return { status: job.stage ?? "text" };
+  if (job.status === "failed") return { status: "failed", error: job.error ?? "Extraction failed" };
+
+  const data = job.result;
+  if (!data?.ok) return { status: "failed", error: data?.error ?? "Extraction failed" };
+
+  const records = data.records ?? (data.data ? [data.data] : []);
+  const known = (t: string) => Object.keys(schemas).length === 0 || t in schemas;
+  if (records.length === 0 || records.some((r) => typeof r?.type !== "string" || !known(r.type))) {
+    return { status: "failed", error: "Backend returned invalid data (missing type)" };
+  }
+
+  return {
+    status: "done",
+    error: null,
+    records,
+    documents: data.documents ?? [],
+    meta: {
+      name,
+      pages: data.meta?.pages,
+      ocrUsed: data.meta?.ocr_used,
+      preprocessing: data.meta?.preprocessing,
+      language: data.language,
+      llm: data.llm,
+    },
+  };
+}
+
+// Dropped files, walking into dropped folders. Entries must be taken from the
+// DataTransfer before the first await, it is emptied once the event returns.
+async function droppedFiles(dt: DataTransfer): Promise<File[]> {
+  const entries = Array.from(dt.items)
+    .map((item) => item.webkitGetAsEntry())
+    .filter((e): e is FileSystemEntry => e != null);
+  if (entries.length === 0) return Array.from(dt.files);
+
+  const files: File[] = [];
+  const walk = async (entry: FileSystemEntry): Promise<void> => {
+    if (entry.isFile) {
+      files.push(await new Promise<File>((resolve, reject) => (entry as FileSystemFileEntry).file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = (entry as FileSystemDirectoryEntry).createReader();
+      // readEntries hands out a directory in chunks until it returns none
+      for (;;) {
+        const chunk = await new Promise<FileSystemEntry[]>((resolve, reject) => reader.readEntries(resolve, reject));
+        if (chunk.length === 0) break;
+        for (const child of chunk) await walk(child);
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
 }
 
+// Offered in the UI; the server accepts any currency in its rate table
+const REPORTING_CURRENCIES = ["EUR", "USD", "GBP", "CHF", "TRY"];
+
+// Expense report formats (GET /api/export, server/lib/export.js)
+type ExportFormat = "csv" | "xlsx" | "pdf";
+
 // =============================
 // Component
 // =============================
 export default function App() {
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
-  const [result, setResult] = useState<ExtractResult | null>(null);
-  const [fileMeta, setFileMeta] = useState<{ name: string; pages?: number } | null>(null);
+  const [batch, setBatch] = useState<BatchItem[]>(loadBatch);
+  // File whose records are shown below the table
+  const [selectedKey, setSelectedKey] = useState<string | null>(null);
+  const [dragging, setDragging] = useState(false);
+  const [schemas, setSchemas] = useState<Record<string, DocSchema>>({});
+  const [pipeline, setPipeline] = useState<Pipeline>("ocr");
+  const [reportingCurrency, setReportingCurrency] = useState("EUR");
+  const [trips, setTrips] = useState<Trip[] | null>(null);
+  const [exportFormat, setExportFormat] = useState<ExportFormat>("xlsx");
+  const [exportFrom, setExportFrom] = useState("");
+  const [exportTo, setExportTo] = useState("");
+  const [queue, setQueue] = useState<ReviewDocument[] | null>(null);
+  const [review, setReview] = useState<{ document: ReviewDocument; text: string | null } | null>(null);
+  const [showEval, setShowEval] = useState(false);
   const inputRef = useRef<HTMLInputElement | null>(null);
+  // Picked files by batch key, for retries; gone after a reload
+  const filesRef = useRef(new Map<string, File>());
 
   // =============================
   // Backend calls
   // =============================
-  async function callTextExtraction(text: string, source_file: string) {
-    const r = await fetch(`${API_BASE}/api/extract`, {
+  useEffect(() => {
+    fetch(`${API_BASE}/api/schemas`)
+      .then((r) => r.json())
+      .then((data: { schemas?: DocSchema[] }) =>
+        setSchemas(Object.fromEntries((data.schemas ?? []).map((s) => [s.type, s])))
+      )
+      .catch(() => setSchemas({}));
+  }, []);
+
+  // PDFs and images both go to the server, which reads the PDF text layer
+  // or falls back to OCR for scans and images. Each upload is queued as a job
+  // and polled, so slow OCR + LLM runs never hit a request timeout.
+  async function submitFile(file: File) {
+    const form = new FormData();
+    form.append("file", file);
+    // Combined confirmations (flight + hotel, several passengers) give several records
+    form.append("mode", "multi");
+    form.append("segments", "true");
+    // Fare/tax and room/tax/extras line items, checked against the total
+    form.append("breakdown", "true");
+    form.append("pipeline", pipeline);
+    form.append("reportingCurrency", reportingCurrency);
+
+    const submitted = await fetchJson<{ jobs?: Job[] }>(`${API_BASE}/api/jobs`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text, source_file }),
+      body: form,
     });
+    const jobId = submitted.jobs?.[0]?.id;
+    if (!jobId) throw new Error("Backend did not return a job id");
+    return jobId;
+  }
 
-    const textBody = await r.text().catch(() => "");
-    let data: any = null;
-    try {
-      data = textBody ? JSON.parse(textBody) : null;
-    } catch {
-      data = null;
-    }
+  const updateItem = (key: string, patch: Partial<BatchItem>) =>
+    setBatch((current) => current.map((b) => (b.key === key ? { ...b, ...patch } : b)));
+
+  useEffect(() => {
+    localStorage.setItem(BATCH_STORAGE_KEY, JSON.stringify(batch));
+  }, [batch]);
+
+  // Polls every submitted, unfinished job; each round replaces the batch,
+  // which schedules the next round until nothing is left to wait for
+  useEffect(() => {
+    const pending = batch.filter((b) => b.jobId && b.status !== "done" && b.status !== "failed");
+    if (pending.length === 0) return;
+
+    // A round already under way when the batch changes must not apply its results
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const updates = new Map<string, Partial<BatchItem>>();
+      for (const b of pending) {
+        if (cancelled) return;
+        try {
+          const job = (await fetchJson<{ job?: Job }>(`${API_BASE}/api/jobs/${b.jobId}`)).job;
+          updates.set(b.key, job ? jobProgress(job, b.name, schemas) : { status: "failed", error: "Job not found" });
+        } catch (e) {
+          // Network errors (server restarting) are retried on the next round
+          if (!(e instanceof TypeError)) {
+            updates.set(b.key, { status: "failed", error: e instanceof Error ? e.message : "Unexpected error" });
+          }
+        }
+      }
+      if (cancelled) return;
+      setBatch((current) => current.map((b) => (updates.has(b.key) ? { ...b, ...updates.get(b.key) } : b)));
+    }, JOB_POLL_MS);
 
-    if (!r.ok) {
-      throw new Error(data?.error ?? `HTTP ${r.status} ${r.statusText}`);
-    }
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [batch, schemas]);
 
-    if (!data?.ok) {
-      throw new Error(data?.error ?? "Extraction failed");
+  const loadTrips = async () => {
+    setError(null);
+    try {
+      const data = await fetchJson<{ trips?: Trip[] }>(
+        `${API_BASE}/api/trips?reportingCurrency=${encodeURIComponent(reportingCurrency)}`
+      );
+      setTrips(data.trips ?? []);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : "Unexpected error");
     }
+  };
 
-    if (!data.data?.type || !["flight", "hotel"].includes(data.data.type)) {
-      throw new Error("Backend returned invalid data (missing type)");
+  // Every stored document in the date range (transaction dates) as one file,
+  // or just the given documents (the filtered results table)
+  const exportDocuments = async (ids?: number[]) => {
+    setError(null);
+    const params = new URLSearchParams({ format: exportFormat, reportingCurrency });
+    if (ids) {
+      params.set("ids", ids.join(","));
+    } else {
+      if (exportFrom) params.set("from", exportFrom);
+      if (exportTo) params.set("to", exportTo);
     }
 
-    return data.data as ExtractResult;
-  }
-
-  async function callFileOcrExtraction(file: File) {
-    const form = new FormData();
-    form.append("file", file);
-
-    const r = await fetch(`${API_BASE}/api/extract-file`, {
-      method: "POST",
-      body: form,
-    });
-
-    const textBody = await r.text().catch(() => "");
-    let data: any = null;
     try {
-      data = textBody ? JSON.parse(textBody) : null;
-    } catch {
-      data = null;
-    }
-
-    if (!r.ok) {
-      throw new Error(data?.error ?? `HTTP ${r.status} ${r.statusText}`);
+      const r = await fetch(`${API_BASE}/api/export?${params}`);
+      if (!r.ok) {
+        const data = await r.json().catch(() => null);
+        throw new Error(data?.error ?? `HTTP ${r.status} ${r.statusText}`);
+      }
+      const url = URL.createObjectURL(await r.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `expenses.${exportFormat}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : "Unexpected error");
     }
+  };
 
-    if (!data?.ok) {
-      throw new Error(data?.error ?? "OCR extraction failed");
+  // ---------- Review ----------
+  const loadQueue = async () => {
+    setError(null);
+    try {
+      const data = await fetchJson<{ documents?: ReviewDocument[] }>(`${API_BASE}/api/documents?status=pending`);
+      setQueue(data.documents ?? []);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : "Unexpected error");
     }
+  };
 
-    if (!data.data?.type || !["flight", "hotel"].includes(data.data.type)) {
-      throw new Error("Backend returned invalid data (missing type)");
+  const openReview = async (id: number) => {
+    setError(null);
+    try {
+      const data = await fetchJson<{ document: ReviewDocument; text: string | null }>(`${API_BASE}/api/documents/${id}`);
+      setReview({ document: data.document, text: data.text });
+    } catch (e) {
+      setError(e instanceof Error ? e.message : "Unexpected error");
     }
+  };
 
-    return data.data as ExtractResult;
-  }
+  const onReviewSaved = (document: ReviewDocument) => {
+    setReview((r) => r && { ...r, document });
+    if (queue) loadQueue();
+  };
 
   // =============================
   // File handler
   // =============================
-  const onPickFile = async (file: File) => {
-    setLoading(true);
-    setError(null);
-    setResult(null);
-    setFileMeta(null);
-
+  const uploadItem = async (key: string, file: File) => {
     try {
-      // ---------- PDF ----------
-      if (file.type === "application/pdf") {
-        const buf = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: buf }).promise;
-
-        let text = "";
-        for (let i = 1; i <= pdf.numPages; i++) {
-          const page = await pdf.getPage(i);
-          const content = await page.getTextContent();
-          text += content.items
-            .map((it: any) => ("str" in it ? it.str : ""))
-            .join(" ");
-          text += "\n\n";
-        }
-
-        const normalized = text
-          .replace(/\u00A0/g, " ")
-          .replace(/[ \t]+/g, " ")
-          .replace(/\n{3,}/g, "\n\n")
-          .trim();
-
-        setFileMeta({ name: file.name, pages: pdf.numPages });
-
-        if (normalized.length >= 40) {
-          const res = await callTextExtraction(normalized, file.name);
-          setResult(res);
-          return;
-        }
-
-        // fallback → OCR pages (try first N pages, stop on success)
-        const pagesToTry = Math.min(3, pdf.numPages);
-        for (let i = 1; i <= pagesToTry; i++) {
-          try {
-            const page = await pdf.getPage(i);
-            const viewport = page.getViewport({ scale: 2 });
-            const canvas = document.createElement("canvas");
-            const ctx = canvas.getContext("2d");
-            if (!ctx) throw new Error("Canvas unsupported");
-
-            canvas.width = Math.floor(viewport.width);
-            canvas.height = Math.floor(viewport.height);
-
-            const renderTask: any = page.render({ canvasContext: ctx, viewport });
-            if (renderTask && renderTask.promise) {
-              await renderTask.promise;
-            } else {
-              await renderTask;
-            }
-
-            const blob = await new Promise<Blob>((resolve, reject) =>
-              canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("canvas.toBlob failed"))), "image/png")
-            );
-
-            const pageFileName = `${file.name || "document"}.page-${i}.png`;
-            const img = new File([blob], pageFileName, { type: "image/png" });
-
-            try {
-              ctx.clearRect(0, 0, canvas.width, canvas.height);
-            } catch {}
-            canvas.width = 0;
-            canvas.height = 0;
-
-            const res = await callFileOcrExtraction(img);
-            setResult(res);
-            return;
-          } catch (err: any) {
-            setError((prev) => prev ?? (err?.message || String(err)));
-            // continue to try next page
-          }
-        }
-
-        throw new Error(error ?? "OCR fallback failed for the first pages.");
-      }
+      updateItem(key, { jobId: await submitFile(file) });
+    } catch (e) {
+      updateItem(key, { status: "failed", error: e instanceof Error ? e.message : "Unexpected error" });
+    }
+  };
 
-      // ---------- IMAGE ----------
-      if (file.type.startsWith("image/")) {
-        setFileMeta({ name: file.name });
-        const res = await callFileOcrExtraction(file);
-        setResult(res);
-        return;
-      }
+  // Every PDF and image becomes a queued row; uploads go one after another,
+  // the server queue decides how many run at once
+  const onPickFiles = async (files: File[]) => {
+    setError(null);
+    const supported = files.filter(isSupportedFile);
+    if (supported.length < files.length) {
+      setError(`Skipped ${files.length - supported.length} file(s) that are not a PDF or image.`);
+    }
+    if (supported.length === 0) return;
+
+    const now = new Date().toISOString();
+    const items: BatchItem[] = supported.map((file, i) => ({
+      key: `${now}-${i}`,
+      name: file.name,
+      jobId: null,
+      status: "queued",
+      error: null,
+      submittedAt: now,
+      records: [],
+      documents: [],
+      meta: null,
+    }));
+    items.forEach((item, i) => filesRef.current.set(item.key, supported[i]));
+    setBatch((current) => [...current, ...items]);
+    setSelectedKey(items[0].key);
+
+    for (const [i, item] of items.entries()) await uploadItem(item.key, supported[i]);
+  };
 
-      throw new Error("Please upload a PDF or image.");
-    } catch (e: any) {
-      setError(e.message ?? "Unexpected error");
-    } finally {
-      setLoading(false);
+  const retryItem = async (item: BatchItem) => {
+    const file = filesRef.current.get(item.key);
+    if (!file) {
+      setError(`${item.name} is no longer open in this page — choose it again to retry.`);
+      return;
     }
+    setError(null);
+    updateItem(item.key, { jobId: null, status: "queued", error: null, records: [], documents: [], meta: null });
+    await uploadItem(item.key, file);
+  };
+
+  const onDrop = async (e: React.DragEvent) => {
+    e.preventDefault();
+    setDragging(false);
+    await onPickFiles(await droppedFiles(e.dataTransfer));
   };
 
   // Helper to trigger the hidden input
   const triggerFilePicker = () => {
-    if (inputRef.current && !loading) {
+    if (inputRef.current) {
       inputRef.current.click();
     }
   };
 
   const clearAll = () => {
     setError(null);
-    setResult(null);
-    setFileMeta(null);
-    setLoading(false);
+    setBatch([]);
+    setSelectedKey(null);
+    filesRef.current.clear();
     if (inputRef.current) inputRef.current.value = "";
   };
 
+  const selected = batch.find((b) => b.key === selectedKey);
+  const results = selected?.records ?? [];
+  const documents = selected?.documents ?? [];
+  const fileMeta = selected?.meta ?? null;
+
   const downloadResult = () => {
-    if (!result) return;
-    const blob = new Blob([JSON.stringify(result, null, 2)], { type: "application/json" });
+    if (results.length === 0) return;
+    const payload = results.length === 1 ? results[0] : results;
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -250,38 +441,181 @@ export default function App() {
   // =============================
   // Render helpers
   // =============================
-  const renderFlight = (f: FlightData) => (
-    <div style={{ display: "grid", gap: 6, gridTemplateColumns: "1fr 1fr" }}>
-      <div><b>Passenger</b>: {f.passengerName ?? "—"}</div>
-      <div><b>Booking Ref</b>: {f.bookingReference ?? "—"}</div>
-      <div><b>Ticket</b>: {f.ticketNumber ?? "—"}</div>
-      <div><b>Trip Type</b>: {f.tripType ?? "—"}</div>
-      <div><b>From</b>: {f.overallFrom ?? "—"}</div>
-      <div><b>To</b>: {f.overallTo ?? "—"}</div>
-      <div><b>Departure</b>: {f.departureDate ?? "—"}</div>
-      <div><b>Return</b>: {f.returnDate ?? "—"}</div>
-      <div style={{ gridColumn: "1 / -1" }}><b>Total</b>: {formatMoney(f.currency, f.totalPrice)}</div>
-    </div>
+  // Value with its grounding highlight and, when low, its confidence
+  const renderValue = (r: ExtractResult, path: string, content: string) => (
+    <>
+      <span {...groundingProps(r.grounding?.[path])}>{content}</span>
+      {renderConfidence(r.confidence?.[path], !!r.lowConfidenceFields?.includes(path))}
+    </>
   );
 
-  const renderHotel = (h: HotelData) => (
-    <div style={{ display: "grid", gap: 6, gridTemplateColumns: "1fr 1fr" }}>
-      <div><b>Guest</b>: {h.guestName ?? "—"}</div>
-      <div><b>Hotel</b>: {h.hotelName ?? "—"}</div>
-      <div><b>Receipt</b>: {h.receiptNumber ?? "—"}</div>
-      <div><b>City</b>: {h.hotelCity ?? "—"}</div>
-      <div><b>Check In</b>: {h.checkInDate ?? "—"}</div>
-      <div><b>Check Out</b>: {h.checkOutDate ?? "—"}</div>
-      <div style={{ gridColumn: "1 / -1" }}><b>Total</b>: {formatMoney(h.currency, h.totalPrice)}</div>
+  const renderTable = (
+    label: string,
+    items: Record<string, FieldSchema>,
+    rows: Record<string, unknown>[],
+    r: ExtractResult,
+    path: string
+  ) => (
+    <div style={{ marginTop: 8 }}>
+      <b>{label}</b>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, marginTop: 4 }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #eee" }}>
+            {Object.entries(items).map(([k, f]) => (
+              <th key={k}>{f.label ?? k}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i} style={{ borderBottom: "1px solid #f3f3f3" }}>
+              {Object.keys(items).map((k) => (
+                <td key={k}>{renderValue(r, `${path}[${i}].${k}`, formatValue(row?.[k]))}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 
-  const display = useMemo(() => {
-    if (!result) return null;
-    return result.type === "flight"
-      ? { title: "Parsed Flight", content: renderFlight(result as FlightData) }
-      : { title: "Parsed Hotel", content: renderHotel(result as HotelData) };
-  }, [result]);
+  // Every document type renders from its schema: scalar fields in a grid,
+  // money fields with their currency, array fields as tables
+  const renderRecord = (r: ExtractResult, schema: DocSchema, doc?: StoredDocument) => {
+    const fields = Object.entries(schema.fields);
+    const currencyFields = new Set(fields.map(([, f]) => f.money).filter(Boolean));
+
+    return (
+      <div style={{ display: "grid", gap: 6, gridTemplateColumns: "1fr 1fr" }}>
+        {doc && doc.duplicates.length > 0 && (
+          <div
+            style={{
+              gridColumn: "1 / -1",
+              padding: "8px 12px",
+              borderRadius: 6,
+              background: "#fff4e5",
+              color: "#8a4b00",
+              fontSize: 14,
+            }}
+          >
+            <b>Possible duplicate</b>
+            {doc.duplicates.map((d) => (
+              <div key={d.id}>
+                {d.match === "exact" ? "Same file as" : `Same ${d.fields.map((k) => schema.fields[k]?.label ?? k).join(", ")} as`}{" "}
+                document #{d.id}
+                {d.source_file && ` (${d.source_file})`}, uploaded {new Date(d.created_at).toLocaleString()}
+              </div>
+            ))}
+          </div>
+        )}
+        {r.needsReview && (
+          <div
+            style={{
+              gridColumn: "1 / -1",
+              padding: "8px 12px",
+              borderRadius: 6,
+              background: "#fdecea",
+              color: "#b00020",
+              fontSize: 14,
+            }}
+          >
+            <b>Needs review</b>
+            {r.confidence === null && " — read from the image only, no text to check the values against"}
+            {r.lowConfidenceFields && r.lowConfidenceFields.length > 0 && ` — low confidence in ${r.lowConfidenceFields.join(", ")}`}
+            {r.consistency?.issues.map((issue) => (
+              <div key={issue.check}>Does not add up: {issue.message}</div>
+            ))}
+          </div>
+        )}
+        {fields
+          // Optional fields (e.g. the price breakdown) only when the server returned them
+          .filter(([k, f]) => f.type !== "array" && !currencyFields.has(k) && (!f.optional || k in r))
+          .map(([k, f]) => (
+            <div key={k}>
+              <b>{f.label ?? k}</b>: {renderValue(r, k, f.money ? formatReportedMoney(r, r[f.money], r[k]) : formatValue(r[k]))}
+            </div>
+          ))}
+        {fields
+          .filter(([k, f]) => f.type === "array" && f.items && Array.isArray(r[k]) && (r[k] as unknown[]).length > 0)
+          .map(([k, f]) => (
+            <div key={k} style={{ gridColumn: "1 / -1" }}>
+              {renderTable(f.label ?? k, f.items!, r[k] as Record<string, unknown>[], r, k)}
+            </div>
+          ))}
+        {Object.values(r.grounding ?? {}).some((g) => !g.grounded) && (
+          <div style={{ gridColumn: "1 / -1", marginTop: 8, fontSize: 13 }}>
+            <span style={ungroundedStyle}>Highlighted</span> values were not found in the document text — please double-check
+            them.
+          </div>
+        )}
+        {r.normalizations && r.normalizations.length > 0 && (
+          <div style={{ gridColumn: "1 / -1", marginTop: 8, fontSize: 13, color: "#666" }}>
+            <b>Corrected on the server</b>
+            <ul style={{ margin: "4px 0 0", paddingLeft: 18 }}>
+              {r.normalizations.map((n, i) => (
+                <li key={i}>
+                  {n.path}: {JSON.stringify(n.from)} → {JSON.stringify(n.to)} ({n.rule})
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderTrip = (t: Trip) => (
+    <>
+      <div>
+        <b>{t.traveller ?? "Unknown traveller"}</b> — {t.start} to {t.end}
+        {t.cities.length > 0 && ` — ${t.cities.join(", ")}`}
+        {t.origin && ` (from ${t.origin})`} — {t.nights} night(s)
+      </div>
+      <ul style={{ margin: "6px 0", paddingLeft: 20, fontSize: 13 }}>
+        {t.documents.map((d) => (
+          <li key={d.id}>
+            {schemas[d.type]?.label ?? d.type} #{d.id}
+            {d.date && ` — ${d.date}`}
+            {d.source_file && ` (${d.source_file})`}
+          </li>
+        ))}
+      </ul>
+      {t.issues.length > 0 && (
+        <div style={{ padding: "6px 10px", borderRadius: 6, background: "#fdecea", color: "#b00020", fontSize: 13 }}>
+          {t.issues.map((issue, i) => (
+            <div key={i}>{issue.message}</div>
+          ))}
+        </div>
+      )}
+      <div style={{ marginTop: 6, fontSize: 13 }}>
+        <b>Total</b>:{" "}
+        {Object.entries(t.totals.byCurrency)
+          .map(([currency, amount]) => formatMoney(currency, amount))
+          .join(" + ") || "—"}
+        {t.totals.reportingAmount != null
+          ? ` = ${formatMoney(t.totals.reportingCurrency, t.totals.reportingAmount)}`
+          : t.totals.unconverted.length > 0 && ` (no ${t.totals.reportingCurrency} rate for #${t.totals.unconverted.join(", #")})`}
+      </div>
+    </>
+  );
+
+  const displays = results.map((r, i) => {
+    const suffix = results.length > 1 ? ` (${i + 1}/${results.length})` : "";
+    const schema = schemas[r.type];
+    return {
+      title: `Parsed ${schema?.label ?? r.type}${suffix}`,
+      content: schema ? renderRecord(r, schema, documents[i]) : null,
+      record: r,
+    };
+  });
+
+  const exportTable = (ids: number[]) => {
+    if (ids.length === 0) {
+      setError("No extracted documents in the table to export.");
+      return;
+    }
+    exportDocuments(ids);
+  };
 
   // =============================
   // Layout styles
@@ -317,63 +651,44 @@ export default function App() {
     background: "#fafafa",
   };
 
-  const primaryButton: React.CSSProperties = {
-    background: "#0b5fff",
-    color: "white",
-    border: "none",
-    padding: "10px 16px",
-    borderRadius: 6,
-    cursor: loading ? "default" : "pointer",
-    boxShadow: "0 4px 12px rgba(11,95,255,0.18)",
-    marginRight: 8,
-  };
-
-  const secondaryButton: React.CSSProperties = {
-    background: "white",
-    color: "#333",
-    border: "1px solid #ddd",
-    padding: "8px 12px",
-    borderRadius: 6,
-    cursor: "pointer",
-  };
-
-  const graySmall: React.CSSProperties = { color: "#666", fontSize: 13 };
-
   return (
     <div style={wrapperStyle}>
       <div style={cardStyle}>
         <h1 style={{ margin: 0 }}>Travel Receipt Parser</h1>
         <p style={{ marginTop: 6, marginBottom: 18, color: "#555" }}>
-          Upload a PDF or image of your hotel or flight receipt to extract booking details.
+          Upload a PDF or image of your flight, hotel, car rental, train or taxi receipt to extract booking details.
         </p>
 
-        <div style={dropzoneStyle}>
+        <div
+          style={{ ...dropzoneStyle, ...(dragging ? { borderColor: "#0b5fff", background: "#eef4ff" } : {}) }}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={onDrop}
+        >
           <input
             ref={inputRef}
             type="file"
             accept="application/pdf,image/*"
+            multiple
             style={{ display: "none" }}
-            disabled={loading}
             onChange={(e) => {
-              const f = e.target.files?.[0];
-              if (f) onPickFile(f);
+              const files = Array.from(e.target.files ?? []);
+              if (files.length) onPickFiles(files);
               if (e.currentTarget) e.currentTarget.value = "";
             }}
           />
 
           <div style={{ marginBottom: 12 }}>
-            <button style={primaryButton} onClick={triggerFilePicker} disabled={loading}>
-              {loading ? "Processing…" : "Choose file"}
+            <button style={primaryButton} onClick={triggerFilePicker}>
+              Choose files
             </button>
-            <button
-              style={secondaryButton}
-              onClick={clearAll}
-              disabled={loading && !result && !error}
-              title="Clear results and selected file"
-            >
+            <button style={secondaryButton} onClick={clearAll} title="Clear the results table">
               Clear
             </button>
-            {result && (
+            {results.length > 0 && (
               <button
                 style={{ ...secondaryButton, marginLeft: 8 }}
                 onClick={downloadResult}
@@ -382,6 +697,59 @@ export default function App() {
                 Download JSON
               </button>
             )}
+            <button
+              style={{ ...secondaryButton, marginLeft: 8 }}
+              onClick={trips ? () => setTrips(null) : loadTrips}
+              title="Group all uploaded documents into trips per traveller"
+            >
+              {trips ? "Hide trips" : "Trips"}
+            </button>
+            <button
+              style={{ ...secondaryButton, marginLeft: 8 }}
+              onClick={queue ? () => setQueue(null) : loadQueue}
+              title="Documents waiting for review"
+            >
+              {queue ? "Hide review queue" : "Review queue"}
+            </button>
+            <button
+              style={{ ...secondaryButton, marginLeft: 8 }}
+              onClick={() => setShowEval(!showEval)}
+              title="Success rate, failures and latency of logged extraction runs"
+            >
+              {showEval ? "Hide evaluation" : "Evaluation"}
+            </button>
+            <label style={{ ...graySmall, marginLeft: 12 }}>
+              Read with{" "}
+              <select value={pipeline} onChange={(e) => setPipeline(e.target.value as Pipeline)}>
+                <option value="ocr">OCR text</option>
+                <option value="vision">Vision model (image)</option>
+                <option value="hybrid">Hybrid (OCR text + image)</option>
+              </select>
+            </label>
+            <label style={{ ...graySmall, marginLeft: 12 }}>
+              Report in{" "}
+              <select value={reportingCurrency} onChange={(e) => setReportingCurrency(e.target.value)}>
+                {REPORTING_CURRENCIES.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div style={{ ...graySmall, marginBottom: 12 }}>
+            Export all documents from{" "}
+            <input type="date" value={exportFrom} onChange={(e) => setExportFrom(e.target.value)} /> to{" "}
+            <input type="date" value={exportTo} onChange={(e) => setExportTo(e.target.value)} />{" "}
+            <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value as ExportFormat)}>
+              <option value="xlsx">Excel (XLSX)</option>
+              <option value="csv">CSV</option>
+              <option value="pdf">PDF report</option>
+            </select>
+            <button style={{ ...secondaryButton, marginLeft: 8 }} onClick={() => exportDocuments()} title="Download an expense report">
+              Export
+            </button>
           </div>
 
           <div style={graySmall}>
@@ -389,9 +757,16 @@ export default function App() {
               <>
                 Loaded: <b>{fileMeta.name}</b>
                 {fileMeta.pages && ` — ${fileMeta.pages} page(s)`}
+                {fileMeta.ocrUsed && " — OCR"}
+                {fileMeta.preprocessing?.some((p) => p.variant !== "raw") &&
+                  ` (${fileMeta.preprocessing.map((p) => p.variant).join(", ")})`}
+                {fileMeta.language && fileMeta.language !== "eng" && ` — language: ${fileMeta.language}`}
+                {fileMeta.llm &&
+                  ` — ${fileMeta.llm.model}${fileMeta.llm.prompt ? `, prompt ${fileMeta.llm.prompt.version}` : ""}` +
+                    `${fileMeta.llm.attempts > 1 ? ` (${fileMeta.llm.attempts} attempts)` : ""}`}
               </>
             ) : (
-              "No file selected"
+              "Choose or drop files, or whole folders, here"
             )}
           </div>
         </div>
@@ -402,16 +777,82 @@ export default function App() {
           </div>
         )}
 
-        {display && (
+        {batch.length > 0 && (
+          <BatchTable
+            batch={batch}
+            schemas={schemas}
+            selectedKey={selectedKey}
+            exportFormat={exportFormat}
+            onSelect={setSelectedKey}
+            onRetry={retryItem}
+            onReview={openReview}
+            onExport={exportTable}
+          />
+        )}
+
+        {queue && (
           <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
-            <h3 style={{ marginTop: 0 }}>{display.title}</h3>
+            <h3 style={{ marginTop: 0 }}>Review queue</h3>
+            {queue.length === 0 && <div style={graySmall}>Nothing to review.</div>}
+            {queue.map((d) => (
+              <div key={d.id} style={{ padding: "4px 0", fontSize: 14 }}>
+                {schemas[d.type]?.label ?? d.type} #{d.id}
+                {d.source_file && ` — ${d.source_file}`} — {new Date(d.created_at).toLocaleString()}
+                {d.data.needsReview && <span style={{ color: "#b00020" }}> — needs review</span>}
+                <button style={{ ...secondaryButton, marginLeft: 8, padding: "2px 8px" }} onClick={() => openReview(d.id)}>
+                  Review
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {review && schemas[review.document.type] && (
+          <ReviewForm
+            key={review.document.id}
+            document={review.document}
+            text={review.text}
+            schema={schemas[review.document.type]}
+            onSaved={onReviewSaved}
+            onClose={() => setReview(null)}
+            onError={setError}
+          />
+        )}
+
+        {showEval && <EvalDashboard onError={setError} />}
+
+        {trips && (
+          <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+            <h3 style={{ marginTop: 0 }}>Trips</h3>
+            {trips.length === 0 && <div style={graySmall}>No documents uploaded yet.</div>}
+            {trips.map((t, i) => (
+              <div key={i} style={{ padding: "10px 0", borderTop: i > 0 ? "1px solid #eee" : undefined }}>
+                {renderTrip(t)}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {displays.map((display, i) => (
+          <div key={i} style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+            <h3 style={{ marginTop: 0 }}>
+              {display.title}
+              {documents[i] && (
+                <button
+                  style={{ ...secondaryButton, float: "right", padding: "2px 8px" }}
+                  onClick={() => openReview(documents[i].id)}
+                >
+                  Review
+                </button>
+              )}
+            </h3>
             <div>{display.content}</div>
             <details style={{ marginTop: 12 }}>
               <summary style={{ cursor: "pointer" }}>Raw JSON</summary>
-              <pre style={{ whiteSpace: "pre-wrap", marginTop: 8 }}>{JSON.stringify(result, null, 2)}</pre>
+              <pre style={{ whiteSpace: "pre-wrap", marginTop: 8 }}>{JSON.stringify(display.record, null, 2)}</pre>
             </details>
           </div>
-        )}
+        ))}
       </div>
     </div>
   );
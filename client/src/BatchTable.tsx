@@ -0,0 +1,258 @@
+import { useState } from "react";
+import type { BatchItem, BatchStatus, DocSchema, ExtractResult, StoredDocument } from "./types.ts";
+import { formatMoney, formatValue, graySmall, secondaryButton } from "./ui.ts";
+
+// =============================
+// Types
+// =============================
+const BATCH_STATUS_LABELS: Record<BatchStatus, string> = {
+  queued: "Queued",
+  text: "Extracting text",
+  ocr: "OCR",
+  llm: "LLM",
+  done: "Done",
+  failed: "Failed",
+};
+
+// Results table: one row per record of a finished file, one per file otherwise
+type TableColumn = "file" | "type" | "traveller" | "dates" | "amount" | "status";
+
+const TABLE_COLUMNS: [TableColumn, string][] = [
+  ["file", "File"],
+  ["type", "Type"],
+  ["traveller", "Traveller"],
+  ["dates", "Dates"],
+  ["amount", "Amount"],
+  ["status", "Status"],
+];
+
+type TableRow = {
+  key: string;
+  item: BatchItem;
+  doc?: StoredDocument;
+  values: Record<TableColumn, string>;
+  // Sorts in the reporting currency when the record was converted
+  amountValue: number | null;
+  needsReview: boolean;
+  duplicate: boolean;
+};
+
+// Status filter: a batch status, or finished records that need a look
+type StatusFilter = "" | BatchStatus | "needsReview" | "duplicate";
+
+// =============================
+// Helpers
+// =============================
+// Traveller, dates and amount of a record, found through the schema descriptors
+function recordSummary(r: ExtractResult, schema: DocSchema | undefined) {
+  const fields = Object.entries(schema?.fields ?? {});
+  const traveller = fields.find(([, f]) => f.traveller)?.[0];
+  const dates = fields
+    .filter(([, f]) => f.format === "date")
+    .map(([k]) => r[k])
+    .filter((v) => typeof v === "string" && v !== "");
+  const [priceField, price] = fields.find(([, f]) => f.money) ?? [];
+  const amount = priceField ? r[priceField] : null;
+
+  return {
+    traveller: traveller ? formatValue(r[traveller]) : "—",
+    dates: dates.length ? [...new Set(dates)].join(" – ") : "—",
+    amount: price ? formatMoney(r[price.money!], amount) : "—",
+    amountValue: r.reportingAmount ?? (typeof amount === "number" ? amount : null),
+  };
+}
+
+// =============================
+// Component
+// =============================
+// One row per record of the uploaded files, filtered and sorted here; "Export table"
+// hands the documents of the rows shown to onExport
+export default function BatchTable({
+  batch,
+  schemas,
+  selectedKey,
+  exportFormat,
+  onSelect,
+  onRetry,
+  onReview,
+  onExport,
+}: {
+  batch: BatchItem[];
+  schemas: Record<string, DocSchema>;
+  selectedKey: string | null;
+  exportFormat: string;
+  onSelect: (key: string) => void;
+  onRetry: (item: BatchItem) => void;
+  onReview: (id: number) => void;
+  onExport: (ids: number[]) => void;
+}) {
+  const [sort, setSort] = useState<{ column: TableColumn; desc: boolean }>({ column: "file", desc: false });
+  const [filterText, setFilterText] = useState("");
+  const [filterType, setFilterType] = useState("");
+  const [filterStatus, setFilterStatus] = useState<StatusFilter>("");
+
+  const tableRows = batch.flatMap((item): TableRow[] => {
+    const status = BATCH_STATUS_LABELS[item.status];
+    if (item.status !== "done") {
+      return [
+        {
+          key: item.key,
+          item,
+          values: { file: item.name, type: "—", traveller: "—", dates: "—", amount: "—", status },
+          amountValue: null,
+          needsReview: false,
+          duplicate: false,
+        },
+      ];
+    }
+    return item.records.map((r, i) => {
+      const summary = recordSummary(r, schemas[r.type]);
+      const doc = item.documents[i];
+      return {
+        key: `${item.key}/${i}`,
+        item,
+        doc,
+        values: {
+          file: item.records.length > 1 ? `${item.name} (${i + 1}/${item.records.length})` : item.name,
+          type: schemas[r.type]?.label ?? r.type,
+          traveller: summary.traveller,
+          dates: summary.dates,
+          amount: summary.amount,
+          status,
+        },
+        amountValue: summary.amountValue,
+        needsReview: !!r.needsReview,
+        duplicate: !!doc?.duplicates.length,
+      };
+    });
+  });
+
+  const filterWords = filterText.toLowerCase().split(/\s+/).filter(Boolean);
+  const visibleRows = tableRows
+    .filter((row) => !filterType || row.values.type === filterType)
+    .filter(
+      (row) =>
+        !filterStatus ||
+        (filterStatus === "needsReview" ? row.needsReview : filterStatus === "duplicate" ? row.duplicate : row.item.status === filterStatus)
+    )
+    .filter((row) => {
+      const haystack = Object.values(row.values).join(" ").toLowerCase();
+      return filterWords.every((w) => haystack.includes(w));
+    })
+    .sort((a, b) => {
+      // Missing values ("—") last in both directions
+      const av = sort.column === "amount" ? a.amountValue : a.values[sort.column] === "—" ? null : a.values[sort.column];
+      const bv = sort.column === "amount" ? b.amountValue : b.values[sort.column] === "—" ? null : b.values[sort.column];
+      if (av == null || bv == null) return av == null ? (bv == null ? 0 : 1) : -1;
+      const order = typeof av === "number" && typeof bv === "number" ? av - bv : String(av).localeCompare(String(bv));
+      return sort.desc ? -order : order;
+    });
+
+  const doneCount = batch.filter((b) => b.status === "done").length;
+  const failedCount = batch.filter((b) => b.status === "failed").length;
+  const tableTypes = [...new Set(tableRows.map((row) => row.values.type).filter((t) => t !== "—"))];
+
+  const toggleSort = (column: TableColumn) =>
+    setSort(sort.column === column ? { column, desc: !sort.desc } : { column, desc: false });
+
+  // Documents behind the rows shown, once each
+  const shownDocumentIds = () => [...new Set(visibleRows.flatMap((row) => (row.doc ? [row.doc.id] : [])))];
+
+  return (
+    <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+      <h3 style={{ marginTop: 0 }}>
+        Uploads{" "}
+        <span style={graySmall}>
+          {doneCount} of {batch.length} done{failedCount > 0 && `, ${failedCount} failed`}
+        </span>
+      </h3>
+      <div style={{ ...graySmall, marginBottom: 8 }}>
+        <input placeholder="Filter" value={filterText} onChange={(e) => setFilterText(e.target.value)} />{" "}
+        <select value={filterType} onChange={(e) => setFilterType(e.target.value)}>
+          <option value="">All types</option>
+          {tableTypes.map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>{" "}
+        <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value as StatusFilter)}>
+          <option value="">All statuses</option>
+          {Object.entries(BATCH_STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>
+              {label}
+            </option>
+          ))}
+          <option value="needsReview">Needs review</option>
+          <option value="duplicate">Possible duplicate</option>
+        </select>
+        <button
+          style={{ ...secondaryButton, marginLeft: 8, padding: "2px 8px" }}
+          onClick={() => onExport(shownDocumentIds())}
+          title={`Download the rows shown as ${exportFormat.toUpperCase()}`}
+        >
+          Export table
+        </button>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr style={{ textAlign: "left", borderBottom: "1px solid #eee" }}>
+            {TABLE_COLUMNS.map(([column, label]) => (
+              <th key={column} style={{ cursor: "pointer" }} onClick={() => toggleSort(column)}>
+                {label}
+                {sort.column === column && (sort.desc ? " ▼" : " ▲")}
+              </th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {visibleRows.map((row) => (
+            <tr
+              key={row.key}
+              style={{ borderBottom: "1px solid #f3f3f3", background: row.item.key === selectedKey ? "#eef4ff" : undefined }}
+            >
+              <td>{row.values.file}</td>
+              <td>{row.values.type}</td>
+              <td>{row.values.traveller}</td>
+              <td>{row.values.dates}</td>
+              <td>{row.values.amount}</td>
+              <td
+                style={{
+                  color: row.item.status === "failed" ? "#b00020" : row.item.status === "done" ? "#1b5e20" : "#8a4b00",
+                }}
+                title={row.item.error ?? undefined}
+              >
+                {row.values.status}
+                {row.item.status === "failed" && row.item.error && `: ${row.item.error}`}
+                {row.needsReview && <span style={{ color: "#b00020" }}> — needs review</span>}
+                {row.duplicate && <span style={{ color: "#8a4b00" }}> — duplicate?</span>}
+              </td>
+              <td style={{ whiteSpace: "nowrap" }}>
+                {row.item.status === "done" && row.item.key !== selectedKey && (
+                  <button style={{ ...secondaryButton, padding: "2px 8px" }} onClick={() => onSelect(row.item.key)}>
+                    Show
+                  </button>
+                )}
+                {row.item.status === "failed" && (
+                  <button style={{ ...secondaryButton, padding: "2px 8px" }} onClick={() => onRetry(row.item)}>
+                    Retry
+                  </button>
+                )}
+                {row.doc && (
+                  <button
+                    style={{ ...secondaryButton, marginLeft: 4, padding: "2px 8px" }}
+                    onClick={() => onReview(row.doc!.id)}
+                  >
+                    Review
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {visibleRows.length === 0 && <div style={{ ...graySmall, marginTop: 8 }}>No rows match the filter.</div>}
+    </div>
+  );
+}
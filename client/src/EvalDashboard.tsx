@@ -0,0 +1,590 @@
+import { useEffect, useState } from "react";
+import { API_BASE, fetchJson } from "./api.ts";
+import { formatValue, graySmall, secondaryButton } from "./ui.ts";
+
+// =============================
+// Types
+// =============================
+// Evaluation dashboard (GET /api/eval/*, server/lib/evalStats.js)
+type EvalGroupKey = "provider" | "model" | "prompt_version" | "input_type" | "ocr_used" | "docType" | "experiment" | "day";
+
+const EVAL_GROUP_KEYS: [EvalGroupKey, string][] = [
+  ["provider", "Provider"],
+  ["model", "Model"],
+  ["prompt_version", "Prompt"],
+  ["input_type", "Input"],
+  ["ocr_used", "OCR"],
+  ["docType", "Doc type"],
+  ["experiment", "Experiment"],
+  ["day", "Day"],
+];
+
+const DEFAULT_GROUP_BY: EvalGroupKey[] = ["provider", "model"];
+
+// Query string filters; "" = any. ocr_used is "1" / "0"
+type EvalFilters = Record<
+  "provider" | "model" | "prompt_version" | "input_type" | "ocr_used" | "docType" | "experiment" | "since" | "until",
+  string
+>;
+
+const NO_EVAL_FILTERS: EvalFilters = {
+  provider: "",
+  model: "",
+  prompt_version: "",
+  input_type: "",
+  ocr_used: "",
+  docType: "",
+  experiment: "",
+  since: "",
+  until: "",
+};
+
+type EvalSummary = {
+  runs: number;
+  succeeded: number;
+  successRate: number | null;
+  latency: Record<"mean" | "p50" | "p90" | "p99" | "max", number | null>;
+  // Run counts per latencyBuckets entry, plus one for slower runs
+  histogram: number[];
+  errors: Record<string, number>;
+};
+
+type EvalStats = {
+  groupBy: EvalGroupKey[];
+  latencyBuckets: number[];
+  totals: EvalSummary;
+  groups: (EvalSummary & { key: Partial<Record<EvalGroupKey, string | boolean | null>> })[];
+  // Input size vs latency; group indexes groups
+  points: { id: number; group: number; input_chars: number; latency_ms: number; success: boolean }[];
+  truncated: boolean;
+};
+
+type EvalOptions = {
+  providers: string[];
+  models: string[];
+  inputTypes: string[];
+  docTypes: string[];
+  promptVersions: string[];
+  experiments: { id: string; runs: number; started: string; finished: string }[];
+};
+
+// Run list rows; the detail (GET /api/eval/runs/:id) adds the stored output and attempt log
+type EvalRun = {
+  id: number;
+  timestamp: string;
+  source_file: string | null;
+  provider: string;
+  model: string;
+  input_type: string;
+  ocr_used: boolean;
+  input_chars: number;
+  latency_ms: number;
+  success: boolean;
+  parse_error: string | null;
+  attempts: number | null;
+  experiment: string | null;
+  prompt_version: string | null;
+  error_category: string | null;
+  prompt_hash?: string | null;
+  json_output?: string | null;
+  attempt_log?: string | null;
+  notes?: string | null;
+};
+
+const ERROR_CATEGORY_LABELS: Record<string, string> = {
+  no_text: "No text",
+  invalid_json: "Invalid JSON",
+  unknown_type: "Unknown type",
+  validation: "Validation",
+  timeout: "Timeout",
+  rate_limit: "Rate limit",
+  connection: "Connection",
+  provider: "Provider error",
+  file: "File",
+  other: "Other",
+};
+
+// Chart colours per group, in group order
+const GROUP_COLORS = ["#0b5fff", "#ff8f00", "#2e7d32", "#8e24aa", "#00838f", "#c62828", "#6d4c41", "#546e7a"];
+
+// =============================
+// Helpers
+// =============================
+function formatMs(ms: number | null) {
+  if (ms == null) return "—";
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatPercent(v: number | null) {
+  return v == null ? "—" : `${(v * 100).toFixed(1)}%`;
+}
+
+function groupLabel(key: EvalStats["groups"][number]["key"]) {
+  return (
+    Object.entries(key)
+      .map(([k, v]) => (k === "ocr_used" ? (v ? "OCR" : "no OCR") : v == null ? "—" : String(v)))
+      .join(" / ") || "All runs"
+  );
+}
+
+// Drill-down filters for a group; null values (e.g. no experiment) cannot be filtered on
+function groupFilters(key: EvalStats["groups"][number]["key"]): Partial<EvalFilters> {
+  const out: Partial<EvalFilters> = {};
+  for (const [k, v] of Object.entries(key)) {
+    if (v == null) continue;
+    if (k === "ocr_used") out.ocr_used = v ? "1" : "0";
+    else if (k === "day") out.since = out.until = String(v);
+    else out[k as keyof EvalFilters] = String(v);
+  }
+  return out;
+}
+
+function evalQuery(filters: Partial<EvalFilters>, extra: Record<string, string> = {}) {
+  const params = new URLSearchParams(extra);
+  for (const [k, v] of Object.entries(filters)) if (v) params.set(k, v);
+  return params.toString();
+}
+
+// Filter choices and the grouped statistics
+function fetchEvalStats(filters: EvalFilters, groupBy: EvalGroupKey[]) {
+  return Promise.all([
+    fetchJson<EvalOptions>(`${API_BASE}/api/eval/options`),
+    fetchJson<EvalStats>(`${API_BASE}/api/eval/stats?${evalQuery(filters, { groupBy: groupBy.join(",") })}`),
+  ]);
+}
+
+// =============================
+// Charts and run detail
+// =============================
+// Share of runs per latency bucket, all groups together
+function LatencyHistogram({ stats }: { stats: EvalStats }) {
+  const counts = stats.totals.histogram;
+  const max = Math.max(1, ...counts);
+  const labels = [...stats.latencyBuckets.map((ms) => `≤${formatMs(ms)}`), `>${formatMs(stats.latencyBuckets.at(-1) ?? 0)}`];
+  const w = 56;
+  return (
+    <svg width={counts.length * w} height={150} style={{ fontSize: 10 }}>
+      {counts.map((n, i) => {
+        const h = (n / max) * 100;
+        return (
+          <g key={i}>
+            <rect x={i * w + 6} y={115 - h} width={w - 12} height={h} fill="#0b5fff" />
+            <text x={i * w + w / 2} y={110 - h} textAnchor="middle">
+              {n || ""}
+            </text>
+            <text x={i * w + w / 2} y={130} textAnchor="middle">
+              {labels[i]}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Input size vs latency, one colour per group; failed runs are hollow. Click opens the run.
+function LatencyScatter({ stats, onOpen }: { stats: EvalStats; onOpen: (id: number) => void }) {
+  const W = 560;
+  const H = 240;
+  const pad = 40;
+  const maxX = Math.max(1, ...stats.points.map((p) => p.input_chars));
+  const maxY = Math.max(1, ...stats.points.map((p) => p.latency_ms));
+  const x = (v: number) => pad + (v / maxX) * (W - pad - 10);
+  const y = (v: number) => H - pad + 10 - (v / maxY) * (H - pad - 10);
+  return (
+    <svg width={W} height={H} style={{ fontSize: 10, border: "1px solid #f3f3f3" }}>
+      <line x1={pad} y1={y(0)} x2={W - 10} y2={y(0)} stroke="#ccc" />
+      <line x1={pad} y1={y(0)} x2={pad} y2={10} stroke="#ccc" />
+      <text x={pad} y={H - 12}>0</text>
+      <text x={W - 10} y={H - 12} textAnchor="end">
+        {maxX.toLocaleString()} input chars
+      </text>
+      <text x={pad - 4} y={14} textAnchor="end">
+        {formatMs(maxY)}
+      </text>
+      {stats.points.map((p) => {
+        const color = GROUP_COLORS[p.group % GROUP_COLORS.length];
+        return (
+          <circle
+            key={p.id}
+            cx={x(p.input_chars)}
+            cy={y(p.latency_ms)}
+            r={3.5}
+            fill={p.success ? color : "white"}
+            stroke={color}
+            style={{ cursor: "pointer" }}
+            onClick={() => onOpen(p.id)}
+          >
+            <title>
+              #{p.id}: {p.input_chars.toLocaleString()} chars, {formatMs(p.latency_ms)}
+              {p.success ? "" : " (failed)"}
+            </title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
+
+function RunDetail({ run }: { run: EvalRun }) {
+  let output = run.json_output ?? null;
+  try {
+    if (output) output = JSON.stringify(JSON.parse(output), null, 2);
+  } catch {
+    // Shown as stored
+  }
+  const pre: React.CSSProperties = {
+    whiteSpace: "pre-wrap",
+    fontSize: 12,
+    maxHeight: 320,
+    overflow: "auto",
+    background: "#fafafa",
+    padding: 8,
+    borderRadius: 6,
+  };
+
+  return (
+    <>
+      <div style={{ display: "grid", gap: 4, gridTemplateColumns: "1fr 1fr", fontSize: 13 }}>
+        <div>
+          <b>File</b>: {formatValue(run.source_file)}
+        </div>
+        <div>
+          <b>Model</b>: {run.provider}:{run.model}
+        </div>
+        <div>
+          <b>Input</b>: {run.input_type}
+          {run.ocr_used && " (OCR)"}, {run.input_chars.toLocaleString()} chars
+        </div>
+        <div>
+          <b>Latency</b>: {formatMs(run.latency_ms)}
+          {run.attempts != null && ` — ${run.attempts} model call(s)`}
+        </div>
+        <div>
+          <b>When</b>: {new Date(run.timestamp).toLocaleString()}
+        </div>
+        <div>
+          <b>Experiment</b>: {formatValue(run.experiment)}
+        </div>
+        <div>
+          <b>Prompt</b>: {formatValue(run.prompt_version)}
+          {run.prompt_hash && <span style={graySmall}> ({run.prompt_hash})</span>}
+        </div>
+        {run.notes && (
+          <div style={{ gridColumn: "1 / -1" }}>
+            <b>Options</b>: {run.notes}
+          </div>
+        )}
+      </div>
+      {run.parse_error && (
+        <>
+          <b style={{ display: "block", marginTop: 10, fontSize: 13, color: "#b00020" }}>
+            Error ({ERROR_CATEGORY_LABELS[run.error_category ?? "other"] ?? run.error_category})
+          </b>
+          <pre style={{ ...pre, color: "#b00020" }}>{run.parse_error}</pre>
+        </>
+      )}
+      {output && (
+        <>
+          <b style={{ display: "block", marginTop: 10, fontSize: 13 }}>Output</b>
+          <pre style={pre}>{output}</pre>
+        </>
+      )}
+      {run.attempt_log && (
+        <details style={{ marginTop: 8 }}>
+          <summary style={{ cursor: "pointer", fontSize: 13 }}>Attempt log</summary>
+          <pre style={pre}>{JSON.stringify(JSON.parse(run.attempt_log), null, 2)}</pre>
+        </details>
+      )}
+    </>
+  );
+}
+
+// =============================
+// Component
+// =============================
+// Success rate, failures and latency of logged runs, grouped and filtered,
+// with drill-down to the runs behind a group and to one run. Hidden until
+// the first statistics arrive.
+export default function EvalDashboard({ onError }: { onError: (message: string | null) => void }) {
+  const [stats, setStats] = useState<EvalStats | null>(null);
+  const [options, setOptions] = useState<EvalOptions | null>(null);
+  const [filters, setFilters] = useState<EvalFilters>(NO_EVAL_FILTERS);
+  const [groupBy, setGroupBy] = useState<EvalGroupKey[]>(DEFAULT_GROUP_BY);
+  const [runs, setRuns] = useState<{
+    title: string;
+    query: string;
+    total: number;
+    runs: EvalRun[];
+  } | null>(null);
+  const [run, setRun] = useState<EvalRun | null>(null);
+
+  useEffect(() => {
+    onError(null);
+    fetchEvalStats(NO_EVAL_FILTERS, DEFAULT_GROUP_BY)
+      .then(([options, stats]) => {
+        setOptions(options);
+        setStats(stats);
+      })
+      .catch((e) => onError(e instanceof Error ? e.message : "Unexpected error"));
+  }, [onError]);
+
+  const loadStats = async (nextFilters: EvalFilters, nextGroupBy: EvalGroupKey[]) => {
+    onError(null);
+    try {
+      const [options, stats] = await fetchEvalStats(nextFilters, nextGroupBy);
+      setOptions(options);
+      setStats(stats);
+    } catch (e) {
+      onError(e instanceof Error ? e.message : "Unexpected error");
+    }
+  };
+
+  const setFilter = (k: keyof EvalFilters, v: string) => {
+    const next = { ...filters, [k]: v };
+    setFilters(next);
+    loadStats(next, groupBy);
+  };
+
+  const toggleGroup = (k: EvalGroupKey) => {
+    const next = groupBy.includes(k)
+      ? groupBy.filter((g) => g !== k)
+      : EVAL_GROUP_KEYS.map(([key]) => key).filter((key) => key === k || groupBy.includes(key));
+    setGroupBy(next);
+    loadStats(filters, next);
+  };
+
+  // Runs behind a group or failure category, newest first; "more" appends the next page
+  const loadRuns = async (title: string, query: string, more = false) => {
+    onError(null);
+    const offset = more && runs ? runs.runs.length : 0;
+    try {
+      const data = await fetchJson<{ total: number; runs: EvalRun[] }>(
+        `${API_BASE}/api/eval/runs?${query}&limit=50&offset=${offset}`
+      );
+      setRuns({ title, query, total: data.total, runs: [...(more && runs ? runs.runs : []), ...data.runs] });
+      if (!more) setRun(null);
+    } catch (e) {
+      onError(e instanceof Error ? e.message : "Unexpected error");
+    }
+  };
+
+  const openRun = async (id: number) => {
+    onError(null);
+    try {
+      setRun((await fetchJson<{ run: EvalRun }>(`${API_BASE}/api/eval/runs/${id}`)).run);
+    } catch (e) {
+      onError(e instanceof Error ? e.message : "Unexpected error");
+    }
+  };
+
+  if (!stats) return null;
+
+  const select = (k: keyof EvalFilters, label: string, values: string[]) => (
+    <select value={filters[k]} onChange={(e) => setFilter(k, e.target.value)}>
+      <option value="">{label}</option>
+      {values.map((v) => (
+        <option key={v} value={v}>
+          {v}
+        </option>
+      ))}
+    </select>
+  );
+  const cell: React.CSSProperties = { padding: "4px 6px" };
+
+  return (
+    <>
+      <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+        <h3 style={{ marginTop: 0 }}>Evaluation</h3>
+        <div style={{ ...graySmall, display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 8 }}>
+          {select("provider", "All providers", options?.providers ?? [])}
+          {select("model", "All models", options?.models ?? [])}
+          {select("prompt_version", "All prompts", options?.promptVersions ?? [])}
+          {select("input_type", "All inputs", options?.inputTypes ?? [])}
+          <select value={filters.ocr_used} onChange={(e) => setFilter("ocr_used", e.target.value)}>
+            <option value="">OCR or not</option>
+            <option value="1">OCR</option>
+            <option value="0">No OCR</option>
+          </select>
+          {select("docType", "All doc types", options?.docTypes ?? [])}
+          {select("experiment", "All experiments", options?.experiments.map((x) => x.id) ?? [])}
+          <label>
+            from <input type="date" value={filters.since} onChange={(e) => setFilter("since", e.target.value)} />
+          </label>
+          <label>
+            to <input type="date" value={filters.until} onChange={(e) => setFilter("until", e.target.value)} />
+          </label>
+        </div>
+        <div style={{ ...graySmall, marginBottom: 12 }}>
+          Group by{" "}
+          {EVAL_GROUP_KEYS.map(([k, label]) => (
+            <label key={k} style={{ marginRight: 8 }}>
+              <input type="checkbox" checked={groupBy.includes(k)} onChange={() => toggleGroup(k)} /> {label}
+            </label>
+          ))}
+        </div>
+
+        <div style={{ marginBottom: 8 }}>
+          <b>{stats.totals.runs}</b> runs — {formatPercent(stats.totals.successRate)} succeeded — latency p50{" "}
+          {formatMs(stats.totals.latency.p50)}, p90 {formatMs(stats.totals.latency.p90)}, p99{" "}
+          {formatMs(stats.totals.latency.p99)}
+        </div>
+
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+          <thead>
+            <tr style={{ textAlign: "left", borderBottom: "1px solid #eee" }}>
+              <th style={cell}>Group</th>
+              <th style={cell}>Runs</th>
+              <th style={cell}>Success</th>
+              <th style={cell}>p50</th>
+              <th style={cell}>p90</th>
+              <th style={cell}>p99</th>
+              <th style={cell}>Failures</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.groups.map((g, i) => {
+              const label = groupLabel(g.key);
+              const query = evalQuery({ ...filters, ...groupFilters(g.key) });
+              return (
+                <tr key={i} style={{ borderBottom: "1px solid #f3f3f3" }}>
+                  <td style={cell}>
+                    <span style={{ color: GROUP_COLORS[i % GROUP_COLORS.length] }}>●</span>{" "}
+                    <a
+                      href="#"
+                      onClick={(e) => {
+                        e.preventDefault();
+                        loadRuns(label, query);
+                      }}
+                    >
+                      {label}
+                    </a>
+                  </td>
+                  <td style={cell}>{g.runs}</td>
+                  <td style={cell}>
+                    <div style={{ width: 80, height: 8, background: "#fdecea", display: "inline-block", marginRight: 6 }}>
+                      <div style={{ width: `${(g.successRate ?? 0) * 100}%`, height: 8, background: "#2e7d32" }} />
+                    </div>
+                    {formatPercent(g.successRate)}
+                  </td>
+                  <td style={cell}>{formatMs(g.latency.p50)}</td>
+                  <td style={cell}>{formatMs(g.latency.p90)}</td>
+                  <td style={cell}>{formatMs(g.latency.p99)}</td>
+                  <td style={cell}>
+                    {Object.entries(g.errors).map(([category, n]) => (
+                      <a
+                        key={category}
+                        href="#"
+                        style={{ marginRight: 8, color: "#b00020" }}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          loadRuns(`${label}: ${ERROR_CATEGORY_LABELS[category] ?? category}`, `${query}&errorCategory=${category}`);
+                        }}
+                      >
+                        {ERROR_CATEGORY_LABELS[category] ?? category} {n}
+                      </a>
+                    ))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {stats.groups.length === 0 && <div style={{ ...graySmall, marginTop: 8 }}>No runs match the filters.</div>}
+
+        {stats.totals.runs > 0 && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 24, marginTop: 16 }}>
+            <div>
+              <b style={{ fontSize: 13 }}>Latency</b>
+              <br />
+              <LatencyHistogram stats={stats} />
+            </div>
+            <div>
+              <b style={{ fontSize: 13 }}>Input size vs latency</b>
+              {stats.truncated && <span style={graySmall}> (newest {stats.points.length} runs)</span>}
+              <br />
+              <LatencyScatter stats={stats} onOpen={openRun} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {runs && (
+        <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+          <h3 style={{ marginTop: 0 }}>
+            Runs: {runs.title} <span style={graySmall}>{runs.total} run(s)</span>
+            <button style={{ ...secondaryButton, float: "right", padding: "2px 8px" }} onClick={() => setRuns(null)}>
+              Close
+            </button>
+          </h3>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign: "left", borderBottom: "1px solid #eee" }}>
+                <th>#</th>
+                <th>When</th>
+                <th>File</th>
+                <th>Model</th>
+                <th>Input</th>
+                <th>Chars</th>
+                <th>Latency</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.runs.map((r) => (
+                <tr
+                  key={r.id}
+                  onClick={() => openRun(r.id)}
+                  style={{
+                    borderBottom: "1px solid #f3f3f3",
+                    cursor: "pointer",
+                    background: run?.id === r.id ? "#eef4ff" : undefined,
+                  }}
+                >
+                  <td>{r.id}</td>
+                  <td>{new Date(r.timestamp).toLocaleString()}</td>
+                  <td>{formatValue(r.source_file)}</td>
+                  <td>
+                    {r.provider}:{r.model}
+                  </td>
+                  <td>
+                    {r.input_type}
+                    {r.ocr_used && " (OCR)"}
+                  </td>
+                  <td>{r.input_chars.toLocaleString()}</td>
+                  <td>{formatMs(r.latency_ms)}</td>
+                  <td style={{ color: r.success ? "#1b5e20" : "#b00020" }} title={r.parse_error ?? undefined}>
+                    {r.success ? "OK" : ERROR_CATEGORY_LABELS[r.error_category ?? "other"] ?? r.error_category}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {runs.runs.length < runs.total && (
+            <button
+              style={{ ...secondaryButton, marginTop: 8, padding: "2px 8px" }}
+              onClick={() => loadRuns(runs.title, runs.query, true)}
+            >
+              More
+            </button>
+          )}
+        </div>
+      )}
+
+      {run && (
+        <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+          <h3 style={{ marginTop: 0 }}>
+            Run #{run.id}{" "}
+            <span style={{ fontSize: 13, color: run.success ? "#1b5e20" : "#b00020" }}>
+              {run.success ? "succeeded" : "failed"}
+            </span>
+            <button style={{ ...secondaryButton, float: "right", padding: "2px 8px" }} onClick={() => setRun(null)}>
+              Close
+            </button>
+          </h3>
+          <RunDetail run={run} />
+        </div>
+      )}
+    </>
+  );
+}
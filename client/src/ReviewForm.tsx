@@ -0,0 +1,209 @@
+import { useState } from "react";
+import { API_BASE, fetchJson } from "./api.ts";
+import type { DocSchema, Grounding, ReviewDocument, ReviewStatus } from "./types.ts";
+import { formatValue, primaryButton, secondaryButton } from "./ui.ts";
+
+// =============================
+// Helpers
+// =============================
+const STATUS_COLORS: Record<ReviewStatus, string> = {
+  pending: "#8a4b00",
+  approved: "#1b5e20",
+  corrected: "#0b5fff",
+  rejected: "#b00020",
+};
+
+// Source text with every grounded top-level value marked; the focused field stands out
+function highlightSource(text: string, grounding: Record<string, Grounding> | undefined, focus: string | null) {
+  const ranges = Object.entries(grounding ?? {})
+    .filter(([path, g]) => !path.includes("[") && g.grounded && g.offset != null && g.length)
+    .map(([path, g]) => ({ path, start: g.offset!, end: g.offset! + g.length! }))
+    .sort((a, b) => a.start - b.start);
+
+  const parts: React.ReactNode[] = [];
+  let pos = 0;
+  for (const r of ranges) {
+    if (r.start < pos) continue;
+    parts.push(text.slice(pos, r.start));
+    parts.push(
+      <mark key={r.path} title={r.path} style={{ background: r.path === focus ? "#ffd54f" : "#e3f2fd" }}>
+        {text.slice(r.start, r.end)}
+      </mark>
+    );
+    pos = r.end;
+  }
+  parts.push(text.slice(pos));
+  return parts;
+}
+
+// Input value for a stored field value
+function inputValue(v: unknown) {
+  return v == null ? "" : String(v);
+}
+
+// =============================
+// Component
+// =============================
+// Source on the left (the uploaded file, then the text the model read),
+// one input per correctable field on the right
+export default function ReviewForm({
+  document: doc,
+  text,
+  schema,
+  onSaved,
+  onClose,
+  onError,
+}: {
+  document: ReviewDocument;
+  text: string | null;
+  schema: DocSchema;
+  onSaved: (document: ReviewDocument) => void;
+  onClose: () => void;
+  onError: (message: string | null) => void;
+}) {
+  // Field edits as typed, converted on save
+  const [edits, setEdits] = useState<Record<string, string>>({});
+  const [focusField, setFocusField] = useState<string | null>(null);
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem("reviewer") ?? "");
+
+  // Without a status the server picks "corrected" when a value changed, else "approved"
+  const save = async (status?: ReviewStatus) => {
+    onError(null);
+
+    const fields = Object.fromEntries(
+      Object.entries(edits).map(([k, v]) => {
+        const value = v.trim() === "" ? null : schema.fields[k]?.type === "number" ? Number(v) : v.trim();
+        return [k, value];
+      })
+    );
+
+    try {
+      localStorage.setItem("reviewer", reviewer);
+      const data = await fetchJson<{ document: ReviewDocument }>(`${API_BASE}/api/documents/${doc.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reviewer, fields, ...(status ? { status } : {}) }),
+      });
+      setEdits({});
+      onSaved(data.document);
+    } catch (e) {
+      onError(e instanceof Error ? e.message : "Unexpected error");
+    }
+  };
+
+  // Rejected documents drop out of trips, exports and the eval labels
+  const reject = () => {
+    if (window.confirm(`Reject ${schema.label} #${doc.id}? It is left out of trips, exports and scoring.`)) {
+      save("rejected");
+    }
+  };
+
+  const editable = Object.entries(schema.fields).filter(
+    ([k, f]) => f.type !== "array" && !f.derived && (!f.optional || k in doc.data)
+  );
+  const fileUrl = `${API_BASE}/api/documents/${doc.id}/file`;
+
+  return (
+    <div style={{ marginTop: 18, padding: 16, background: "white", borderRadius: 8, border: "1px solid #eee" }}>
+      <h3 style={{ marginTop: 0 }}>
+        Review {schema.label} #{doc.id}{" "}
+        <span style={{ fontSize: 13, color: STATUS_COLORS[doc.status] }}>
+          {doc.status}
+          {doc.reviewed_by && ` by ${doc.reviewed_by}, ${new Date(doc.reviewed_at ?? "").toLocaleString()}`}
+        </span>
+        <button style={{ ...secondaryButton, float: "right", padding: "2px 8px" }} onClick={onClose}>
+          Close
+        </button>
+      </h3>
+      <div style={{ display: "grid", gap: 16, gridTemplateColumns: "1fr 1fr" }}>
+        <div>
+          {doc.has_file &&
+            (doc.mimetype === "application/pdf" ? (
+              <iframe src={fileUrl} title="Document" style={{ width: "100%", height: 420, border: "1px solid #eee" }} />
+            ) : (
+              <img src={fileUrl} alt="Document" style={{ width: "100%", border: "1px solid #eee" }} />
+            ))}
+          {text && (
+            <pre
+              style={{
+                whiteSpace: "pre-wrap",
+                fontSize: 12,
+                maxHeight: 300,
+                overflow: "auto",
+                background: "#fafafa",
+                padding: 8,
+                borderRadius: 6,
+              }}
+            >
+              {highlightSource(text, doc.data.grounding, focusField)}
+            </pre>
+          )}
+        </div>
+        <div>
+          {editable.map(([k, f]) => {
+            const value = edits[k] ?? inputValue(doc.data[k]);
+            const changed = k in edits && edits[k] !== inputValue(doc.data[k]);
+            const onChange = (v: string) => setEdits({ ...edits, [k]: v });
+            return (
+              <label key={k} style={{ display: "block", marginBottom: 6, fontSize: 13 }}>
+                <b>{f.label ?? k}</b>
+                {doc.data.lowConfidenceFields?.includes(k) && <span style={{ color: "#b00020" }}> (low confidence)</span>}
+                <br />
+                {f.enum ? (
+                  <select value={value} onChange={(e) => onChange(e.target.value)} onFocus={() => setFocusField(k)}>
+                    <option value="">—</option>
+                    {f.enum.map((o) => (
+                      <option key={o} value={o}>
+                        {o}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={f.type === "number" ? "number" : f.format === "date" ? "date" : "text"}
+                    step="any"
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    onFocus={() => setFocusField(k)}
+                    style={{ width: "95%", background: changed ? "#e8f0fe" : undefined }}
+                  />
+                )}
+              </label>
+            );
+          })}
+          <label style={{ display: "block", margin: "12px 0 8px", fontSize: 13 }}>
+            <b>Reviewer</b>
+            <br />
+            <input value={reviewer} onChange={(e) => setReviewer(e.target.value)} style={{ width: "95%" }} />
+          </label>
+          <button style={primaryButton} onClick={() => save()} disabled={!reviewer.trim()}>
+            {Object.keys(edits).length ? "Save corrections" : "Approve"}
+          </button>
+          <button style={secondaryButton} onClick={reject} disabled={!reviewer.trim()}>
+            Reject
+          </button>
+          {doc.status !== "pending" && (
+            <button
+              style={{ ...secondaryButton, marginLeft: 8 }}
+              onClick={() => save("pending")}
+              disabled={!reviewer.trim()}
+              title="Undo the review and put the document back in the queue"
+            >
+              Back to pending
+            </button>
+          )}
+          {doc.corrections.length > 0 && (
+            <ul style={{ fontSize: 12, paddingLeft: 18, color: "#555" }}>
+              {doc.corrections.map((c, i) => (
+                <li key={i}>
+                  {schema.fields[c.field]?.label ?? c.field}: {formatValue(c.from)} → {formatValue(c.to)} ({c.by},{" "}
+                  {new Date(c.at).toLocaleString()})
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
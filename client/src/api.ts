@@ -0,0 +1,22 @@
+// =============================
+// Backend access
+// =============================
+export const API_BASE = "http://localhost:8789";
+
+// JSON body of a response; a failed request throws the server's { error } message
+export async function fetchJson<T>(url: string, init?: RequestInit): Promise<T & { ok?: boolean; error?: string }> {
+  const r = await fetch(url, init);
+
+  const textBody = await r.text().catch(() => "");
+  let data: (T & { ok?: boolean; error?: string }) | null = null;
+  try {
+    data = textBody ? JSON.parse(textBody) : null;
+  } catch {
+    data = null;
+  }
+
+  if (!r.ok || !data) {
+    throw new Error(data?.error ?? `HTTP ${r.status} ${r.statusText}`);
+  }
+  return data;
+}
@@ -0,0 +1,113 @@
+// =============================
+// Types shared with the panels
+// =============================
+// Document schemas come from GET /api/schemas (server/lib/schemas)
+export type FieldSchema = {
+  type?: "string" | "number" | "array";
+  enum?: string[];
+  format?: string;
+  label?: string;
+  money?: string;
+  optional?: boolean;
+  derived?: boolean;
+  traveller?: boolean;
+  items?: Record<string, FieldSchema>;
+};
+
+export type DocSchema = {
+  type: string;
+  label: string;
+  documents: string;
+  fields: Record<string, FieldSchema>;
+};
+
+// One deterministic server-side correction (server/lib/normalize.js)
+export type Normalization = { path: string; from: unknown; to: unknown; rule: string };
+
+// Failed arithmetic check on the price breakdown (server/lib/consistency.js)
+export type ConsistencyIssue = { check: string; paths: string[]; message: string };
+
+// Per-field source check keyed by path, e.g. "segments[0].toCode" (server/lib/grounding.js)
+export type Grounding = { grounded: boolean; snippet: string | null; offset: number | null; length: number | null };
+
+export type ExtractResult = {
+  type: string;
+  normalizations?: Normalization[];
+  grounding?: Record<string, Grounding>;
+  // Per-field 0..1 from OCR word confidence and grounding (server/lib/confidence.js);
+  // null for vision-only extractions, which have no text to check against
+  confidence?: Record<string, number> | null;
+  lowConfidenceFields?: string[];
+  needsReview?: boolean;
+  consistency?: { checked: string[]; issues: ConsistencyIssue[] };
+  // Total converted at the transaction date's rate (server/lib/fx.js); amount null when no rate
+  reportingCurrency?: string;
+  reportingAmount?: number | null;
+  fxRate?: number | null;
+  fxRateDate?: string | null;
+  [field: string]: unknown;
+};
+
+// Human review (GET/PATCH /api/documents/:id, server/lib/documents.js)
+export type ReviewStatus = "pending" | "approved" | "corrected" | "rejected";
+
+export type Correction = { field: string; from: unknown; to: unknown; by: string; at: string };
+
+export type ReviewDocument = {
+  id: number;
+  source_file: string | null;
+  type: string;
+  data: ExtractResult;
+  created_at: string;
+  status: ReviewStatus;
+  reviewed_by: string | null;
+  reviewed_at: string | null;
+  corrections: Correction[];
+  has_file: boolean;
+  mimetype: string | null;
+};
+
+// Image preprocessing variant OCR kept for a page, e.g. "upscale+deskew+sharpen"
+export type Preprocessing = { page: number; variant: string; confidence: number };
+
+// Model that produced the answer and how many calls it took (retries/repairs/fallbacks)
+export type LlmInfo = { provider: string; model: string; attempts: number; prompt?: { version: string; hash: string } };
+
+// Earlier upload of the same booking (server/lib/documents.js): the same file
+// ("exact"), the same booking/receipt/ticket number ("reference") or the same
+// traveller, date and amount ("details")
+export type DuplicateMatch = {
+  id: number;
+  source_file: string | null;
+  type: string;
+  created_at: string;
+  match: "exact" | "reference" | "details";
+  fields: string[];
+};
+
+// Stored document per record, in record order
+export type StoredDocument = { id: number; duplicates: DuplicateMatch[] };
+
+export type FileMeta = {
+  name: string;
+  pages?: number;
+  ocrUsed?: boolean;
+  preprocessing?: Preprocessing[] | null;
+  language?: string | null;
+  llm?: LlmInfo;
+};
+
+// One uploaded file and its job; the list is kept in localStorage across reloads
+export type BatchStatus = "queued" | "text" | "ocr" | "llm" | "done" | "failed";
+
+export type BatchItem = {
+  key: string;
+  name: string;
+  jobId: string | null;
+  status: BatchStatus;
+  error: string | null;
+  submittedAt: string;
+  records: ExtractResult[];
+  documents: StoredDocument[];
+  meta: FileMeta | null;
+};
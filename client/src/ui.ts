@@ -0,0 +1,35 @@
+// =============================
+// Styles and formatting shared by the panels
+// =============================
+export const primaryButton: React.CSSProperties = {
+  background: "#0b5fff",
+  color: "white",
+  border: "none",
+  padding: "10px 16px",
+  borderRadius: 6,
+  cursor: "pointer",
+  boxShadow: "0 4px 12px rgba(11,95,255,0.18)",
+  marginRight: 8,
+};
+
+export const secondaryButton: React.CSSProperties = {
+  background: "white",
+  color: "#333",
+  border: "1px solid #ddd",
+  padding: "8px 12px",
+  borderRadius: 6,
+  cursor: "pointer",
+};
+
+export const graySmall: React.CSSProperties = { color: "#666", fontSize: 13 };
+
+export function formatValue(v: unknown) {
+  if (v == null || v === "") return "—";
+  return String(v);
+}
+
+export function formatMoney(currency: unknown, price: unknown) {
+  if (price == null) return "—";
+  if (!currency) return `${price}`;
+  return `${price} ${currency}`;
+}
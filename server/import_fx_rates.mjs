@@ -0,0 +1,24 @@
+// import_fx_rates.mjs
+// First: lib/ modules read their settings from process.env when they load
+import "dotenv/config";
+import { describeFxRates, loadFxRatesFile } from "./lib/fx.js";
+
+// ECB CSV: eurofxref-hist.csv from
+// https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.zip, or an ECB data portal export
+const FX_FILE = process.argv[2] || process.env.FX_FILE;
+
+function main() {
+  if (!FX_FILE) {
+    console.error("Usage: npm run import-fx -- eurofxref-hist.csv   (or FX_FILE=...)");
+    process.exit(1);
+  }
+
+  const saved = loadFxRatesFile(FX_FILE);
+  console.log(`Imported ${saved} rates from ${FX_FILE}`);
+
+  for (const c of describeFxRates()) {
+    console.log(`${c.currency}  ${c.first_date} .. ${c.last_date}  (${c.days} days)`);
+  }
+}
+
+main();
@@ -1,12 +1,71 @@
+// First: lib/ modules read their settings from process.env when they load
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import multer from "multer";
 import fs from "fs";
-import Tesseract from "tesseract.js";
-import Database from "better-sqlite3";
-
-dotenv.config();
+import path from "path";
+import { db, DB_PATH } from "./lib/db.js";
+import { getLabel, listLabels, saveLabels, parseLabels } from "./lib/groundTruth.js";
+import { scoreEvalRuns } from "./lib/scoring.js";
+import { PIPELINES, isSupportedUpload, prepareDocument } from "./lib/ingest.js";
+import { normalizeRecord } from "./lib/normalize.js";
+import { checkGrounding, summarizeGrounding } from "./lib/grounding.js";
+import {
+  DEFAULT_REVIEW_THRESHOLD,
+  locateWords,
+  reviewRecord,
+  reviewUncheckedRecord,
+  summarizeConfidence,
+} from "./lib/confidence.js";
+import { JOB_STATUSES, createJob, getJob, listJobs, startJobQueue } from "./lib/jobs.js";
+import { createLimiter } from "./lib/limit.js";
+import { parseVariants } from "./lib/preprocess.js";
+import { LANGUAGES, detectLanguage } from "./lib/language.js";
+import { checkConsistency, summarizeConsistency } from "./lib/consistency.js";
+import {
+  REVIEW_STATUSES,
+  contentHash,
+  documentDuplicates,
+  getDocument,
+  getDocumentSource,
+  listReviewQueue,
+  reviewDocument,
+  storeDocuments,
+} from "./lib/documents.js";
+import { buildTrips } from "./lib/trips.js";
+import { EXPORT_FORMATS, exportDocuments, validateColumns } from "./lib/export.js";
+import {
+  ERROR_CATEGORY_NAMES,
+  EVAL_GROUP_KEYS,
+  evalFilterOptions,
+  evalStats,
+  getEvalRun,
+  listEvalRuns,
+} from "./lib/evalStats.js";
+import { REPORTING_CURRENCY, addReportingAmount, describeFxRates, parseFxCsv, saveFxRates } from "./lib/fx.js";
+import { complete, describeProviders, resolveProvider, resolveProviderList } from "./lib/providers/index.js";
+import { completeWithFallback } from "./lib/retry.js";
+import {
+  DEFAULT_PROMPT_VERSION,
+  getPromptTemplate,
+  hashPrompt,
+  listPromptTemplates,
+  renderTemplate,
+  savePromptTemplate,
+} from "./lib/prompts.js";
+import {
+  DOC_TYPES,
+  assertKnownType,
+  assertValidOutput,
+  describeSchemas,
+  ensureRequiredKeys,
+  getSchema,
+  postProcessRecord,
+  promptDocumentKinds,
+  promptSchemaBlocks,
+  promptTypeRules,
+} from "./lib/schemas/index.js";
 
 const app = express();
 app.use(cors());
@@ -14,64 +73,36 @@ app.use(express.json({ limit: "5mb" }));
 
 const upload = multer({ dest: "uploads/" });
 
+// Shared by sync requests and queued jobs: OCR is CPU-bound, LLM calls are
+// bounded by the provider (rate limits, local GPU)
+const ocrLimit = createLimiter(Number(process.env.OCR_CONCURRENCY || 1));
+const llmLimit = createLimiter(Number(process.env.LLM_CONCURRENCY || 2));
+
 // =====================================================
 // Provider + model selection
 // =====================================================
 
-const PROVIDER = (process.env.LLM_PROVIDER || "openai").toLowerCase();
-
-if (!["openai", "ollama"].includes(PROVIDER)) {
-  throw new Error(`Invalid LLM_PROVIDER: ${PROVIDER}`);
-}
-
-const BASE_URL =
-  PROVIDER === "ollama"
-    ? process.env.OLLAMA_BASE_URL || "http://127.0.0.1:11434/v1"
-    : "https://api.openai.com/v1";
-
-const API_KEY = PROVIDER === "ollama" ? "ollama" : process.env.OPENAI_API_KEY;
-
-if (PROVIDER === "openai" && !API_KEY) {
-  throw new Error("OPENAI_API_KEY is missing");
-}
-
-const MODEL =
-  PROVIDER === "ollama"
-    ? process.env.OLLAMA_MODEL
-    : process.env.OPENAI_MODEL || "gpt-4o-mini";
+// Default for every request; the extract routes accept provider/model
+// overrides (see lib/providers). Fails at startup if it is not configured.
+const { provider: PROVIDER, model: MODEL } = resolveProvider();
 
 // =====================================================
-
-// SQLite setup
+// Recovery (retries, repair prompts, fallback models)
 // =====================================================
 
-const DB_PATH = process.env.EVAL_DB_PATH || "./eval.sqlite";
-const db = new Database(DB_PATH);
-
-db.exec(`
-CREATE TABLE IF NOT EXISTS eval_runs (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  source_file TEXT,
-  timestamp TEXT NOT NULL,
-  provider TEXT NOT NULL,
-  model TEXT NOT NULL,
-
-  docType_pred TEXT,
-  groundTruth_docType TEXT,
+// Transient provider errors (timeouts, 429, 5xx) are retried with backoff
+const LLM_RETRIES = Number(process.env.LLM_RETRIES ?? 2);
+const LLM_RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 1000);
 
-  json_output TEXT,
-  success INTEGER NOT NULL,
-  parse_error TEXT,
+// Unparseable / invalid output: the same model gets this many repair prompts
+const LLM_REPAIR_ATTEMPTS = Number(process.env.LLM_REPAIR_ATTEMPTS ?? 1);
 
-  latency_ms INTEGER NOT NULL,
-  ocr_used INTEGER NOT NULL,
+// Then the next model in line, e.g. "ollama:llama3.1:8b,openai:gpt-4o-mini"
+const LLM_FALLBACK = resolveProviderList(process.env.LLM_FALLBACK);
 
-  input_type TEXT NOT NULL,
-  input_chars INTEGER NOT NULL,
-
-  notes TEXT
-);
-`);
+// =====================================================
+// Eval logging
+// =====================================================
 
 const insertRun = db.prepare(`
 INSERT INTO eval_runs (
@@ -81,6 +112,13 @@ INSERT INTO eval_runs (
   json_output, success, parse_error,
   latency_ms, ocr_used,
   input_type, input_chars,
+  grounded_fields, ungrounded_fields,
+  min_confidence, needs_review,
+  attempts, attempt_log,
+  preprocessing, language,
+  consistency_issues,
+  experiment,
+  prompt_version, prompt_hash,
   notes
 ) VALUES (
   @source_file,
@@ -89,19 +127,27 @@ INSERT INTO eval_runs (
   @json_output, @success, @parse_error,
   @latency_ms, @ocr_used,
   @input_type, @input_chars,
+  @grounded_fields, @ungrounded_fields,
+  @min_confidence, @needs_review,
+  @attempts, @attempt_log,
+  @preprocessing, @language,
+  @consistency_issues,
+  @experiment,
+  @prompt_version, @prompt_hash,
   @notes
 );
 `);
 
+// Returns the new row id
 function logEvalRun(row) {
-  insertRun.run({
+  const { lastInsertRowid } = insertRun.run({
     source_file: row.source_file ?? null,
     timestamp: new Date().toISOString(),
-    provider: PROVIDER,
-    model: MODEL,
+    provider: row.provider ?? PROVIDER,
+    model: row.model ?? MODEL,
 
     docType_pred: row.docType_pred ?? null,
-    groundTruth_docType: row.groundTruth_docType ?? null,
+    groundTruth_docType: row.groundTruth_docType ?? getLabel(row.source_file)?.type ?? null,
 
     json_output: row.json_output ?? null,
     success: row.success ? 1 : 0,
@@ -113,73 +159,93 @@ function logEvalRun(row) {
     input_type: row.input_type,
     input_chars: row.input_chars ?? 0,
 
+    grounded_fields: row.grounded_fields ?? null,
+    ungrounded_fields: row.ungrounded_fields ?? null,
+    min_confidence: row.min_confidence ?? null,
+    needs_review: row.needs_review == null ? null : row.needs_review ? 1 : 0,
+    attempts: row.attempts ?? null,
+    attempt_log: row.attempt_log ?? null,
+    preprocessing: row.preprocessing ? JSON.stringify(row.preprocessing) : null,
+    language: row.language ?? null,
+    consistency_issues: row.consistency_issues ?? null,
+
+    experiment: row.experiment ?? null,
+    prompt_version: row.prompt_version ?? null,
+    prompt_hash: row.prompt_hash ?? null,
     notes: row.notes ?? null,
   });
+  return Number(lastInsertRowid);
+}
+
+// Stores the records of a successful run as documents (lib/documents.js), with
+// the text the model read and the uploaded file for review, and returns the
+// response part pointing to earlier uploads of the same booking
+function storeExtraction({ source_file, content, data, eval_run_id, text, file, mimetype }) {
+  const documents = storeDocuments({
+    source_file,
+    content_hash: contentHash(content),
+    records: Array.isArray(data) ? data : [data],
+    eval_run_id,
+    text,
+    file,
+    mimetype,
+  });
+  return { documents, hasDuplicates: documents.some((d) => d.duplicates.length > 0) };
 }
 
 // =====================================================
 // Prompt
 // =====================================================
 
-function buildPrompt(text) {
-  return `
-You are an information extraction system. You read travel-related documents
-(flight tickets / itineraries / boarding passes / flight receipts OR hotel booking confirmations / hotel invoices)
-and you MUST return a single JSON object that matches EXACTLY one of these schemas:
-
-FLIGHT:
-{
-  "type": "flight",
-  "passengerName": string | null,
-  "bookingReference": string | null,
-  "ticketNumber": string | null,
-  "tripType": "one_way" | "round_trip" | null,
-  "overallFrom": string | null,
-  "overallTo": string | null,
-  "departureDate": string | null,
-  "returnDate": string | null,
-  "currency": string | null,
-  "totalPrice": number | null
+// Non-English documents: name the language so labels are read correctly
+function languageRules(language) {
+  if (!language || language === "eng" || !LANGUAGES[language]) return [];
+  return [`The document is in ${LANGUAGES[language].name}. Read its labels in that language, but answer in English as above.`];
 }
 
-HOTEL:
-{
-  "type": "hotel",
-  "guestName": string | null,
-  "hotelName": string | null,
-  "receiptNumber": string | null,
-  "hotelCity": string | null,
-  "checkInDate": string | null,
-  "checkOutDate": string | null,
-  "currency": string | null,
-  "totalPrice": number | null
+// Where the document is: in the prompt (text), attached (vision) or both (hybrid)
+function documentSection(text, pipeline) {
+  if (pipeline === "vision") return "Now extract from the attached document image(s).";
+  if (pipeline === "hybrid") {
+    return `Now extract from the attached document image(s).
+OCR text of the same document follows; it may contain recognition errors, trust the image where they disagree:
+
+${text}`;
+  }
+  return `Now extract from this document:
+
+${text}`;
 }
 
-Rules:
-1) Choose exactly ONE: "type" must be either "flight" or "hotel".
-2) Dates must be "YYYY-MM-DD" (date only). If unknown, null.
-3) City fields must be only city names (NOT airport codes and no country names) in ALL CAPS. If only code, infer city if obvious.
-4) Names: FIRSTNAME LASTNAME in ALL CAPS; remove titles MR/MS/MRS/DR; remove extra tokens.
-5) Flight simplification: do NOT output segments/connections.
-   overallFrom = first departure city name (the trip origin, not a connecting or layover airport; not an airport code or airport name), written in ALL CAPS as defined in point 3.
-   overallTo = final destination city name of the outgoing flight (not a connecting or layover airport; not an airport code or airport name), written in ALL CAPS as defined in point 3.   
-   departureDate = first departure date.
-   returnDate = departure date of the return flight (not a connecting or lazover flight) for round_trip only; otherwise null.
-   A flight is round_trip ONLY if there are two opposite directions (A→B and B→A) with respective flight dates. There can be connecting flight in return ticket (A→C→B and B→C→A).
-   Otherwise (if there are no opposite directions), it is one-way and returnDate MUST be null. There can be connecting flight in one-way ticket (i.e., A→C→B without returning from B to A).
-6) Price: currency must be a 3-letter international code. totalPrice must be a pure number (no currency symbols) representing the final sum of all costs, including the base fare/rate plus all applicable taxes, fees, and surcharges.
-7) Output ONLY valid JSON. No markdown, no extra keys.
-8) Always respond in English and use English characters.
-9) totalPrice must be a non-negative NUMBER (no currency symbols); if multiple prices, use TOTAL amount.
-10) bookingReference and receiptNumber are the same concept (different names for flight vs hotel). 
-    If multiple references/numbers, use the main one that is most prominently displayed.
-11) Hotel name formatting: hotelName must use Capitalized Words (first letter uppercase for each word).
-
-
-Now extract from this document:
-
-${text}
-  `.trim();
+// The template version's wording (lib/prompts.js) around the schemas and
+// type rules of the enabled document types. hash identifies the instructions
+// as sent (the prompt without the document), so runs can be compared even
+// when schemas change under one version.
+function buildPrompt(text, opts = {}) {
+  const template = getPromptTemplate(opts.promptVersion ?? DEFAULT_PROMPT_VERSION);
+  if (!template) throw new Error(`Unknown prompt version: ${opts.promptVersion ?? DEFAULT_PROMPT_VERSION}`);
+
+  const mode = opts.multi ? "multi" : "single";
+  const types = DOC_TYPES.map((t) => `"${t}"`).join(", ");
+  const rules = [
+    renderTemplate(template.record[mode], { types }),
+    ...template.rules,
+    ...promptTypeRules(opts),
+    ...languageRules(opts.language),
+  ]
+    .map((r, i) => `${i + 1}) ${r}`)
+    .join("\n");
+
+  const render = (document) =>
+    renderTemplate(template.body, {
+      documentKinds: promptDocumentKinds(),
+      output: template.output[mode],
+      schemas: promptSchemaBlocks(opts),
+      rules,
+      document,
+    }).trim();
+
+  return { prompt: render(documentSection(text, opts.pipeline)), version: template.version, hash: hashPrompt(render("")) };
 }
 
 // =====================================================
@@ -199,23 +265,6 @@ function escapeRegex(s) {
   return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-function cleanNameAllCaps(name) {
-  if (!name || typeof name !== "string") return null;
-  const stripped = name
-    .replace(/\b(MR|MRS|MS|MISS|DR|PROF)\b\.?/gi, "")
-    .replace(/[^A-Za-zÀ-ÿ\s'-]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  if (!stripped) return null;
-  return stripped.toUpperCase();
-}
-
-function cleanTicketNumber(t) {
-  if (!t || typeof t !== "string") return null;
-  const digits = t.replace(/[^\d\s]/g, " ").replace(/\s+/g, " ").trim();
-  return digits || null;
-}
-
 // JSON handling
 function stripCodeFences(s) {
   if (!s || typeof s !== "string") return "";
@@ -237,187 +286,583 @@ function extractFirstJSONObject(raw) {
   return null;
 }
 
-// Ensures missing keys are added as null before validation
-function ensureRequiredKeys(obj) {
-  if (!obj || typeof obj !== "object") return obj;
-
-  if (obj.type === "flight") {
-    const keys = [
-      "passengerName", "bookingReference", "ticketNumber", "tripType",
-      "overallFrom", "overallTo", "departureDate", "returnDate",
-      "currency", "totalPrice"
-    ];
-    for (const k of keys) {
-      if (!(k in obj)) {
-        obj[k] = null;
-      }
-    }
-  } else if (obj.type === "hotel") {
-    const keys = [
-      "guestName", "hotelName", "receiptNumber", "hotelCity",
-      "checkInDate", "checkOutDate", "currency", "totalPrice"
-    ];
-    for (const k of keys) {
-      if (!(k in obj)) {
-        obj[k] = null;
-      }
-    }
+function parseModelJson(raw) {
+  try {
+    return JSON.parse(stripCodeFences(raw));
+  } catch {}
+
+  const jsonStr = extractFirstJSONObject(raw);
+  if (!jsonStr) {
+    throw new Error(`Invalid JSON from model (no object found). Raw: ${raw.slice(0, 200)}...`);
+  }
+
+  try {
+    return JSON.parse(jsonStr);
+  } catch {
+    throw new Error(
+      `Invalid JSON from model (parse failed). Extracted: ${jsonStr.slice(0, 200)}...`
+    );
   }
-  return obj;
 }
 
-// ---------- Post-processing (Robust Round-Trip) ----------
+function buildRepairPrompt(prompt, raw, error) {
+  return `${prompt}
+
+Your previous answer could not be used:
+${error}
 
-function postProcessFlight(flightObj, originalText) {
-  const out = { ...flightObj };
+Previous answer:
+${String(raw).slice(0, 4000)}
 
-  // 1. Clean basic fields
-  out.passengerName = cleanNameAllCaps(out.passengerName);
-  out.ticketNumber = cleanTicketNumber(out.ticketNumber);
+Return the corrected JSON only.`;
+}
 
-  const t = (originalText || "").toLowerCase();
-  const a = (out.overallFrom || "").toLowerCase();
-  const b = (out.overallTo || "").toLowerCase();
+// Calls the model with doc = { text, images? } and turns its answer into
+// records with finalize(json). Transient errors, bad output and unreachable
+// models are handled by completeWithFallback (lib/retry.js): retries, then a
+// repair prompt with the error, then the next model of the fallback chain.
+// Returns { result, provider, model, attempts, prompt: { version, hash } };
+// on failure the thrown error carries .attempts and .prompt as well.
+async function callLLM(doc, opts, finalize) {
+  const { prompt, ...promptInfo } = buildPrompt(normalizeText(doc.text), { ...opts, language: doc.language });
+  const images = doc.images ?? undefined;
+  const maxTokens = opts.multi || opts.segments ? 2000 : 700;
+  const chain = [
+    { provider: opts.provider ?? PROVIDER, model: opts.model ?? MODEL },
+    ...(opts.fallback ?? LLM_FALLBACK),
+  ];
+
+  try {
+    const { result, llm, attempts } = await completeWithFallback(chain, prompt, {
+      call: (llm, currentPrompt) => complete({ ...llm, prompt: currentPrompt, maxTokens, images }),
+      accept: (raw) => finalize(parseModelJson(raw)),
+      repairPrompt: (raw, error) => buildRepairPrompt(prompt, raw, error),
+      repairs: LLM_REPAIR_ATTEMPTS,
+      retries: LLM_RETRIES,
+      baseDelayMs: LLM_RETRY_BASE_MS,
+    });
+    return { result, ...llm, attempts, prompt: promptInfo };
+  } catch (e) {
+    e.prompt = promptInfo;
+    throw e;
+  }
+}
 
-  // 2. Default to "one_way"
-  out.tripType = "one_way";
+// Key filling + validation + per-type post-processing for one record
+function finalizeRecord(obj, text, opts) {
+  // Fill missing keys with null BEFORE post-processing
+  let data = ensureRequiredKeys(obj);
 
-  if (!a || !b) return out;
+  const schema = assertKnownType(data);
 
-  // 3. Verify Forward Leg exists (A -> ... -> B)
-  const idxA = t.indexOf(a);
-  const idxB = t.indexOf(b, idxA);
+  // Deterministic clean-up of dates, currencies, amounts, cities...
+  const normalizations = normalizeRecord(schema, data);
 
-  if (idxA !== -1 && idxB !== -1) {
-    // 4. Scan for valid Return Leg (B -> ... -> A)
-    let cursor = idxB;
-    
-    while ((cursor = t.indexOf(a, cursor)) !== -1) {
-      
-      // CHECK 1: Is this 'A' followed closely by 'B'? (Repetition check)
-      const nextB = t.indexOf(b, cursor);
-      const isRepetition = (nextB !== -1 && (nextB - cursor) < 400);
+  data = postProcessRecord(data, text);
+  data.normalizations = normalizations;
 
-      // CHECK 2: Is this 'A' near a Time or Date? (Footer noise check)
-      const snippet = t.slice(Math.max(0, cursor - 50), cursor + 100);
-      const hasDigit = /\d/.test(snippet);
+  // Ensure keys still exist after post-processing
+  data = ensureRequiredKeys(data);
 
-      if (!isRepetition && hasDigit) {
-        // Found 'A' that is NOT a repetition AND looks like a real flight entry
-        out.tripType = "round_trip";
-        return out; 
+  assertValidOutput(data, opts);
+
+  // Which values can actually be found in the text the model was given
+  // (vision-only runs have no text to check against)
+  data.grounding = text ? checkGrounding(schema, data, normalizeText(text)) : {};
+
+  // Price components vs. total, nights vs. dates; mismatches are flagged, not rejected
+  data.consistency = checkConsistency(schema, data);
+
+  return data;
+}
+
+async function extractStructured(doc, opts = {}) {
+  return callLLM(doc, opts, (json) => finalizeRecord(json, doc.text, opts));
+}
+
+// Multi mode: every record is validated and post-processed on its own
+async function extractStructuredMany(doc, opts = {}) {
+  return callLLM(doc, { ...opts, multi: true }, (raw) => {
+    let records;
+    if (Array.isArray(raw)) records = raw;
+    else if (Array.isArray(raw?.records)) records = raw.records;
+    else if (raw?.type) records = [raw];
+    else throw new Error(`Model output missing "records": ${JSON.stringify(raw).slice(0, 200)}`);
+
+    if (records.length === 0) throw new Error("Model returned no records");
+
+    return records.map((r, i) => {
+      try {
+        return finalizeRecord(r, doc.text, opts);
+      } catch (e) {
+        throw new Error(`Record ${i + 1}/${records.length}: ${e.message}`);
       }
-      
-      cursor++; 
-    }
-  }
+    });
+  });
+}
 
-  // Enforce one_way rules
-  out.returnDate = null;
-  return out;
+function requestParam(req, name) {
+  return req?.body?.[name] ?? req?.query?.[name];
 }
 
-// ---------- Validate schema ----------
-function assertValidOutput(obj) {
-  const t = obj?.type;
-  if (t !== "flight" && t !== "hotel") {
-    throw new Error(
-      `Model output missing/invalid "type": ${JSON.stringify(obj).slice(0, 200)}`
-    );
-  }
+function isTruthyParam(v) {
+  return v === true || ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
 
-  if (t === "flight") {
-    const required = [
-      "passengerName",
-      "bookingReference",
-      "ticketNumber",
-      "tripType",
-      "overallFrom",
-      "overallTo",
-      "departureDate",
-      "returnDate",
-      "currency",
-      "totalPrice",
-    ];
-    for (const k of required) {
-      if (!(k in obj)) throw new Error(`Flight output missing key "${k}"`);
-    }
+// Options shared by both extract routes (JSON body, form fields or query string):
+//   mode=multi            -> several records per document
+//   segments=true         -> flights carry segment-level itineraries
+//   breakdown=true        -> flights and hotels carry price line items (checked against the total)
+//   reviewThreshold=0.7   -> fields below this confidence mark the document "needs review"
+//   provider=ollama&model=qwen2.5:7b -> override the default LLM for this request
+//   fallback=openai:gpt-4o-mini      -> override LLM_FALLBACK ("" = no fallback)
+//   pipeline=ocr|vision|hybrid       -> files: OCR text, page images, or both (vision models)
+//   preprocess=raw,upscale+median    -> OCR preprocessing variants to try (default OCR_PREPROCESS)
+//   reportingCurrency=USD            -> currency reportingAmount is given in (default REPORTING_CURRENCY)
+//   experiment=<id>                  -> evaluation run (run_eval.mjs): tagged in eval_runs, not stored as a document
+//   promptVersion=v2                 -> prompt template version (default PROMPT_VERSION, see lib/prompts.js)
+// Throws for an unknown or unconfigured provider / unknown pipeline / unknown preprocessing step /
+// malformed reporting currency / unknown prompt version
+function extractOptions(req) {
+  const rawThreshold = requestParam(req, "reviewThreshold");
+  const threshold = rawThreshold == null ? DEFAULT_REVIEW_THRESHOLD : Number(String(rawThreshold).trim() || NaN);
+  if (!(threshold >= 0 && threshold <= 1)) {
+    throw new Error(`Invalid reviewThreshold: ${rawThreshold} (a number from 0 to 1)`);
   }
+  const pipeline = String(requestParam(req, "pipeline") || "ocr").toLowerCase();
+  if (!PIPELINES.includes(pipeline)) {
+    throw new Error(`Invalid pipeline: ${pipeline} (one of ${PIPELINES.join(", ")})`);
+  }
+  const reportingCurrency = String(requestParam(req, "reportingCurrency") || REPORTING_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(reportingCurrency)) {
+    throw new Error(`Invalid reportingCurrency: ${reportingCurrency} (3-letter ISO code)`);
+  }
+  const promptVersion = String(requestParam(req, "promptVersion") || DEFAULT_PROMPT_VERSION);
+  if (!getPromptTemplate(promptVersion)) throw new Error(`Unknown prompt version: ${promptVersion}`);
+  return {
+    reportingCurrency,
+    pipeline,
+    multi: String(requestParam(req, "mode") || "").toLowerCase() === "multi",
+    segments: isTruthyParam(requestParam(req, "segments")),
+    breakdown: isTruthyParam(requestParam(req, "breakdown")),
+    reviewThreshold: threshold,
+    ...resolveProvider(requestParam(req, "provider"), requestParam(req, "model")),
+    ...(requestParam(req, "fallback") != null
+      ? { fallback: resolveProviderList(requestParam(req, "fallback")) }
+      : {}),
+    ...(requestParam(req, "preprocess") ? { preprocess: parseVariants(requestParam(req, "preprocess")) } : {}),
+    experiment: requestParam(req, "experiment") || null,
+    promptVersion,
+  };
+}
 
-  if (t === "hotel") {
-    const required = [
-      "guestName",
-      "hotelName",
-      "receiptNumber",
-      "hotelCity",
-      "checkInDate",
-      "checkOutDate",
-      "currency",
-      "totalPrice",
-    ];
-    for (const k of required) {
-      if (!(k in obj)) throw new Error(`Hotel output missing key "${k}"`);
-    }
+// Non-default options are recorded in eval_runs.notes
+function runNotes(opts, data) {
+  const parts = [];
+  if (opts.multi) parts.push(Array.isArray(data) ? `mode=multi records=${data.length}` : "mode=multi");
+  if (opts.segments) parts.push("segments");
+  if (opts.breakdown) parts.push("breakdown");
+  if (opts.preprocess) parts.push(`preprocess=${opts.preprocess.join(",")}`);
+  if (opts.reportingCurrency !== REPORTING_CURRENCY) parts.push(`reportingCurrency=${opts.reportingCurrency}`);
+  return parts.length ? parts.join(" ") : null;
+}
+
+// Single mode keeps the original { ok, data } response; multi adds "records"
+// and keeps "data" as the first record for single-record callers.
+// doc = { text, words?, images?, language? }: words = OCR word confidences (none for
+// pasted text / text-layer PDFs), images = page images for vision models,
+// language = detected document language (Tesseract code)
+async function extractForRequest(doc, opts) {
+  const located = doc.words ? locateWords(normalizeText(doc.text), doc.words) : null;
+  // Review flags (vision-only: nothing to check the values against), then the amount in the reporting currency
+  const review = (record) =>
+    doc.text ? reviewRecord(record, located, opts.reviewThreshold) : reviewUncheckedRecord(record);
+  const finish = (record) => addReportingAmount(getSchema(record.type), review(record), opts.reportingCurrency);
+
+  if (!opts.multi) {
+    const { result, ...llm } = await extractStructured(doc, opts);
+    const data = finish(result);
+    return {
+      data,
+      body: { needsReview: data.needsReview, data, language: doc.language ?? null, llm: llmSummary(llm) },
+      docType: data.type,
+      llm,
+    };
   }
+
+  const { result, ...llm } = await extractStructuredMany(doc, opts);
+  const records = result.map(finish);
+  return {
+    data: records,
+    body: {
+      needsReview: records.some((r) => r.needsReview),
+      data: records[0],
+      records,
+      language: doc.language ?? null,
+      llm: llmSummary(llm),
+    },
+    docType: [...new Set(records.map((r) => r.type))].join(","),
+    llm,
+  };
+}
+
+// Which model answered with which prompt, after how many tries (full log is in eval_runs)
+function llmSummary(llm) {
+  return { provider: llm.provider, model: llm.model, attempts: llm.attempts.length, prompt: llm.prompt };
 }
 
-async function callLLM(text) {
-  const body = {
-    model: MODEL,
-    messages: [{ role: "user", content: buildPrompt(normalizeText(text)) }],
-    temperature: 0,
-    max_tokens: 700,
-    ...(PROVIDER === "ollama" ? { format: "json" } : {}),
-    ...(PROVIDER === "openai" ? { response_format: { type: "json_object" } } : {}),
+// eval_runs columns for a callLLM() result or error
+function llmColumns(llm) {
+  return {
+    ...(llm?.attempts ? { attempts: llm.attempts.length, attempt_log: JSON.stringify(llm.attempts) } : {}),
+    ...(llm?.prompt ? { prompt_version: llm.prompt.version, prompt_hash: llm.prompt.hash } : {}),
   };
+}
 
-  const r = await fetch(`${BASE_URL}/chat/completions`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${API_KEY}`,
-    },
-    body: JSON.stringify(body),
-  });
+// =====================================================
+// Routes
+// =====================================================
 
-  const data = await r.json();
+app.get("/api/ping", (_, res) => {
+  res.json({ ok: true, provider: PROVIDER, model: MODEL, db: DB_PATH });
+});
+
+app.get("/api/providers", (_, res) => {
+  res.json({ ok: true, providers: describeProviders() });
+});
+
+app.get("/api/schemas", (_, res) => {
+  res.json({ ok: true, schemas: describeSchemas() });
+});
+
+// ---------- Prompt templates ----------
+
+app.get("/api/prompts", (_, res) => {
+  res.json({ ok: true, default: DEFAULT_PROMPT_VERSION, prompts: listPromptTemplates() });
+});
+
+app.get("/api/prompts/:version", (req, res) => {
+  const template = getPromptTemplate(req.params.version);
+  if (!template) return res.status(404).json({ error: "Prompt version not found" });
+  const { version, source, hash, created_at, description, content } = template;
+  return res.json({ ok: true, prompt: { version, source, hash, created_at, description, content } });
+});
 
-  if (data?.error) {
-    throw new Error(typeof data.error === "string" ? data.error : JSON.stringify(data.error));
+// Body: { version, content } in the template format of lib/prompts.js; existing versions are never replaced
+app.post("/api/prompts", (req, res) => {
+  try {
+    const { version, source, hash, created_at, description } = savePromptTemplate({
+      version: req.body?.version,
+      content: String(req.body?.content ?? ""),
+    });
+    return res.json({ ok: true, prompt: { version, source, hash, created_at, description } });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
+});
 
-  const raw = data?.choices?.[0]?.message?.content ?? "";
+// ---------- Ground truth + scoring ----------
+
+app.get("/api/ground-truth", (_, res) => {
+  res.json({ ok: true, labels: listLabels() });
+});
 
+// Body: array of labels, object keyed by source_file, or { format: "csv", content }
+app.post("/api/ground-truth", (req, res) => {
   try {
-    return JSON.parse(stripCodeFences(raw));
-  } catch {}
+    const body = req.body ?? {};
+    const labels =
+      body.format === "csv"
+        ? parseLabels(String(body.content ?? ""), "csv")
+        : parseLabels(JSON.stringify(body.labels ?? body), "json");
+
+    const saved = saveLabels(labels);
+    return res.json({ ok: true, saved: saved.length, docKeys: saved });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
 
-  const jsonStr = extractFirstJSONObject(raw);
-  if (!jsonStr) {
-    throw new Error(`Invalid JSON from model (no object found). Raw: ${raw.slice(0, 200)}...`);
+app.get("/api/fx-rates", (_, res) => {
+  res.json({ ok: true, reportingCurrency: REPORTING_CURRENCY, currencies: describeFxRates() });
+});
+
+// Body: { content: "<ECB CSV>" } (eurofxref-hist.csv or an ECB data portal export)
+app.post("/api/fx-rates", (req, res) => {
+  try {
+    const saved = saveFxRates(parseFxCsv(String(req.body?.content ?? "")));
+    return res.json({ ok: true, saved });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
+});
+
+// ---------- Review queue ----------
+
+// ?status=pending (default: all), ?limit=100; newest first
+app.get("/api/documents", (req, res) => {
+  const status = req.query.status || null;
+  if (status && !REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status: ${status} (one of ${REVIEW_STATUSES.join(", ")})` });
+  }
+  const limit = Number(req.query.limit) || 100;
 
   try {
-    return JSON.parse(jsonStr);
-  } catch {
-    throw new Error(
-      `Invalid JSON from model (parse failed). Extracted: ${jsonStr.slice(0, 200)}...`
-    );
+    return res.json({ ok: true, documents: listReviewQueue({ status, limit }) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// The document plus the text the model read (grounding offsets point into it)
+app.get("/api/documents/:id", (req, res) => {
+  const id = Number(req.params.id);
+  const document = getDocument(id);
+  if (!document) return res.status(404).json({ error: "Document not found" });
+  return res.json({ ok: true, document, text: getDocumentSource(id).text });
+});
+
+// The uploaded file, for the side-by-side review view
+app.get("/api/documents/:id/file", (req, res) => {
+  const source = getDocumentSource(Number(req.params.id));
+  if (!source?.file || !fs.existsSync(source.file)) return res.status(404).json({ error: "File not found" });
+  res.type(source.mimetype || "application/octet-stream");
+  return res.sendFile(path.resolve(source.file));
+});
+
+// Body: { reviewer, status?, fields?: { field: value } } -> saves the review
+// (lib/documents.js); approved and corrected documents become ground truth
+app.patch("/api/documents/:id", (req, res) => {
+  try {
+    const result = reviewDocument(Number(req.params.id), req.body ?? {});
+    if (!result) return res.status(404).json({ error: "Document not found" });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/api/documents/:id/duplicates", (req, res) => {
+  try {
+    const result = documentDuplicates(Number(req.params.id));
+    if (!result) return res.status(404).json({ error: "Document not found" });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Stored documents grouped into trips per traveller (lib/trips.js);
+// ?traveller=, ?from=/?to= (YYYY-MM-DD, trips overlapping the range), ?reportingCurrency=
+app.get("/api/trips", (req, res) => {
+  const { traveller, from, to } = req.query;
+  const reportingCurrency = String(req.query.reportingCurrency || REPORTING_CURRENCY).toUpperCase();
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return res.status(400).json({ error: `Invalid ${name}: ${value} (YYYY-MM-DD)` });
+    }
+  }
+  if (!/^[A-Z]{3}$/.test(reportingCurrency)) {
+    return res.status(400).json({ error: `Invalid reportingCurrency: ${reportingCurrency} (3-letter ISO code)` });
+  }
+
+  try {
+    return res.json({ ok: true, ...buildTrips({ traveller, from, to, reportingCurrency }) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Export options (query string, or JSON body for POST):
+//   format=csv|xlsx|pdf
+//   from=2024-01-01&to=2024-03-31  -> transaction dates, inclusive
+//   traveller=John Smith&type=flight,hotel&ids=3,4,7
+//   includeDuplicates=true         -> also later uploads of the same document
+//   reportingCurrency=USD
+//   columns={...}                  -> column mappings (lib/export.js), JSON object or string
+// Throws on any malformed value
+function exportOptions(req) {
+  const format = String(requestParam(req, "format") || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format} (one of ${EXPORT_FORMATS.join(", ")})`);
+  }
+
+  const list = (v) => (Array.isArray(v) ? v : String(v ?? "").split(",")).map((x) => String(x).trim()).filter(Boolean);
+
+  const from = requestParam(req, "from") || null;
+  const to = requestParam(req, "to") || null;
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`Invalid ${name}: ${value} (YYYY-MM-DD)`);
+  }
+
+  const types = list(requestParam(req, "type"));
+  for (const t of types) {
+    if (!getSchema(t)) throw new Error(`Invalid type: ${t} (one of ${DOC_TYPES.join(", ")})`);
+  }
+
+  const ids = list(requestParam(req, "ids")).map(Number);
+  if (ids.some((id) => !Number.isInteger(id))) throw new Error("ids must be document ids");
+
+  const reportingCurrency = String(requestParam(req, "reportingCurrency") || REPORTING_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(reportingCurrency)) {
+    throw new Error(`Invalid reportingCurrency: ${reportingCurrency} (3-letter ISO code)`);
+  }
+
+  let columns = requestParam(req, "columns") ?? null;
+  if (typeof columns === "string") {
+    try {
+      columns = JSON.parse(columns);
+    } catch {
+      throw new Error("columns must be JSON");
+    }
   }
+
+  return {
+    format,
+    filters: {
+      from,
+      to,
+      traveller: requestParam(req, "traveller") || null,
+      types,
+      ids,
+      includeDuplicates: isTruthyParam(requestParam(req, "includeDuplicates")),
+      reportingCurrency,
+    },
+    columns: columns ? validateColumns(columns) : null,
+  };
 }
 
-async function extractTextFromImage(path) {
-  const buffer = await fs.promises.readFile(path);
-  const { data } = await Tesseract.recognize(buffer, "eng");
-  return data.text;
+// Expense report of the stored documents as a file download
+function exportRoute(req, res) {
+  let opts;
+  try {
+    opts = exportOptions(req);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const { body, contentType, filename, count } = exportDocuments(opts.format, opts.filters, opts.columns);
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.set("X-Document-Count", String(count));
+    return res.send(body);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
 }
 
-// =====================================================
-// Routes
-// =====================================================
+app.get("/api/export", exportRoute);
+app.post("/api/export", exportRoute);
 
-app.get("/api/ping", (_, res) => {
-  res.json({ ok: true, provider: PROVIDER, model: MODEL, db: DB_PATH });
+app.get("/api/eval/accuracy", (req, res) => {
+  const { provider, model, input_type, since, until, experiment, prompt_version, priceTolerance, details } = req.query;
+
+  const report = scoreEvalRuns(
+    { provider, model, input_type, since, until, experiment, prompt_version },
+    priceTolerance != null ? { priceTolerance: Number(priceTolerance) } : {}
+  );
+
+  // Field-by-field comparisons per run are large; only include them on request
+  if (details !== "1" && details !== "true") {
+    for (const r of report) {
+      r.documents = r.documents.map(({ fields, ...doc }) => doc);
+    }
+  }
+
+  res.json({ ok: true, report });
+});
+
+// ---------- Evaluation dashboard (read-only, lib/evalStats.js) ----------
+
+// Filters shared by the dashboard routes (query string):
+//   provider, model, input_type, docType, experiment, prompt_version
+//   ocr_used=1|0
+//   since / until = ISO timestamps; a bare date (YYYY-MM-DD) as until includes that whole day
+// Throws for malformed values
+function evalFilters(req) {
+  const { provider, model, input_type, docType, experiment, prompt_version, ocr_used, since, until } = req.query;
+
+  if (ocr_used != null && ocr_used !== "" && !["0", "1", "true", "false"].includes(String(ocr_used))) {
+    throw new Error(`Invalid ocr_used: ${ocr_used} (0 or 1)`);
+  }
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && Number.isNaN(Date.parse(value))) throw new Error(`Invalid ${name}: ${value} (YYYY-MM-DD)`);
+  }
+
+  return {
+    provider: provider || undefined,
+    model: model || undefined,
+    input_type: input_type || undefined,
+    docType: docType || undefined,
+    experiment: experiment || undefined,
+    prompt_version: prompt_version || undefined,
+    ocr_used: ocr_used == null || ocr_used === "" ? null : isTruthyParam(ocr_used),
+    since: since || undefined,
+    until: /^\d{4}-\d{2}-\d{2}$/.test(until ?? "") ? `${until}T23:59:59.999Z` : until || undefined,
+  };
+}
+
+// Providers, models, input types, doc types, experiments and prompt versions seen in eval_runs
+app.get("/api/eval/options", (_, res) => {
+  res.json({ ok: true, ...evalFilterOptions() });
+});
+
+// ?groupBy=provider,model (default) plus filters -> per-group success rate,
+// failure categories, latency percentiles + histogram, and input size vs latency points
+app.get("/api/eval/stats", (req, res) => {
+  let filters;
+  const groupBy = String(req.query.groupBy || "provider,model")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  try {
+    filters = evalFilters(req);
+    const unknown = groupBy.find((k) => !EVAL_GROUP_KEYS.includes(k));
+    if (unknown) throw new Error(`Invalid groupBy: ${unknown} (any of ${EVAL_GROUP_KEYS.join(", ")})`);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    res.json({ ok: true, groupBy, ...evalStats(filters, groupBy) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Run list for drilling down: filters plus success=1|0, errorCategory, limit (max 500), offset
+app.get("/api/eval/runs", (req, res) => {
+  let filters;
+  const { success, errorCategory } = req.query;
+  try {
+    filters = evalFilters(req);
+    if (errorCategory && !ERROR_CATEGORY_NAMES.includes(errorCategory)) {
+      throw new Error(`Invalid errorCategory: ${errorCategory} (one of ${ERROR_CATEGORY_NAMES.join(", ")})`);
+    }
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json({
+    ok: true,
+    ...listEvalRuns(filters, {
+      success: success == null || success === "" ? null : isTruthyParam(success),
+      errorCategory: errorCategory || null,
+      limit,
+      offset,
+    }),
+  });
+});
+
+// One run with its json_output, parse_error and attempt log
+app.get("/api/eval/runs/:id", (req, res) => {
+  const run = getEvalRun(Number(req.params.id));
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json({ ok: true, run });
 });
 
 app.post("/api/extract", async (req, res) => {
@@ -427,125 +872,292 @@ app.post("/api/extract", async (req, res) => {
 
   const inputChars = typeof inputText === "string" ? inputText.length : 0;
 
+  let opts;
   try {
-    if (!inputText) return res.status(400).json({ error: "Missing text" });
-
-    let data = await callLLM(inputText);
-
-    //Fill missing keys with null BEFORE validation
-    data = ensureRequiredKeys(data);
+    opts = extractOptions(req);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  if (opts.pipeline !== "ocr") {
+    return res.status(400).json({ error: "pipeline=vision/hybrid needs a file (/api/extract-file)" });
+  }
 
-    assertValidOutput(data);
+  // Detected before the model call so failed runs are logged with it too
+  const { language } = detectLanguage(inputText);
 
-    if (data.type === "flight") {
-      data = postProcessFlight(data, inputText);
-    }
-    
-    // Ensure keys still exist after post-processing
-    data = ensureRequiredKeys(data); 
+  try {
+    if (!inputText) return res.status(400).json({ error: "Missing text" });
 
-    assertValidOutput(data);
+    const { data, body, docType, llm } = await llmLimit(() => extractForRequest({ text: inputText, language }, opts));
 
     const latency = Date.now() - t0;
 
-    logEvalRun({
+    const evalRunId = logEvalRun({
       source_file,
+      provider: llm.provider,
+      model: llm.model,
       input_type: "text",
       input_chars: inputChars,
       ocr_used: 0,
+      language,
       latency_ms: latency,
       success: 1,
-      docType_pred: data.type,
+      docType_pred: docType,
       json_output: JSON.stringify(data),
       parse_error: null,
+      ...summarizeGrounding(data),
+      ...summarizeConfidence(data),
+      ...summarizeConsistency(data),
+      ...llmColumns(llm),
+      experiment: opts.experiment,
+      notes: runNotes(opts, data),
     });
 
-    return res.json({ ok: true, data });
+    // Evaluation runs stay out of the document store (trips, exports, review)
+    const stored = opts.experiment
+      ? {}
+      : storeExtraction({ source_file, content: inputText, data, eval_run_id: evalRunId, text: inputText });
+    return res.json({ ok: true, ...body, ...stored });
   } catch (e) {
     const latency = Date.now() - t0;
 
     logEvalRun({
       source_file,
+      provider: opts.provider,
+      model: opts.model,
       input_type: "text",
       input_chars: inputChars,
       ocr_used: 0,
+      language,
       latency_ms: latency,
       success: 0,
       docType_pred: null,
       json_output: null,
       parse_error: e?.message ?? "Unknown error",
+      ...llmColumns(e),
+      experiment: opts.experiment,
+      notes: runNotes(opts),
     });
 
     return res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/extract-file", upload.single("file"), async (req, res) => {
+// OCR + LLM for one uploaded file, shared by /api/extract-file and the job
+// queue. Both stages run under the process-wide limits. Logs the run either way.
+// onStage(stage) reports progress ("text", "ocr", "llm"; see lib/jobs.js).
+async function extractFile({ filePath, mimetype, source_file, opts, onStage }) {
   const t0 = Date.now();
-  const filePath = req?.file?.path;
-  const source_file = req?.file?.originalname ?? null;
-
-  try {
-    if (!req.file) return res.status(400).json({ error: "Missing file" });
-    if (!req.file.mimetype.startsWith("image/")) {
-      return res.status(400).json({ error: "Only images supported" });
-    }
 
-    const ocrText = await extractTextFromImage(filePath);
-    const inputChars = ocrText?.length ?? 0;
+  // Updated once the file type is known; PDFs only use OCR for scanned pages
+  let inputType = "image";
+  let ocrUsed = true;
+  let inputChars = 0;
+  let preprocessing = null;
+  let language = null;
 
-    let data = await callLLM(ocrText);
-
-    // Fill missing keys with null BEFORE validation
-    data = ensureRequiredKeys(data);
-
-    assertValidOutput(data);
-
-    if (data.type === "flight") {
-      data = postProcessFlight(data, ocrText);
-    }
+  try {
+    const buffer = await fs.promises.readFile(filePath);
+    onStage?.("text");
+    const doc = await ocrLimit(() =>
+      prepareDocument(buffer, mimetype, opts.pipeline, opts.preprocess, () => onStage?.("ocr"))
+    );
+    inputType = doc.input_type;
+    ocrUsed = doc.ocr_used;
+    inputChars = doc.text?.length ?? 0;
+    preprocessing = doc.preprocessing;
+    language = doc.language;
 
-    // Ensure keys still exist after post-processing
-    data = ensureRequiredKeys(data);
+    if (!doc.text?.trim() && !doc.images?.length) throw new Error("No text found in document");
 
-    assertValidOutput(data);
+    onStage?.("llm");
+    const { data, body, docType, llm } = await llmLimit(() => extractForRequest(doc, opts));
 
     const latency = Date.now() - t0;
 
-    logEvalRun({
+    const evalRunId = logEvalRun({
       source_file,
-      input_type: "image",
+      provider: llm.provider,
+      model: llm.model,
+      input_type: inputType,
       input_chars: inputChars,
-      ocr_used: 1,
+      ocr_used: ocrUsed,
       latency_ms: latency,
       success: 1,
-      docType_pred: data.type,
+      docType_pred: docType,
       json_output: JSON.stringify(data),
       parse_error: null,
+      ...summarizeGrounding(data),
+      ...summarizeConfidence(data),
+      ...summarizeConsistency(data),
+      ...llmColumns(llm),
+      preprocessing,
+      language,
+      experiment: opts.experiment,
+      notes: runNotes(opts, data),
     });
 
-    return res.json({ ok: true, data });
+    return {
+      ok: true,
+      ...body,
+      ...(opts.experiment
+        ? {}
+        : storeExtraction({
+            source_file,
+            content: buffer,
+            data,
+            eval_run_id: evalRunId,
+            text: doc.text,
+            file: buffer,
+            mimetype,
+          })),
+      meta: { input_type: inputType, ocr_used: ocrUsed, pages: doc.pages, script: doc.script, preprocessing },
+    };
   } catch (e) {
     const latency = Date.now() - t0;
 
     logEvalRun({
       source_file,
-      input_type: "image",
-      input_chars: 0,
-      ocr_used: 1,
+      provider: opts.provider,
+      model: opts.model,
+      input_type: inputType,
+      input_chars: inputChars,
+      ocr_used: ocrUsed,
       latency_ms: latency,
       success: 0,
       docType_pred: null,
       json_output: null,
       parse_error: e?.message ?? "Unknown error",
+      ...llmColumns(e),
+      preprocessing,
+      language,
+      experiment: opts.experiment,
+      notes: runNotes(opts),
     });
 
+    throw e;
+  }
+}
+
+async function isSupportedFile(file) {
+  const handle = await fs.promises.open(file.path, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(8), 0, 8, 0);
+    return isSupportedUpload(buffer.subarray(0, bytesRead), file.mimetype);
+  } finally {
+    await handle.close();
+  }
+}
+
+app.post("/api/extract-file", upload.single("file"), async (req, res) => {
+  const filePath = req?.file?.path;
+
+  try {
+    if (!req.file) return res.status(400).json({ error: "Missing file" });
+
+    if (!(await isSupportedFile(req.file))) {
+      return res.status(400).json({ error: "Only PDFs and images supported" });
+    }
+
+    let opts;
+    try {
+      opts = extractOptions(req);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const result = await extractFile({
+      filePath,
+      mimetype: req.file.mimetype,
+      source_file: req.file.originalname ?? null,
+      opts,
+    });
+    return res.json(result);
+  } catch (e) {
     return res.status(500).json({ error: e.message });
   } finally {
     if (filePath) fs.unlink(filePath, () => {});
   }
 });
 
+// ---------- Async jobs ----------
+
+// Same input + options as /api/extract-file ("file", or several "files");
+// answers right away with one queued job per file
+app.post(
+  "/api/jobs",
+  upload.fields([{ name: "file", maxCount: 1 }, { name: "files" }]),
+  async (req, res) => {
+    const files = [...(req.files?.file ?? []), ...(req.files?.files ?? [])];
+    if (files.length === 0) return res.status(400).json({ error: "Missing file" });
+
+    let opts;
+    try {
+      opts = extractOptions(req);
+    } catch (e) {
+      for (const file of files) fs.unlink(file.path, () => {});
+      return res.status(400).json({ error: e.message });
+    }
+
+    const jobs = [];
+    const rejected = [];
+    // Files handed to a job are deleted by the queue; every other upload here
+    const queued = new Set();
+
+    try {
+      for (const file of files) {
+        if (!(await isSupportedFile(file))) {
+          rejected.push({ source_file: file.originalname, error: "Only PDFs and images supported" });
+          continue;
+        }
+        jobs.push(
+          createJob({ source_file: file.originalname, file_path: file.path, mimetype: file.mimetype, options: opts })
+        );
+        queued.add(file.path);
+      }
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    } finally {
+      for (const file of files) {
+        if (!queued.has(file.path)) fs.unlink(file.path, () => {});
+      }
+    }
+
+    if (jobs.length === 0) return res.status(400).json({ error: "Only PDFs and images supported", rejected });
+    return res.status(202).json({ ok: true, jobs, rejected });
+  }
+);
+
+app.get("/api/jobs", (req, res) => {
+  const { status } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(", ")}` });
+  }
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json({ ok: true, jobs: listJobs({ status, limit }) });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json({ ok: true, job });
+});
+
+startJobQueue(async (job, setStage) => {
+  try {
+    if (!fs.existsSync(job.file_path)) throw new Error("Uploaded file is no longer available");
+    return await extractFile({
+      filePath: job.file_path,
+      mimetype: job.mimetype,
+      source_file: job.source_file,
+      opts: job.options,
+      onStage: setStage,
+    });
+  } finally {
+    fs.unlink(job.file_path, () => {});
+  }
+});
+
 // =====================================================
 // Start
 // =====================================================
@@ -0,0 +1,28 @@
+// =====================================================
+// Field cleaning helpers shared by the document schemas
+// =====================================================
+
+// Keeps letters of any script ("ÖZGÜR ŞAHİN", "زهرا احمدی"); titles are only
+// removed as whole words, so "DRÖGE" stays intact
+export function cleanNameAllCaps(name) {
+  if (!name || typeof name !== "string") return null;
+  const stripped = name
+    .replace(/(?<!\p{L})(MR|MRS|MS|MISS|DR|PROF)(?!\p{L})\.?/giu, "")
+    .replace(/[^\p{L}\p{M}\s'-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!stripped) return null;
+  return stripped.toUpperCase();
+}
+
+export function cleanTicketNumber(t) {
+  if (!t || typeof t !== "string") return null;
+  const digits = t.replace(/[^\d\s]/g, " ").replace(/\s+/g, " ").trim();
+  return digits || null;
+}
+
+export function cleanCityAllCaps(city) {
+  if (!city || typeof city !== "string") return null;
+  const c = city.replace(/\s+/g, " ").trim();
+  return c ? c.toUpperCase() : null;
+}
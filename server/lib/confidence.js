@@ -0,0 +1,86 @@
+// =====================================================
+// Per-field confidence (OCR confidence x grounding)
+// =====================================================
+//
+// A field's confidence is the mean OCR confidence of the words its value
+// was found in, scaled down when the value could not be found in the text
+// at all. Text-layer PDFs and pasted text count as fully legible.
+
+export const DEFAULT_REVIEW_THRESHOLD = Number(process.env.REVIEW_CONFIDENCE_THRESHOLD || 0.5);
+
+// Ungrounded values may still be right (inferred, reformatted), but are suspect
+const UNGROUNDED_FACTOR = 0.3;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Finds each OCR word in the text the model was given, in reading order, so
+// grounding offsets can be mapped back to words
+export function locateWords(text, words) {
+  const located = [];
+  let cursor = 0;
+  for (const w of words ?? []) {
+    const word = String(w.text ?? "").trim();
+    if (!word) continue;
+    const start = text.indexOf(word, cursor);
+    if (start === -1) continue;
+    located.push({ ...w, start, end: start + word.length });
+    cursor = start + word.length;
+  }
+  return located;
+}
+
+// Mean confidence (0-1) of the words overlapping [start, end); null if none
+function ocrConfidenceAt(located, start, end) {
+  const hits = located.filter((w) => w.start < end && w.end > start);
+  if (hits.length === 0) return null;
+  return hits.reduce((sum, w) => sum + w.confidence, 0) / hits.length / 100;
+}
+
+// Returns { [path]: 0..1 } for every field the grounding check looked at.
+// located = locateWords() result, or null when no OCR was involved
+export function fieldConfidences(record, located) {
+  const pageConfidence =
+    located?.length ? located.reduce((sum, w) => sum + w.confidence, 0) / located.length / 100 : 1;
+
+  const out = {};
+  for (const [path, g] of Object.entries(record.grounding ?? {})) {
+    if (!g.grounded) {
+      out[path] = round2(pageConfidence * UNGROUNDED_FACTOR);
+      continue;
+    }
+    const ocr = located ? ocrConfidenceAt(located, g.offset, g.offset + g.length) : 1;
+    out[path] = round2(ocr ?? pageConfidence);
+  }
+  return out;
+}
+
+// Adds confidence, needsReview and lowConfidenceFields to the record
+export function reviewRecord(record, located, threshold = DEFAULT_REVIEW_THRESHOLD) {
+  record.confidence = fieldConfidences(record, located);
+  record.lowConfidenceFields = Object.keys(record.confidence).filter((p) => record.confidence[p] < threshold);
+  // A price breakdown that does not add up is as suspicious as a low score
+  record.needsReview = record.lowConfidenceFields.length > 0 || (record.consistency?.issues.length ?? 0) > 0;
+  return record;
+}
+
+// Vision-only records: there is no text to ground the values in or OCR
+// confidence to score them by, so instead of reporting full confidence the
+// record gets none (confidence = null) and always goes to review
+export function reviewUncheckedRecord(record) {
+  record.confidence = null;
+  record.lowConfidenceFields = [];
+  record.needsReview = true;
+  return record;
+}
+
+// Columns for eval_runs; records = one record or the multi-mode array
+export function summarizeConfidence(records) {
+  const list = Array.isArray(records) ? records : [records];
+  const values = list.flatMap((r) => Object.values(r?.confidence ?? {}));
+  return {
+    min_confidence: values.length ? Math.min(...values) : null,
+    needs_review: list.some((r) => r?.needsReview),
+  };
+}
@@ -0,0 +1,121 @@
+// =====================================================
+// Arithmetic consistency checks (price breakdown)
+// =====================================================
+//
+// Schemas with a price breakdown list their checks in consistency(record)
+// using the helpers below. A helper returns null when its fields are missing
+// (nothing to check), else { check, ok, paths, message }. Any failed check
+// marks the record for review: a total that disagrees with its own
+// components is usually a misread total.
+
+// Printed receipts round per line: 5 cents or 0.5% of the amount, whichever is larger
+function amountTolerance(amount) {
+  return Math.max(0.05, Math.abs(amount) * 0.005);
+}
+
+function isNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function money(v) {
+  return (Math.round(v * 100) / 100).toFixed(2);
+}
+
+function result(check, ok, paths, message) {
+  return { check, ok, paths, message: ok ? null : message };
+}
+
+// "2024-03-12", "2024-03-15" -> 3
+function daysBetween(from, to) {
+  if (typeof from !== "string" || typeof to !== "string") return null;
+  const a = Date.parse(`${from.slice(0, 10)}T00:00:00Z`);
+  const b = Date.parse(`${to.slice(0, 10)}T00:00:00Z`);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+  return Math.round((b - a) / 86400000);
+}
+
+function itemAmounts(obj, itemsField, kind) {
+  const items = Array.isArray(obj[itemsField]) ? obj[itemsField] : [];
+  return items.filter((it) => isNumber(it?.amount) && (!kind || it.kind === kind)).map((it) => it.amount);
+}
+
+// The line items add up to the total
+export function checkItemsSum(obj, itemsField, totalField) {
+  const amounts = itemAmounts(obj, itemsField);
+  const total = obj[totalField];
+  if (!amounts.length || !isNumber(total)) return null;
+
+  const sum = amounts.reduce((a, b) => a + b, 0);
+  return result(
+    "items_sum",
+    Math.abs(sum - total) <= amountTolerance(total),
+    [itemsField, totalField],
+    `${itemsField} add up to ${money(sum)}, ${totalField} is ${money(total)}`
+  );
+}
+
+// A stay of n nights runs from check-in to n days later
+export function checkNights(obj, nightsField, fromField, toField) {
+  const nights = obj[nightsField];
+  const days = daysBetween(obj[fromField], obj[toField]);
+  if (!isNumber(nights) || days == null) return null;
+
+  return result(
+    "nights",
+    nights === days,
+    [nightsField, fromField, toField],
+    `${nightsField} is ${nights}, ${fromField} to ${toField} is ${days} night(s)`
+  );
+}
+
+// Rate x nights matches the room items (when the room is itemized)
+export function checkNightlyRate(obj, rateField, nightsField, itemsField, kind) {
+  const rate = obj[rateField];
+  const nights = obj[nightsField];
+  const room = itemAmounts(obj, itemsField, kind);
+  if (!isNumber(rate) || !isNumber(nights) || !room.length) return null;
+
+  const expected = rate * nights;
+  const sum = room.reduce((a, b) => a + b, 0);
+  return result(
+    "nightly_rate",
+    Math.abs(sum - expected) <= amountTolerance(expected),
+    [rateField, nightsField, itemsField],
+    `${rateField} x ${nightsField} is ${money(expected)}, the ${kind} items add up to ${money(sum)}`
+  );
+}
+
+// VAT at rate r is at most r/(100+r) of a gross total (less when part of it is exempt, e.g. city tax)
+export function checkVat(obj, rateField, amountField, totalField) {
+  const rate = obj[rateField];
+  const vat = obj[amountField];
+  const total = obj[totalField];
+  if (!isNumber(rate) || !isNumber(vat) || !isNumber(total)) return null;
+
+  const max = (total * rate) / (100 + rate);
+  return result(
+    "vat",
+    vat <= max + amountTolerance(max),
+    [amountField, rateField, totalField],
+    `${amountField} ${money(vat)} is more than ${rate}% VAT on ${totalField} ${money(total)} allows (${money(max)})`
+  );
+}
+
+// Returns { checked: [check names], issues: [{ check, paths, message }] }
+export function checkConsistency(schema, obj) {
+  const results = (schema?.consistency?.(obj) ?? []).filter(Boolean);
+  return {
+    checked: results.map((r) => r.check),
+    issues: results.filter((r) => !r.ok).map(({ check, paths, message }) => ({ check, paths, message })),
+  };
+}
+
+// Column for eval_runs: JSON list of the failed checks ("records[1].items_sum" in multi mode)
+export function summarizeConsistency(records) {
+  const list = Array.isArray(records) ? records : [records];
+  const failed = list.flatMap((r, i) => {
+    const prefix = Array.isArray(records) ? `records[${i}].` : "";
+    return (r?.consistency?.issues ?? []).map((issue) => prefix + issue.check);
+  });
+  return { consistency_issues: JSON.stringify(failed) };
+}
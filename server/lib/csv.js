@@ -0,0 +1,85 @@
+// =====================================================
+// Minimal CSV parsing (RFC 4180 quoting, header row)
+// =====================================================
+
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const s = String(text ?? "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+
+    if (inQuotes) {
+      if (ch === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Returns one object per data row, keyed by the (trimmed) header names
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map((h) => h.trim());
+  return rows.map((r) => {
+    const obj = {};
+    keys.forEach((k, i) => {
+      obj[k] = r[i] ?? "";
+    });
+    return obj;
+  });
+}
+
+// ---------- Writing ----------
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)", "@SUM(...)")
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quotes a field when it holds a separator, quote or line break; with
+// escapeFormulas, text cells that would start a formula get a leading "'"
+// (numbers are left alone, so negative amounts stay numbers)
+function csvField(v, { escapeFormulas = false } = {}) {
+  let s = v == null ? "" : String(v);
+  if (escapeFormulas && typeof v === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// header: [names], rows: [[values]] -> CSV text (CRLF line ends, as RFC 4180)
+// opts.escapeFormulas: for files meant for spreadsheets (values from uploads)
+export function formatCsv(header, rows, opts = {}) {
+  return [header, ...rows].map((r) => r.map((v) => csvField(v, opts)).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,70 @@
+import Database from "better-sqlite3";
+
+// =====================================================
+// SQLite setup
+// =====================================================
+
+export const DB_PATH = process.env.EVAL_DB_PATH || "./eval.sqlite";
+export const db = new Database(DB_PATH);
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS eval_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source_file TEXT,
+  timestamp TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+
+  docType_pred TEXT,
+  groundTruth_docType TEXT,
+
+  json_output TEXT,
+  success INTEGER NOT NULL,
+  parse_error TEXT,
+
+  latency_ms INTEGER NOT NULL,
+  ocr_used INTEGER NOT NULL,
+
+  input_type TEXT NOT NULL,
+  input_chars INTEGER NOT NULL,
+
+  notes TEXT
+);
+`);
+
+// Columns added after the table was first created; CREATE TABLE IF NOT EXISTS
+// leaves existing databases untouched, so add them one by one
+export function ensureColumn(table, column, type) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+}
+
+// Grounding check: number of values found in the text, JSON list of paths not found
+ensureColumn("eval_runs", "grounded_fields", "INTEGER");
+ensureColumn("eval_runs", "ungrounded_fields", "TEXT");
+
+// Confidence: lowest field confidence, 1 if any field fell below the review threshold
+ensureColumn("eval_runs", "min_confidence", "REAL");
+ensureColumn("eval_runs", "needs_review", "INTEGER");
+
+// Recovery: number of model calls for the document, JSON list of every try
+ensureColumn("eval_runs", "attempts", "INTEGER");
+ensureColumn("eval_runs", "attempt_log", "TEXT");
+
+// OCR preprocessing: JSON list of the variant kept per page (steps, confidence, variants tried)
+ensureColumn("eval_runs", "preprocessing", "TEXT");
+
+// Detected document language (Tesseract code, e.g. "deu"), null when there was no text
+ensureColumn("eval_runs", "language", "TEXT");
+
+// Price breakdown: JSON list of failed arithmetic checks (consistency.js)
+ensureColumn("eval_runs", "consistency_issues", "TEXT");
+
+// Evaluation CLI (run_eval.mjs): experiment the run belongs to, null for normal uploads
+ensureColumn("eval_runs", "experiment", "TEXT");
+
+// Prompt template version (lib/prompts.js) and hash of the instructions sent
+ensureColumn("eval_runs", "prompt_version", "TEXT");
+ensureColumn("eval_runs", "prompt_hash", "TEXT");
@@ -0,0 +1,356 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { db, ensureColumn } from "./db.js";
+import { deleteRunLabel, saveRunLabel } from "./groundTruth.js";
+import { addReportingAmount, REPORTING_CURRENCY } from "./fx.js";
+import { assertValidOutput, getSchema } from "./schemas/index.js";
+
+// =====================================================
+// Extracted documents + duplicate detection
+// =====================================================
+//
+// Every successful extraction is stored, one row per record (a combined
+// flight + hotel confirmation gives two rows with the same upload_id).
+// content_hash is the SHA-256 of the uploaded file (or pasted text), so the
+// same file submitted twice is an exact duplicate; the same booking read
+// from a PDF and from a phone photo is found through its field values.
+//
+// Documents then go through human review: pending -> approved / corrected /
+// rejected. The uploaded file and the text the model read are kept so the
+// reviewer can check values against the source.
+
+export const REVIEW_STATUSES = ["pending", "approved", "corrected", "rejected"];
+
+// Uploaded files, named by content hash (one copy per distinct file)
+const DOCUMENT_FILES_DIR = process.env.DOCUMENT_FILES_DIR || "uploads/documents";
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS documents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  upload_id TEXT NOT NULL,
+  source_file TEXT,
+  content_hash TEXT NOT NULL,
+  record_index INTEGER NOT NULL DEFAULT 0,
+  doc_type TEXT NOT NULL,
+  data TEXT NOT NULL,
+  eval_run_id INTEGER,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_documents_hash ON documents(content_hash);
+CREATE INDEX IF NOT EXISTS idx_documents_type ON documents(doc_type, created_at);
+`);
+
+// Review: status, who/when, JSON list of { field, from, to, by, at }
+ensureColumn("documents", "status", "TEXT NOT NULL DEFAULT 'pending'");
+ensureColumn("documents", "reviewed_by", "TEXT");
+ensureColumn("documents", "reviewed_at", "TEXT");
+ensureColumn("documents", "corrections", "TEXT");
+
+// Source for the side-by-side view: the text the model read, the stored file
+ensureColumn("documents", "source_text", "TEXT");
+ensureColumn("documents", "file_name", "TEXT");
+ensureColumn("documents", "mimetype", "TEXT");
+
+const insertDocument = db.prepare(`
+INSERT INTO documents (upload_id, source_file, content_hash, record_index, doc_type, data, eval_run_id, created_at, source_text, file_name, mimetype)
+VALUES (@upload_id, @source_file, @content_hash, @record_index, @doc_type, @data, @eval_run_id, @created_at, @source_text, @file_name, @mimetype)
+`);
+
+const updateReview = db.prepare(`
+UPDATE documents SET data = @data, status = @status, reviewed_by = @reviewed_by, reviewed_at = @reviewed_at, corrections = @corrections
+WHERE id = @id
+`);
+
+const selectDocument = db.prepare(`SELECT * FROM documents WHERE id = ?`);
+
+const selectDocuments = db.prepare(`SELECT * FROM documents ORDER BY id`);
+
+const selectQueue = db.prepare(`
+SELECT * FROM documents WHERE (@status IS NULL OR status = @status) ORDER BY id DESC LIMIT @limit
+`);
+
+const selectSameHash = db.prepare(`
+SELECT * FROM documents
+WHERE content_hash = @hash AND upload_id != @upload_id AND doc_type = @doc_type AND status != 'rejected'
+`);
+
+const selectSameValue = db.prepare(`
+SELECT * FROM documents
+WHERE doc_type = @doc_type AND upload_id != @upload_id AND status != 'rejected'
+  AND upper(replace(json_extract(data, @path), ' ', '')) = @value
+`);
+
+const selectSameDateAmount = db.prepare(`
+SELECT * FROM documents
+WHERE doc_type = @doc_type AND upload_id != @upload_id AND status != 'rejected'
+  AND json_extract(data, @datePath) = @date
+  AND abs(json_extract(data, @amountPath) - @amount) < 0.01
+`);
+
+export function contentHash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function toDocument(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    upload_id: row.upload_id,
+    source_file: row.source_file,
+    content_hash: row.content_hash,
+    record_index: row.record_index,
+    type: row.doc_type,
+    data: JSON.parse(row.data),
+    eval_run_id: row.eval_run_id,
+    created_at: row.created_at,
+    status: row.status,
+    reviewed_by: row.reviewed_by,
+    reviewed_at: row.reviewed_at,
+    corrections: row.corrections ? JSON.parse(row.corrections) : [],
+    has_file: Boolean(row.file_name),
+    mimetype: row.mimetype,
+  };
+}
+
+export function getDocument(id) {
+  return toDocument(selectDocument.get(id));
+}
+
+// All stored documents, oldest first; rejected extractions are left out of
+// trips and reports unless asked for
+export function listDocuments({ includeRejected = false } = {}) {
+  return selectDocuments
+    .all()
+    .filter((row) => includeRejected || row.status !== "rejected")
+    .map(toDocument);
+}
+
+// Review queue: newest first, optionally one status
+export function listReviewQueue({ status = null, limit = 100 } = {}) {
+  return selectQueue.all({ status, limit }).map(toDocument);
+}
+
+// The text the model read (OCR / text layer / pasted), for highlighting grounded values
+export function getDocumentSource(id) {
+  const row = selectDocument.get(id);
+  if (!row) return null;
+  return {
+    text: row.source_text,
+    file: row.file_name ? path.join(DOCUMENT_FILES_DIR, row.file_name) : null,
+    mimetype: row.mimetype,
+  };
+}
+
+// ---------- Matching ----------
+
+// Names compare without case, accents, titles or punctuation
+export function normalizeName(v) {
+  return String(v ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/(?<!\p{L})(MR|MRS|MS|MISS|DR|PROF)(?!\p{L})\.?/gu, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+export function fieldWith(schema, key) {
+  return Object.entries(schema.fields).find(([, f]) => f[key])?.[0] ?? null;
+}
+
+// Two records of different travellers (one booking, several passengers) are
+// not duplicates even though they share the booking reference
+function sameTraveller(schema, a, b) {
+  const field = fieldWith(schema, "traveller");
+  if (!field || !a[field] || !b[field]) return true;
+  return normalizeName(a[field]) === normalizeName(b[field]);
+}
+
+// Other uploads' documents matching record (a stored or just-extracted record),
+// rejected extractions excepted:
+//   exact      same file content
+//   reference  same booking reference / receipt / ticket number (and traveller)
+//   details    same traveller, transaction date, amount and currency
+// Returns [{ id, source_file, type, created_at, match, fields }], exact matches first
+export function findDuplicates(record, { content_hash, upload_id = "" }) {
+  const schema = getSchema(record?.type);
+  if (!schema) return [];
+
+  const matches = new Map();
+  // The first (strongest) kind of match is kept; fields collect per kind
+  const add = (row, match, fields) => {
+    const found = matches.get(row.id);
+    if (!found) {
+      matches.set(row.id, { id: row.id, source_file: row.source_file, type: row.doc_type, created_at: row.created_at, match, fields });
+    } else if (found.match === match) {
+      found.fields.push(...fields);
+    }
+  };
+
+  if (content_hash) {
+    for (const row of selectSameHash.all({ hash: content_hash, upload_id, doc_type: record.type })) add(row, "exact", []);
+  }
+
+  for (const [field, f] of Object.entries(schema.fields)) {
+    if (f.match !== "reference" || typeof record[field] !== "string" || !record[field].trim()) continue;
+    const value = record[field].replace(/\s+/g, "").toUpperCase();
+    for (const row of selectSameValue.all({ doc_type: record.type, upload_id, path: `$.${field}`, value })) {
+      if (sameTraveller(schema, record, JSON.parse(row.data))) add(row, "reference", [field]);
+    }
+  }
+
+  const traveller = fieldWith(schema, "traveller");
+  const dateField = fieldWith(schema, "fxDate");
+  const amountField = fieldWith(schema, "money");
+  const currencyField = amountField && schema.fields[amountField].money;
+  if (traveller && record[traveller] && dateField && record[dateField] && typeof record[amountField] === "number") {
+    const rows = selectSameDateAmount.all({
+      doc_type: record.type,
+      upload_id,
+      datePath: `$.${dateField}`,
+      date: record[dateField],
+      amountPath: `$.${amountField}`,
+      amount: record[amountField],
+    });
+    for (const row of rows) {
+      const other = JSON.parse(row.data);
+      if (other[currencyField] !== record[currencyField]) continue;
+      if (normalizeName(other[traveller]) !== normalizeName(record[traveller])) continue;
+      add(row, "details", [traveller, dateField, amountField]);
+    }
+  }
+
+  return [...matches.values()];
+}
+
+// ---------- Storing ----------
+
+// Keeps one copy of an uploaded file for review; returns its stored name
+function saveDocumentFile(content_hash, file) {
+  fs.mkdirSync(DOCUMENT_FILES_DIR, { recursive: true });
+  const target = path.join(DOCUMENT_FILES_DIR, content_hash);
+  if (!fs.existsSync(target)) fs.writeFileSync(target, file);
+  return content_hash;
+}
+
+// Stores the records of one successful extraction, after looking up their
+// duplicates among earlier uploads. file (Buffer) and text are the source for
+// review. Returns [{ id, duplicates }] in record order.
+export const storeDocuments = db.transaction(({ source_file, content_hash, records, eval_run_id, text, file, mimetype }) => {
+  const upload_id = crypto.randomUUID();
+  const created_at = new Date().toISOString();
+  const file_name = file ? saveDocumentFile(content_hash, file) : null;
+
+  return records.map((record, i) => {
+    const duplicates = findDuplicates(record, { content_hash, upload_id });
+    const { lastInsertRowid } = insertDocument.run({
+      upload_id,
+      source_file: source_file ?? null,
+      content_hash,
+      record_index: i,
+      doc_type: record.type,
+      data: JSON.stringify(record),
+      eval_run_id: eval_run_id ?? null,
+      created_at,
+      source_text: text ?? null,
+      file_name,
+      mimetype: file ? mimetype ?? null : null,
+    });
+    return { id: Number(lastInsertRowid), duplicates };
+  });
+});
+
+// A re-upload of an earlier document: reports and totals count the first one only
+export function hasEarlierDuplicate(doc) {
+  return findDuplicates(doc.data, doc).some((d) => d.id < doc.id);
+}
+
+// Duplicates of a stored document, earlier or later ones (its own upload excluded)
+export function documentDuplicates(id) {
+  const doc = getDocument(id);
+  if (!doc) return null;
+  return { document: doc, duplicates: findDuplicates(doc.data, doc) };
+}
+
+// ---------- Review ----------
+
+// Fields a reviewer can correct: the schema's scalar, model-extracted fields
+export function editableFields(schema) {
+  return Object.keys(schema.fields).filter((k) => schema.fields[k].type !== "array" && !schema.fields[k].derived);
+}
+
+function sameValue(a, b) {
+  return (a ?? null) === (b ?? null);
+}
+
+// Saves a review: fields = { field: value } corrections, status (default
+// "corrected" when a value changed, else "approved"), reviewer = who.
+// Approved and corrected documents become the label of the record in the
+// eval_runs row that extracted it (groundTruth.js), so that run is scored
+// against them; rejecting one or moving it back to pending removes that
+// label again. Returns { document, label } (label = { eval_run_id,
+// record_index }, null for rejected and pending documents or ones without a
+// run); throws on an unknown field, an invalid value or status (message for
+// a 400).
+export const reviewDocument = db.transaction((id, { fields = {}, status, reviewer }) => {
+  const doc = getDocument(id);
+  if (!doc) return null;
+
+  if (typeof reviewer !== "string" || !reviewer.trim()) throw new Error(`Missing "reviewer"`);
+  if (status != null && !REVIEW_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status} (one of ${REVIEW_STATUSES.join(", ")})`);
+  }
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) throw new Error(`"fields" must be an object`);
+
+  const schema = getSchema(doc.type);
+  const editable = editableFields(schema);
+  const at = new Date().toISOString();
+  const by = reviewer.trim();
+
+  const data = { ...doc.data };
+  const corrections = [];
+  for (const [field, value] of Object.entries(fields)) {
+    if (!editable.includes(field)) throw new Error(`Field ${field} cannot be corrected (one of ${editable.join(", ")})`);
+    if (sameValue(data[field], value)) continue;
+    corrections.push({ field, from: data[field] ?? null, to: value ?? null, by, at });
+    data[field] = value ?? null;
+  }
+  assertValidOutput(data);
+
+  const newStatus = status ?? (corrections.length ? "corrected" : "approved");
+  const labelled = newStatus === "approved" || newStatus === "corrected";
+  if (labelled) data.needsReview = false;
+  if (newStatus !== "rejected") {
+    // Amount, currency or date may have changed
+    addReportingAmount(schema, data, data.reportingCurrency ?? REPORTING_CURRENCY);
+  }
+
+  updateReview.run({
+    id,
+    data: JSON.stringify(data),
+    status: newStatus,
+    reviewed_by: by,
+    reviewed_at: at,
+    corrections: JSON.stringify([...doc.corrections, ...corrections]),
+  });
+
+  let label = null;
+  if (labelled && doc.eval_run_id != null) {
+    label = saveRunLabel({
+      eval_run_id: doc.eval_run_id,
+      record_index: doc.record_index,
+      source_file: doc.source_file,
+      type: doc.type,
+      // Breakdown fields only when the extraction asked for them
+      ...Object.fromEntries(
+        editable.filter((k) => !schema.fields[k].optional || k in data).map((k) => [k, data[k] ?? null])
+      ),
+    });
+  } else if (doc.eval_run_id != null) {
+    // A rejected (or reopened) document must not keep scoring its run
+    deleteRunLabel(doc.eval_run_id, doc.record_index);
+  }
+
+  return { document: getDocument(id), label };
+});
@@ -0,0 +1,181 @@
+import { db } from "./db.js";
+import { percentile } from "./evaluation.js";
+import { RUN_DOC_TYPE_SQL, evalRunsWhere } from "./scoring.js";
+
+// =====================================================
+// eval_runs aggregates for the evaluation dashboard
+// =====================================================
+//
+// Read-only: success rates, failure categories and latency per group of runs,
+// plus run lists and single runs to drill down into.
+
+// What runs can be grouped by; "day" is the UTC date of the run
+export const EVAL_GROUP_KEYS = [
+  "provider",
+  "model",
+  "prompt_version",
+  "input_type",
+  "ocr_used",
+  "docType",
+  "experiment",
+  "day",
+];
+
+// Upper bounds (ms) of the latency histogram buckets; the last one is open-ended
+export const LATENCY_BUCKETS_MS = [1000, 2000, 5000, 10000, 20000, 30000, 60000, 120000];
+
+// Scatter points (input size vs latency) per request, newest first
+const MAX_POINTS = 2000;
+
+// First match wins; parse_error texts come from index.js, the providers and the validators
+const ERROR_CATEGORIES = [
+  ["no_text", /No text found/i],
+  ["invalid_json", /Invalid JSON from model/i],
+  ["unknown_type", /missing\/invalid "type"/i],
+  ["validation", /output invalid|Model output missing "records"|Model returned no records/i],
+  ["timeout", /timeout|timed out|aborted/i],
+  ["rate_limit", /\b429\b|rate limit/i],
+  ["connection", /fetch failed|ECONN|ENOTFOUND|EAI_AGAIN|socket/i],
+  ["provider", /HTTP \d{3}|api key|not found|unauthori[sz]ed/i],
+  ["file", /Uploaded file|Only PDFs|unsupported/i],
+];
+
+export const ERROR_CATEGORY_NAMES = [...ERROR_CATEGORIES.map(([name]) => name), "other"];
+
+export function errorCategory(parseError) {
+  if (!parseError) return null;
+  return ERROR_CATEGORIES.find(([, re]) => re.test(parseError))?.[0] ?? "other";
+}
+
+// Summary columns only; json_output and the attempt log are fetched per run
+function selectRunSummaries(filters) {
+  const { where, params } = evalRunsWhere(filters);
+  return db
+    .prepare(
+      `SELECT id, timestamp, source_file, provider, model, input_type, ocr_used, input_chars,
+              latency_ms, success, parse_error, attempts, experiment, prompt_version, ${RUN_DOC_TYPE_SQL} AS docType
+       FROM eval_runs ${where} ORDER BY id DESC`
+    )
+    .all(params)
+    .map((r) => ({ ...r, ocr_used: !!r.ocr_used, success: !!r.success, error_category: errorCategory(r.parse_error) }));
+}
+
+function groupValue(run, key) {
+  if (key === "day") return run.timestamp.slice(0, 10);
+  return run[key] ?? null;
+}
+
+function ratio(a, b) {
+  return b ? a / b : null;
+}
+
+function summarize(runs) {
+  const latencies = runs.map((r) => r.latency_ms).sort((a, b) => a - b);
+  const succeeded = runs.filter((r) => r.success).length;
+
+  const histogram = new Array(LATENCY_BUCKETS_MS.length + 1).fill(0);
+  for (const ms of latencies) {
+    const i = LATENCY_BUCKETS_MS.findIndex((max) => ms <= max);
+    histogram[i === -1 ? LATENCY_BUCKETS_MS.length : i]++;
+  }
+
+  const errors = {};
+  for (const r of runs) {
+    if (r.error_category) errors[r.error_category] = (errors[r.error_category] ?? 0) + 1;
+  }
+
+  return {
+    runs: runs.length,
+    succeeded,
+    successRate: ratio(succeeded, runs.length),
+    latency: {
+      mean: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+      p50: percentile(latencies, 50),
+      p90: percentile(latencies, 90),
+      p99: percentile(latencies, 99),
+      max: latencies.at(-1) ?? null,
+    },
+    histogram,
+    errors,
+  };
+}
+
+// filters: see evalRunsWhere(); groupBy: EVAL_GROUP_KEYS
+// -> { latencyBuckets, totals, groups: [{ key: { [groupBy key]: value }, ...totals shape }],
+//      points: [{ id, group, input_chars, latency_ms, success }], truncated }
+// point.group indexes groups. Groups are sorted by run count.
+export function evalStats(filters = {}, groupBy = ["provider", "model"]) {
+  const runs = selectRunSummaries(filters);
+
+  const byKey = new Map();
+  for (const run of runs) {
+    const key = Object.fromEntries(groupBy.map((k) => [k, groupValue(run, k)]));
+    const id = JSON.stringify(key);
+    if (!byKey.has(id)) byKey.set(id, { key, runs: [] });
+    byKey.get(id).runs.push(run);
+  }
+
+  const groups = [...byKey.values()].sort((a, b) => b.runs.length - a.runs.length);
+  const groupOf = new Map();
+  groups.forEach((g, i) => g.runs.forEach((r) => groupOf.set(r.id, i)));
+
+  return {
+    latencyBuckets: LATENCY_BUCKETS_MS,
+    totals: summarize(runs),
+    groups: groups.map((g) => ({ key: g.key, ...summarize(g.runs) })),
+    points: runs.slice(0, MAX_POINTS).map((r) => ({
+      id: r.id,
+      group: groupOf.get(r.id),
+      input_chars: r.input_chars,
+      latency_ms: r.latency_ms,
+      success: r.success,
+    })),
+    truncated: runs.length > MAX_POINTS,
+  };
+}
+
+// Newest first. success: true/false; errorCategory: one of ERROR_CATEGORY_NAMES
+export function listEvalRuns(filters = {}, { success, errorCategory: category, limit = 50, offset = 0 } = {}) {
+  const runs = selectRunSummaries(filters).filter(
+    (r) => (success == null || r.success === success) && (!category || r.error_category === category)
+  );
+  return { total: runs.length, runs: runs.slice(offset, offset + limit) };
+}
+
+const selectRun = db.prepare(`SELECT * FROM eval_runs WHERE id = ?`);
+
+// The full row, json_output and attempt_log as stored (text)
+export function getEvalRun(id) {
+  const row = selectRun.get(id);
+  if (!row) return null;
+  return {
+    ...row,
+    ocr_used: !!row.ocr_used,
+    success: !!row.success,
+    needs_review: row.needs_review == null ? null : !!row.needs_review,
+    error_category: errorCategory(row.parse_error),
+  };
+}
+
+// Filter values seen so far, for the dashboard's dropdowns
+export function evalFilterOptions() {
+  const distinct = (column) =>
+    db
+      .prepare(`SELECT DISTINCT ${column} AS v FROM eval_runs WHERE ${column} IS NOT NULL ORDER BY v`)
+      .all()
+      .map((r) => r.v);
+
+  return {
+    providers: distinct("provider"),
+    models: distinct("model"),
+    inputTypes: distinct("input_type"),
+    docTypes: distinct(RUN_DOC_TYPE_SQL),
+    promptVersions: distinct("prompt_version"),
+    experiments: db
+      .prepare(
+        `SELECT experiment AS id, COUNT(*) AS runs, MIN(timestamp) AS started, MAX(timestamp) AS finished
+         FROM eval_runs WHERE experiment IS NOT NULL GROUP BY experiment ORDER BY started DESC`
+      )
+      .all(),
+  };
+}
@@ -0,0 +1,309 @@
+import fs from "fs";
+import path from "path";
+import { parseLabels, parseSourceFile } from "./groundTruth.js";
+import { getSchema } from "./schemas/index.js";
+import { scoreRuns, selectEvalRuns } from "./scoring.js";
+
+// =====================================================
+// Evaluation experiments (run_eval.mjs)
+// =====================================================
+//
+// A dataset manifest lists the files to extract, how each one is read and,
+// optionally, its expected labels. Every run of an experiment is logged to
+// eval_runs with the experiment id, and the report compares the configs
+// (provider/model) on success rate, latency and accuracy per degradation.
+// Runs with two prompt versions can be compared field by field (A/B).
+
+// How a file is sent: pasted text (/api/extract) or a file pipeline (/api/extract-file)
+export const EVAL_INPUTS = ["text", "ocr", "vision", "hybrid"];
+
+// Report key for files without a degradation tag
+export const CLEAN = "clean";
+
+// ---------- Manifest ----------
+
+// "*" and "?" in the file name part only: "../images/Flight_*_blur5.png"
+function expandPattern(pattern) {
+  const dir = path.dirname(pattern);
+  const name = path.basename(pattern);
+  if (!/[*?]/.test(name)) return fs.existsSync(pattern) ? [pattern] : [];
+  if (!fs.existsSync(dir)) return [];
+
+  const escaped = name.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  const re = new RegExp(`^${escaped}$`, "i");
+  return fs
+    .readdirSync(dir)
+    .filter((f) => re.test(f))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+// Manifest (JSON), paths relative to the manifest file:
+// {
+//   "name": "flights",
+//   "description": "...",                    // optional, for readers
+//   "files": [
+//     "../pdfs_text/*.pdf",
+//     { "file": "../images/*.png", "input": "ocr" },
+//     { "file": "../images/Flight_1.png", "input": "vision", "degradation": null,
+//       "label": { "type": "flight", "passengerName": "JOHN SMITH" } }
+//   ],
+//   "labels": "labels.json",                 // or inline, same shapes as LABELS_FILE
+//   "configs": ["openai:gpt-4o-mini", "ollama:llama3.1:8b-instruct-q8_0"],
+//   "options": { "mode": "multi" },          // extra extract options for every file
+//   "concurrency": 2
+// }
+// input defaults to "text" for .txt files, "ocr" otherwise; degradation defaults
+// to the file name tag (blur5, sp, ...; see groundTruth.js).
+// Throws on malformed manifests and patterns that match nothing.
+export function loadManifest(file) {
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  const baseDir = path.dirname(path.resolve(file));
+
+  if (!Array.isArray(manifest.files) || manifest.files.length === 0) {
+    throw new Error(`${file}: "files" must be a non-empty array`);
+  }
+
+  const entries = [];
+  const labels = [];
+  const degradations = new Map();
+
+  for (const spec of manifest.files) {
+    const s = typeof spec === "string" ? { file: spec } : spec;
+    if (!s?.file) throw new Error(`${file}: file entry without "file": ${JSON.stringify(spec)}`);
+
+    const paths = expandPattern(path.resolve(baseDir, s.file));
+    if (paths.length === 0) throw new Error(`${file}: no files match ${s.file}`);
+
+    for (const filePath of paths) {
+      const source_file = path.basename(filePath);
+      const input = s.input ?? (/\.txt$/i.test(filePath) ? "text" : "ocr");
+      if (!EVAL_INPUTS.includes(input)) {
+        throw new Error(`${file}: invalid input "${input}" for ${source_file} (one of ${EVAL_INPUTS.join(", ")})`);
+      }
+
+      const degradation = s.degradation !== undefined ? s.degradation : parseSourceFile(source_file).degradation;
+      // Runs are logged by file name, so one name has one degradation
+      if (degradations.has(source_file) && degradations.get(source_file) !== degradation) {
+        throw new Error(`${file}: ${source_file} is listed with different degradations`);
+      }
+      degradations.set(source_file, degradation);
+
+      entries.push({ path: filePath, source_file, input, degradation });
+      if (s.label) labels.push({ source_file, ...s.label });
+    }
+  }
+
+  if (typeof manifest.labels === "string") {
+    const labelsFile = path.resolve(baseDir, manifest.labels);
+    const format = path.extname(labelsFile).toLowerCase() === ".csv" ? "csv" : "json";
+    labels.unshift(...parseLabels(fs.readFileSync(labelsFile, "utf8"), format));
+  } else if (manifest.labels) {
+    labels.unshift(...parseLabels(JSON.stringify(manifest.labels), "json"));
+  }
+
+  return {
+    name: manifest.name ?? path.basename(file).replace(/\.json$/i, ""),
+    entries,
+    labels,
+    configs: manifest.configs ?? [],
+    options: manifest.options ?? {},
+    concurrency: manifest.concurrency ?? null,
+    degradationOf: (source_file) => degradations.get(source_file) ?? parseSourceFile(source_file).degradation,
+  };
+}
+
+// ---------- Report ----------
+
+// Nearest-rank percentile of a sorted list
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function ratio(a, b) {
+  return b ? a / b : null;
+}
+
+// rows = eval_runs rows; one entry per provider/model/prompt version:
+// { provider, model, prompt_version, runs, succeeded, successRate, latency: { p50, p90, p99, max },
+//   docTypeAccuracy, fieldAccuracy, documentAccuracy,
+//   degradations: { [tag | "clean"]: { runs, succeeded, successRate, scored, fieldAccuracy, documentAccuracy } } }
+// Accuracy only counts labelled documents (scoring.js).
+export function summarizeRuns(rows, { degradationOf = (f) => parseSourceFile(f).degradation, priceTolerance } = {}) {
+  const scores = scoreRuns(rows, priceTolerance != null ? { priceTolerance } : {});
+
+  return scores.map((score) => {
+    const own = rows.filter(
+      (r) =>
+        r.provider === score.provider && r.model === score.model && (r.prompt_version ?? null) === score.prompt_version
+    );
+    const latencies = own.map((r) => r.latency_ms).sort((a, b) => a - b);
+    // Runs with several reviewed records have several scored documents
+    const docsByRun = new Map();
+    for (const d of score.documents) docsByRun.set(d.run_id, [...(docsByRun.get(d.run_id) ?? []), d]);
+
+    const degradations = {};
+    for (const row of own) {
+      const tag = degradationOf(row.source_file) ?? CLEAN;
+      const g = (degradations[tag] ??= { runs: 0, succeeded: 0, scored: 0, fieldsCorrect: 0, fieldsTotal: 0, docsAllCorrect: 0 });
+      g.runs++;
+      if (row.success) g.succeeded++;
+
+      for (const doc of docsByRun.get(row.id) ?? []) {
+        g.scored++;
+        g.fieldsCorrect += doc.correct;
+        g.fieldsTotal += doc.total;
+        if (doc.allCorrect) g.docsAllCorrect++;
+      }
+    }
+
+    return {
+      provider: score.provider,
+      model: score.model,
+      prompt_version: score.prompt_version,
+      runs: own.length,
+      succeeded: own.filter((r) => r.success).length,
+      successRate: ratio(own.filter((r) => r.success).length, own.length),
+      latency: {
+        p50: percentile(latencies, 50),
+        p90: percentile(latencies, 90),
+        p99: percentile(latencies, 99),
+        max: latencies.at(-1) ?? null,
+      },
+      docTypeAccuracy: score.docTypeAccuracy,
+      fieldAccuracy: score.fieldAccuracy,
+      documentAccuracy: score.documentAccuracy,
+      degradations: Object.fromEntries(
+        Object.entries(degradations).map(([tag, g]) => [
+          tag,
+          {
+            runs: g.runs,
+            succeeded: g.succeeded,
+            successRate: ratio(g.succeeded, g.runs),
+            scored: g.scored,
+            fieldAccuracy: ratio(g.fieldsCorrect, g.fieldsTotal),
+            documentAccuracy: ratio(g.docsAllCorrect, g.scored),
+          },
+        ])
+      ),
+    };
+  });
+}
+
+export function summarizeExperiment(experiment, opts = {}) {
+  return summarizeRuns(selectEvalRuns({ experiment }), opts);
+}
+
+// ---------- Prompt A/B ----------
+
+function parseRecords(row) {
+  if (!row?.success || !row.json_output) return null;
+  try {
+    const output = JSON.parse(row.json_output);
+    return Array.isArray(output) ? output : [output];
+  } catch {
+    return null;
+  }
+}
+
+// "type" plus the schema fields of either record
+function comparedFields(a, b) {
+  const fields = new Set(["type"]);
+  for (const r of [a, b]) Object.keys(getSchema(r?.type)?.fields ?? {}).forEach((f) => fields.add(f));
+  return [...fields];
+}
+
+// Fields whose values differ (exactly) between the outputs of two runs of one
+// document; multi-record outputs are compared record by record ("2.totalPrice",
+// record = 1)
+function outputDifferences(rowA, rowB) {
+  const a = parseRecords(rowA) ?? [];
+  const b = parseRecords(rowB) ?? [];
+  const differences = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    for (const field of comparedFields(a[i], b[i])) {
+      const va = a[i]?.[field] ?? null;
+      const vb = b[i]?.[field] ?? null;
+      if (JSON.stringify(va) === JSON.stringify(vb)) continue;
+      const name = a.length > 1 || b.length > 1 ? `${i + 1}.${field}` : field;
+      differences.push({ field: name, record: i, recordField: field, a: va, b: vb });
+    }
+  }
+  return differences;
+}
+
+// Compares prompt versions a and b per provider/model over the same documents
+// (latest run per file and input type):
+// [{ provider, model, a, b,                         // summarizeRuns() entries of each version
+//    fields: [{ field, a, b, delta }],               // accuracy per labelled field, delta = b - a
+//    documents: [{ source_file, input_type, run_ids: [a, b], errors: [a, b],
+//                  differences: [{ field, a, b, expected, correct: [a, b] }] }] }]
+// Documents only appear when their outputs differ or one version failed.
+export function comparePromptVersions(rows, [versionA, versionB], opts = {}) {
+  const summaries = summarizeRuns(rows, opts);
+  const scores = scoreRuns(rows, opts.priceTolerance != null ? { priceTolerance: opts.priceTolerance } : {});
+  const find = (list, provider, model, version) =>
+    list.find((s) => s.provider === provider && s.model === model && s.prompt_version === version);
+
+  const configs = [...new Map(summaries.map((s) => [`${s.provider}\u0000${s.model}`, s])).values()];
+
+  return configs
+    .filter((c) => find(summaries, c.provider, c.model, versionA) && find(summaries, c.provider, c.model, versionB))
+    .map(({ provider, model }) => {
+      const scoreA = find(scores, provider, model, versionA);
+      const scoreB = find(scores, provider, model, versionB);
+
+      const fields = [...new Set([...Object.keys(scoreA.fields), ...Object.keys(scoreB.fields)])].map((field) => {
+        const a = scoreA.fields[field]?.accuracy ?? null;
+        const b = scoreB.fields[field]?.accuracy ?? null;
+        return { field, a, b, delta: a != null && b != null ? b - a : null };
+      });
+
+      // Later rows replace earlier ones: the latest run per document and version
+      const latest = new Map();
+      for (const r of rows) {
+        if (r.provider !== provider || r.model !== model) continue;
+        if (r.prompt_version !== versionA && r.prompt_version !== versionB) continue;
+        const key = `${r.source_file}\u0000${r.input_type}`;
+        if (!latest.has(key)) latest.set(key, {});
+        latest.get(key)[r.prompt_version === versionA ? "a" : "b"] = r;
+      }
+
+      // Scored documents by run and record
+      const labelled = new Map(
+        [...scoreA.documents, ...scoreB.documents].map((d) => [`${d.run_id}:${d.record_index}`, d])
+      );
+
+      const documents = [];
+      for (const { a, b } of latest.values()) {
+        if (!a || !b) continue;
+        const differences = outputDifferences(a, b).map(({ record, recordField, ...d }) => {
+          const [docA, docB] = [labelled.get(`${a.id}:${record}`), labelled.get(`${b.id}:${record}`)];
+          const scored = docA?.fields[recordField] ?? docB?.fields[recordField];
+          return {
+            ...d,
+            expected: scored ? scored.expected : undefined,
+            correct: scored ? [!!docA?.fields[recordField]?.correct, !!docB?.fields[recordField]?.correct] : null,
+          };
+        });
+        if (differences.length === 0 && !!a.success === !!b.success) continue;
+        documents.push({
+          source_file: a.source_file,
+          input_type: a.input_type,
+          run_ids: [a.id, b.id],
+          errors: [a.success ? null : a.parse_error, b.success ? null : b.parse_error],
+          differences,
+        });
+      }
+
+      return {
+        provider,
+        model,
+        a: find(summaries, provider, model, versionA),
+        b: find(summaries, provider, model, versionB),
+        fields,
+        documents,
+      };
+    });
+}
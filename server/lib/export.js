@@ -0,0 +1,355 @@
+import fs from "fs";
+import { PDFDocument } from "@napi-rs/canvas";
+import { formatCsv } from "./csv.js";
+import { fieldWith, hasEarlierDuplicate, listDocuments, normalizeName } from "./documents.js";
+import { addReportingAmount } from "./fx.js";
+import { DOC_TYPES, SCHEMAS, getSchema } from "./schemas/index.js";
+import { documentTotals } from "./trips.js";
+import { writeXlsx } from "./xlsx.js";
+
+// =====================================================
+// Expense report export (CSV, XLSX, PDF)
+// =====================================================
+//
+// Exports the stored documents (documents.js) with fixed, configurable
+// columns for accounting imports. Later duplicates are left out unless asked
+// for, and amounts are converted to the reporting currency at export time.
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "pdf"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+// ---------- Column mappings ----------
+//
+// A mapping lists the columns of one table: [{ header, field }], where field is
+//   a record field      "passengerName", "reportingAmount"
+//   a role              "traveller", "date" (transaction date), "amount", "currency",
+//                       "reference", resolved per type through the schema descriptors
+//   a document column   "document.id", "document.created_at", "document.source_file", "document.type"
+// "all" is the CSV and the first XLSX sheet (every type); "flight", "hotel", ...
+// are the per-type sheets and the PDF field lists. EXPORT_COLUMNS_FILE (JSON,
+// same shape) and a request's columns replace the defaults key by key.
+
+const ROLES = {
+  traveller: (schema) => fieldWith(schema, "traveller"),
+  date: (schema) => fieldWith(schema, "fxDate"),
+  amount: (schema) => fieldWith(schema, "money"),
+  currency: (schema) => schema.fields[fieldWith(schema, "money")]?.money ?? null,
+  reference: (schema) => Object.keys(schema.fields).find((k) => schema.fields[k].match === "reference") ?? null,
+};
+
+const DOCUMENT_COLUMNS = ["id", "created_at", "source_file", "type"];
+
+// Added by the server to every record (fx.js, confidence.js)
+const REPORTING_COLUMNS = [
+  { header: "Reporting Amount", field: "reportingAmount" },
+  { header: "Reporting Currency", field: "reportingCurrency" },
+  { header: "FX Rate", field: "fxRate" },
+  { header: "FX Rate Date", field: "fxRateDate" },
+  { header: "Needs Review", field: "needsReview" },
+];
+
+const DEFAULT_COLUMNS = {
+  all: [
+    { header: "Document", field: "document.id" },
+    { header: "Uploaded", field: "document.created_at" },
+    { header: "File", field: "document.source_file" },
+    { header: "Type", field: "document.type" },
+    { header: "Traveller", field: "traveller" },
+    { header: "Date", field: "date" },
+    { header: "Reference", field: "reference" },
+    { header: "Amount", field: "amount" },
+    { header: "Currency", field: "currency" },
+    ...REPORTING_COLUMNS,
+  ],
+  // Every scalar schema field, in schema order
+  ...Object.fromEntries(
+    DOC_TYPES.map((type) => [
+      type,
+      [
+        { header: "Document", field: "document.id" },
+        ...Object.entries(SCHEMAS[type].fields)
+          .filter(([, f]) => f.type !== "array")
+          .map(([k, f]) => ({ header: f.label ?? k, field: k })),
+        ...REPORTING_COLUMNS,
+      ],
+    ])
+  ),
+};
+
+// Throws on an unknown key or a malformed column
+export function validateColumns(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Column mappings must be an object keyed by "all" or a document type`);
+  }
+  for (const [key, columns] of Object.entries(config)) {
+    if (key !== "all" && !DOC_TYPES.includes(key)) {
+      throw new Error(`Unknown column mapping: ${key} (all, ${DOC_TYPES.join(", ")})`);
+    }
+    if (!Array.isArray(columns) || columns.length === 0) throw new Error(`Column mapping ${key} must be a non-empty list`);
+    for (const c of columns) {
+      if (typeof c?.header !== "string" || typeof c?.field !== "string") {
+        throw new Error(`Column mapping ${key}: every column needs a "header" and a "field"`);
+      }
+      if (c.field.startsWith("document.") && !DOCUMENT_COLUMNS.includes(c.field.slice(9))) {
+        throw new Error(`Column mapping ${key}: unknown field ${c.field} (document.${DOCUMENT_COLUMNS.join(", document.")})`);
+      }
+    }
+  }
+  return config;
+}
+
+// EXPORT_COLUMNS_FILE, read on the first export instead of at startup; while
+// it is broken, exports fail with a message naming it
+let fileColumns = null;
+
+function loadFileColumns() {
+  const file = process.env.EXPORT_COLUMNS_FILE;
+  if (!file) return {};
+  try {
+    return validateColumns(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new Error(`EXPORT_COLUMNS_FILE ${file}: ${e.message}`);
+  }
+}
+
+function resolveColumns(override) {
+  fileColumns ??= loadFileColumns();
+  return { ...DEFAULT_COLUMNS, ...fileColumns, ...(override ?? {}) };
+}
+
+function columnValue({ doc, record }, field) {
+  if (field.startsWith("document.")) return doc[field.slice(9)] ?? null;
+
+  const schema = getSchema(doc.type);
+  const key = ROLES[field] && !(field in schema.fields) ? ROLES[field](schema) : field;
+  const value = key ? record[key] : null;
+  return value != null && typeof value === "object" ? null : value ?? null;
+}
+
+function table(entries, columns) {
+  return {
+    columns: columns.map((c) => c.header),
+    rows: entries.map((e) => columns.map((c) => columnValue(e, c.field))),
+  };
+}
+
+// ---------- Selection ----------
+
+function transactionDate(doc) {
+  const field = fieldWith(getSchema(doc.type), "fxDate");
+  const m = field && typeof doc.data[field] === "string" ? doc.data[field].match(/^\d{4}-\d{2}-\d{2}/) : null;
+  return m ? m[0] : null;
+}
+
+// Filters: from/to (transaction date, inclusive), traveller, types, ids,
+// includeDuplicates. Returns [{ doc, record }] by date, record converted to
+// reportingCurrency.
+export function selectForExport({ from, to, traveller, types, ids, includeDuplicates, reportingCurrency }) {
+  const wanted = traveller ? normalizeName(traveller) : null;
+
+  return listDocuments()
+    .filter((doc) => {
+      const schema = getSchema(doc.type);
+      if (!schema) return false;
+      if (types?.length && !types.includes(doc.type)) return false;
+      if (ids?.length && !ids.includes(doc.id)) return false;
+
+      const date = transactionDate(doc);
+      if ((from || to) && !date) return false;
+      if ((from && date < from) || (to && date > to)) return false;
+
+      const travellerField = fieldWith(schema, "traveller");
+      if (wanted && normalizeName(travellerField ? doc.data[travellerField] : null) !== wanted) return false;
+
+      return includeDuplicates || !hasEarlierDuplicate(doc);
+    })
+    .sort((a, b) => (transactionDate(a) ?? "").localeCompare(transactionDate(b) ?? "") || a.id - b.id)
+    .map((doc) => ({ doc, record: addReportingAmount(getSchema(doc.type), { ...doc.data }, reportingCurrency) }));
+}
+
+// ---------- PDF report ----------
+
+// A4 in points
+const PAGE = { width: 595, height: 842, margin: 40 };
+const LINE = 14;
+const FONT = "DejaVu Sans, Arial, sans-serif";
+
+function fitText(ctx, text, width) {
+  let s = String(text);
+  if (ctx.measureText(s).width <= width) return s;
+  while (s.length > 1 && ctx.measureText(`${s}…`).width > width) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+function formatAmount(amount, currency) {
+  return typeof amount === "number" ? `${amount.toFixed(2)} ${currency ?? ""}`.trim() : "—";
+}
+
+function formatValue(v) {
+  if (v == null || v === "") return "—";
+  if (typeof v === "boolean") return v ? "yes" : "no";
+  return String(v);
+}
+
+function writePdf(entries, mappings, { title, subtitle, reportingCurrency }) {
+  const pdf = new PDFDocument({ title, creator: "Travel Receipt Parser" });
+  const contentWidth = PAGE.width - 2 * PAGE.margin;
+  let ctx;
+  let y;
+
+  const newPage = () => {
+    if (ctx) pdf.endPage();
+    ctx = pdf.beginPage(PAGE.width, PAGE.height);
+    ctx.textBaseline = "top";
+    y = PAGE.margin;
+  };
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) newPage();
+  };
+  const text = (s, x, width, { size = 10, bold = false, color = "#222", align = "left" } = {}) => {
+    ctx.font = `${bold ? "bold " : ""}${size}px ${FONT}`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(fitText(ctx, s, width), align === "right" ? x + width : x, y);
+  };
+
+  newPage();
+  text(title, PAGE.margin, contentWidth, { size: 18, bold: true });
+  y += 26;
+  text(subtitle, PAGE.margin, contentWidth, { color: "#666" });
+  y += LINE * 2;
+
+  for (const entry of entries) {
+    const { doc, record } = entry;
+    const schema = getSchema(doc.type);
+    // The heading carries the document columns, the amounts and the review flag;
+    // optional fields (the price breakdown) only when present
+    const fields = mappings[doc.type].filter(
+      (c) =>
+        !c.field.startsWith("document.") &&
+        !REPORTING_COLUMNS.some((r) => r.field === c.field) &&
+        !(schema.fields[c.field]?.optional && columnValue(entry, c.field) == null)
+    );
+    const issues = record.consistency?.issues ?? [];
+    const rows = Math.ceil(fields.length / 2);
+    ensureSpace(LINE * (3 + rows + issues.length + (record.needsReview ? 1 : 0)) + 12);
+
+    ctx.fillStyle = "#ddd";
+    ctx.fillRect(PAGE.margin, y - 6, contentWidth, 0.5);
+    text(`${schema.label} #${doc.id}`, PAGE.margin, contentWidth / 2, { size: 12, bold: true });
+    const currency = columnValue(entry, "currency");
+    const amount = formatAmount(columnValue(entry, "amount"), currency);
+    const reported =
+      currency === reportingCurrency
+        ? amount
+        : `${amount} = ${record.reportingAmount != null ? formatAmount(record.reportingAmount, reportingCurrency) : `? ${reportingCurrency}`}`;
+    text(reported, PAGE.margin + contentWidth / 2, contentWidth / 2, {
+      size: 12,
+      bold: true,
+      align: "right",
+    });
+    y += LINE + 2;
+    text(`${doc.source_file ?? "pasted text"} — uploaded ${doc.created_at.slice(0, 10)}`, PAGE.margin, contentWidth, {
+      size: 9,
+      color: "#666",
+    });
+    y += LINE;
+
+    for (let i = 0; i < fields.length; i += 2) {
+      fields.slice(i, i + 2).forEach((c, j) => {
+        text(`${c.header}: ${formatValue(columnValue(entry, c.field))}`, PAGE.margin + (j * contentWidth) / 2, contentWidth / 2 - 8);
+      });
+      y += LINE;
+    }
+
+    if (record.needsReview) {
+      text("Needs review", PAGE.margin, contentWidth, { bold: true, color: "#b00020" });
+      y += LINE;
+    }
+    for (const issue of issues) {
+      text(`Does not add up: ${issue.message}`, PAGE.margin, contentWidth, { color: "#b00020" });
+      y += LINE;
+    }
+    y += 12;
+  }
+
+  const totals = documentTotals(
+    entries.map((e) => e.doc),
+    reportingCurrency
+  );
+  const currencies = Object.entries(totals.byCurrency);
+  ensureSpace(LINE * (currencies.length + 3));
+  text(`${entries.length} document(s)`, PAGE.margin, contentWidth, { bold: true });
+  y += LINE + 4;
+  for (const [currency, amount] of currencies) {
+    text(`Total ${currency}`, PAGE.margin, contentWidth / 2);
+    text(formatAmount(amount, currency), PAGE.margin + contentWidth / 2, contentWidth / 2, { align: "right" });
+    y += LINE;
+  }
+  text(`Total in ${reportingCurrency}`, PAGE.margin, contentWidth / 2, { bold: true });
+  text(
+    totals.reportingAmount != null
+      ? formatAmount(totals.reportingAmount, reportingCurrency)
+      : `no rate for #${totals.unconverted.join(", #")}`,
+    PAGE.margin + contentWidth / 2,
+    contentWidth / 2,
+    { bold: true, align: "right" }
+  );
+
+  pdf.endPage();
+  return pdf.close();
+}
+
+// ---------- Entry point ----------
+
+function describeFilters({ from, to, traveller, types, ids }) {
+  const parts = [];
+  if (from || to) parts.push(`${from ?? "…"} to ${to ?? "…"}`);
+  if (traveller) parts.push(traveller);
+  if (types?.length) parts.push(types.map((t) => SCHEMAS[t].label).join(", "));
+  if (ids?.length) parts.push(`${ids.length} selected document(s)`);
+  return parts.length ? parts.join(" — ") : "All documents";
+}
+
+// format: csv | xlsx | pdf; filters as selectForExport; columns: mapping overrides
+// Returns { body, contentType, filename, count }
+export function exportDocuments(format, filters, columns) {
+  const mappings = resolveColumns(columns);
+  const entries = selectForExport(filters);
+  const filename = `expenses-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  let body;
+  if (format === "csv") {
+    const { columns: header, rows } = table(entries, mappings.all);
+    // Names, references and file names come from uploads: keep them from running as formulas
+    body = formatCsv(header, rows, { escapeFormulas: true });
+  } else if (format === "xlsx") {
+    // All documents first, then one sheet per type present (Flight, Hotel, ...)
+    const types = DOC_TYPES.filter((t) => entries.some((e) => e.doc.type === t));
+    body = writeXlsx([
+      { name: "All", ...table(entries, mappings.all) },
+      ...types.map((t) => ({
+        name: SCHEMAS[t].label,
+        ...table(
+          entries.filter((e) => e.doc.type === t),
+          mappings[t]
+        ),
+      })),
+    ]);
+  } else if (format === "pdf") {
+    body = writePdf(entries, mappings, {
+      title: "Expense report",
+      subtitle: `${describeFilters(filters)} — generated ${new Date().toISOString().slice(0, 10)}`,
+      reportingCurrency: filters.reportingCurrency,
+    });
+  } else {
+    throw new Error(`Invalid format: ${format} (one of ${EXPORT_FORMATS.join(", ")})`);
+  }
+
+  return { body, contentType: CONTENT_TYPES[format], filename, count: entries.length };
+}
@@ -0,0 +1,148 @@
+import fs from "fs";
+import { db } from "./db.js";
+import { parseCsv } from "./csv.js";
+
+// =====================================================
+// Currency conversion (historical ECB reference rates)
+// =====================================================
+//
+// Rates are imported from the ECB's CSV files into fx_rates and looked up
+// locally, so no rate service is needed. Like the ECB, the table is quoted
+// against EUR: rate = units of `currency` per 1 EUR. Other pairs are crossed
+// through EUR.
+
+export const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || "EUR").toUpperCase();
+
+// No ECB fixing on weekends and holidays: the latest rate up to this many
+// days before the transaction date is used
+const FX_MAX_AGE_DAYS = Number(process.env.FX_MAX_AGE_DAYS || 7);
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS fx_rates (
+  date TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  rate REAL NOT NULL,
+  PRIMARY KEY (currency, date)
+);
+`);
+
+const upsertRate = db.prepare(`
+INSERT INTO fx_rates (date, currency, rate) VALUES (@date, @currency, @rate)
+ON CONFLICT(currency, date) DO UPDATE SET rate = excluded.rate
+`);
+
+const selectRate = db.prepare(`
+SELECT date, rate FROM fx_rates
+WHERE currency = @currency AND date <= @date AND date >= @oldest
+ORDER BY date DESC LIMIT 1
+`);
+
+const selectSummary = db.prepare(`
+SELECT currency, COUNT(*) AS days, MIN(date) AS first_date, MAX(date) AS last_date
+FROM fx_rates GROUP BY currency ORDER BY currency
+`);
+
+// ---------- Import ----------
+
+const CURRENCY_COLUMN = /^[A-Z]{3}$/;
+
+function toRate(value) {
+  const rate = Number(String(value ?? "").trim());
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
+
+// Accepts both ECB layouts:
+//   wide  (eurofxref-hist.csv):  Date,USD,JPY,...   one row per day, "N/A" for missing
+//   long  (ECB data portal):     ...,CURRENCY,...,TIME_PERIOD,OBS_VALUE  one row per rate
+// Returns [{ date, currency, rate }]
+export function parseFxCsv(content) {
+  const rows = parseCsv(content);
+  if (!rows.length) return [];
+
+  const out = [];
+  if ("TIME_PERIOD" in rows[0] && "OBS_VALUE" in rows[0]) {
+    for (const r of rows) {
+      const rate = toRate(r.OBS_VALUE);
+      const currency = String(r.CURRENCY ?? "").trim().toUpperCase();
+      if (rate && CURRENCY_COLUMN.test(currency)) out.push({ date: r.TIME_PERIOD.trim(), currency, rate });
+    }
+    return out;
+  }
+
+  if (!("Date" in rows[0])) throw new Error(`Unrecognized FX CSV: expected a "Date" or "TIME_PERIOD" column`);
+  for (const r of rows) {
+    for (const [col, value] of Object.entries(r)) {
+      const rate = toRate(value);
+      if (rate && CURRENCY_COLUMN.test(col)) out.push({ date: r.Date.trim(), currency: col, rate });
+    }
+  }
+  return out;
+}
+
+export const saveFxRates = db.transaction((rates) => {
+  for (const r of rates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(r.date)) throw new Error(`Invalid FX rate date: ${r.date}`);
+    upsertRate.run(r);
+  }
+  return rates.length;
+});
+
+export function loadFxRatesFile(filePath) {
+  return saveFxRates(parseFxCsv(fs.readFileSync(filePath, "utf8")));
+}
+
+// Per currency: number of days and the range covered
+export function describeFxRates() {
+  return selectSummary.all();
+}
+
+// ---------- Lookup ----------
+
+function daysBefore(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Units of `currency` per 1 EUR on `date` -> { rate, date } | null
+function eurRate(currency, date) {
+  if (currency === "EUR") return { rate: 1, date };
+  return selectRate.get({ currency, date, oldest: daysBefore(date, FX_MAX_AGE_DAYS) }) ?? null;
+}
+
+// Multiplier from `from` to `to` on `date` -> { rate, rateDate } | null (no rate in the table)
+export function findRate(from, to, date) {
+  if (from === to) return { rate: 1, rateDate: date };
+
+  const a = eurRate(from, date);
+  const b = eurRate(to, date);
+  if (!a || !b) return null;
+
+  // The older of the two fixings is the one the conversion depends on
+  const rateDate = a.date < b.date ? a.date : b.date;
+  return { rate: b.rate / a.rate, rateDate };
+}
+
+// ---------- Records ----------
+
+// Adds the amount in the reporting currency to a record, using the rate of
+// the schema's fxDate field (the transaction date):
+//   reportingCurrency, reportingAmount, fxRate (reportingAmount = amount * fxRate), fxRateDate
+// The amount stays null when the price, currency, date or a rate is missing.
+export function addReportingAmount(schema, record, reportingCurrency = REPORTING_CURRENCY) {
+  const [priceField, price] = Object.entries(schema.fields).find(([, f]) => f.money) ?? [];
+  const [dateField] = Object.entries(schema.fields).find(([, f]) => f.fxDate) ?? [];
+
+  const amount = priceField ? record[priceField] : null;
+  const currency = price ? record[price.money] : null;
+  const date = dateField ? record[dateField] : null;
+
+  const fx =
+    typeof amount === "number" && currency && date ? findRate(currency, reportingCurrency, date) : null;
+
+  record.reportingCurrency = reportingCurrency;
+  record.reportingAmount = fx ? Math.round(amount * fx.rate * 100) / 100 : null;
+  record.fxRate = fx ? Math.round(fx.rate * 1e6) / 1e6 : null;
+  record.fxRateDate = fx?.rateDate ?? null;
+  return record;
+}
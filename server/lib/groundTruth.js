@@ -0,0 +1,197 @@
+import fs from "fs";
+import path from "path";
+import { db } from "./db.js";
+import { parseCsv } from "./csv.js";
+
+// =====================================================
+// Ground-truth labels
+// =====================================================
+//
+// Curated dataset labels are stored per *document*, not per file:
+// "Flight_10.pdf", "Flight_10.png" and "Flight_10_blur5.png" all resolve to
+// doc key "Flight_10", so one label row covers every format and degradation.
+//
+// Reviewed uploads (documents.js) are labelled per eval_runs row and record
+// instead: uploads share names ("scan.pdf") and one upload can hold several
+// bookings. Run labels take precedence over doc key labels when scoring.
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS ground_truth (
+  doc_key TEXT PRIMARY KEY,
+  source_file TEXT NOT NULL,
+  docType TEXT NOT NULL,
+  labels TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+`);
+
+const upsertLabel = db.prepare(`
+INSERT INTO ground_truth (doc_key, source_file, docType, labels, updated_at)
+VALUES (@doc_key, @source_file, @docType, @labels, @updated_at)
+ON CONFLICT(doc_key) DO UPDATE SET
+  source_file = excluded.source_file,
+  docType = excluded.docType,
+  labels = excluded.labels,
+  updated_at = excluded.updated_at;
+`);
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS run_labels (
+  eval_run_id INTEGER NOT NULL,
+  record_index INTEGER NOT NULL,
+  source_file TEXT,
+  docType TEXT NOT NULL,
+  labels TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (eval_run_id, record_index)
+);
+`);
+
+const upsertRunLabel = db.prepare(`
+INSERT INTO run_labels (eval_run_id, record_index, source_file, docType, labels, updated_at)
+VALUES (@eval_run_id, @record_index, @source_file, @docType, @labels, @updated_at)
+ON CONFLICT(eval_run_id, record_index) DO UPDATE SET
+  docType = excluded.docType,
+  labels = excluded.labels,
+  updated_at = excluded.updated_at;
+`);
+
+const selectRunLabels = db.prepare(`SELECT * FROM run_labels WHERE eval_run_id = ? ORDER BY record_index`);
+const deleteRunLabelRow = db.prepare(`DELETE FROM run_labels WHERE eval_run_id = ? AND record_index = ?`);
+
+const selectLabel = db.prepare(`SELECT * FROM ground_truth WHERE doc_key = ?`);
+const selectAllLabels = db.prepare(`SELECT * FROM ground_truth ORDER BY doc_key`);
+
+// Suffixes added by the image degradation scripts (see server/images)
+export const DEGRADATION_SUFFIXES = ["blur5", "blur7", "sp", "cs"];
+
+const DEGRADATION_RE = new RegExp(`_(${DEGRADATION_SUFFIXES.join("|")})$`, "i");
+
+// "Flight_10_blur5.png" -> { docKey: "Flight_10", degradation: "blur5" }
+// PDF page renders ("x.pdf.page-1.png") resolve to the PDF's document.
+export function parseSourceFile(sourceFile) {
+  if (!sourceFile || typeof sourceFile !== "string") {
+    return { docKey: null, degradation: null };
+  }
+
+  let base = path.basename(sourceFile).replace(/\.page-\d+\.\w+$/i, "");
+  base = base.replace(/\.[^.]+$/, "");
+
+  const m = base.match(DEGRADATION_RE);
+  const degradation = m ? m[1].toLowerCase() : null;
+  if (m) base = base.slice(0, m.index);
+
+  return { docKey: base || null, degradation };
+}
+
+function rowToLabel(row) {
+  if (!row) return null;
+  return {
+    docKey: row.doc_key,
+    source_file: row.source_file,
+    type: row.docType,
+    fields: JSON.parse(row.labels),
+    updated_at: row.updated_at,
+  };
+}
+
+export function getLabel(sourceFile) {
+  const { docKey } = parseSourceFile(sourceFile);
+  if (!docKey) return null;
+  return rowToLabel(selectLabel.get(docKey));
+}
+
+export function listLabels() {
+  return selectAllLabels.all().map(rowToLabel);
+}
+
+// label = { source_file, type, ...fields }
+export function saveLabel(label) {
+  const { source_file, type, ...fields } = label ?? {};
+  const { docKey } = parseSourceFile(source_file);
+
+  if (!docKey) throw new Error(`Label missing "source_file": ${JSON.stringify(label).slice(0, 200)}`);
+  if (!type) throw new Error(`Label for "${source_file}" missing "type"`);
+
+  upsertLabel.run({
+    doc_key: docKey,
+    source_file,
+    docType: type,
+    labels: JSON.stringify(fields),
+    updated_at: new Date().toISOString(),
+  });
+
+  return docKey;
+}
+
+export const saveLabels = db.transaction((labels) => labels.map(saveLabel));
+
+// ---------- Reviewed runs ----------
+
+function rowToRunLabel(row) {
+  return {
+    eval_run_id: row.eval_run_id,
+    record_index: row.record_index,
+    source_file: row.source_file,
+    type: row.docType,
+    fields: JSON.parse(row.labels),
+    updated_at: row.updated_at,
+  };
+}
+
+// Labels of one eval_runs row, by record index (multi-record runs can have several)
+export function getRunLabels(evalRunId) {
+  return selectRunLabels.all(evalRunId).map(rowToRunLabel);
+}
+
+// label = { eval_run_id, record_index, source_file, type, ...fields }; returns { eval_run_id, record_index }
+export function saveRunLabel(label) {
+  const { eval_run_id, record_index = 0, source_file = null, type, ...fields } = label ?? {};
+  if (!Number.isInteger(eval_run_id)) throw new Error(`Run label missing "eval_run_id"`);
+  if (!type) throw new Error(`Label for run ${eval_run_id} missing "type"`);
+
+  upsertRunLabel.run({
+    eval_run_id,
+    record_index,
+    source_file,
+    docType: type,
+    labels: JSON.stringify(fields),
+    updated_at: new Date().toISOString(),
+  });
+
+  return { eval_run_id, record_index };
+}
+
+// Removes the label of one record (no longer reviewed as correct); true if there was one
+export function deleteRunLabel(evalRunId, recordIndex = 0) {
+  return deleteRunLabelRow.run(evalRunId, recordIndex).changes > 0;
+}
+
+// ---------- Loading from JSON / CSV ----------
+
+// CSV cells are strings; empty means null and totalPrice is numeric
+function coerceCsvLabel(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    const s = String(v).trim();
+    if (s === "" || s.toLowerCase() === "null") out[k] = null;
+    else if (k === "totalPrice") out[k] = Number(s.replace(/,/g, ""));
+    else out[k] = s;
+  }
+  return out;
+}
+
+// Accepts an array of labels, or an object keyed by source_file
+export function parseLabels(content, format) {
+  if (format === "csv") return parseCsv(content).map(coerceCsvLabel);
+
+  const parsed = JSON.parse(content);
+  if (Array.isArray(parsed)) return parsed;
+  return Object.entries(parsed).map(([source_file, label]) => ({ source_file, ...label }));
+}
+
+export function loadLabelsFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const format = path.extname(filePath).toLowerCase() === ".csv" ? "csv" : "json";
+  return saveLabels(parseLabels(content, format));
+}
@@ -0,0 +1,241 @@
+import { codesForCity, currencyAliases, normalizeDate, parseAmount } from "./normalize.js";
+
+// =====================================================
+// Grounding: do the extracted values appear in the text?
+// =====================================================
+//
+// Every extracted value is looked up in the text the model was given.
+// Dates and amounts are compared after parsing, so "12 Dec 2010" grounds
+// 2010-12-12 and "1.234,56" grounds 1234.56. A value found nowhere in the
+// text is most likely invented by the model.
+
+const SNIPPET_RADIUS = 30;
+
+// Names/cities: all words within this many characters of each other
+const TOKEN_WINDOW = 120;
+
+const AMOUNT_EPSILON = 0.005;
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Lowercase, accents removed, same length as the input so offsets still apply
+function fold(s) {
+  let out = "";
+  for (const ch of s) {
+    const base = [...ch.normalize("NFD")][0].toLowerCase();
+    out += base.length === ch.length ? base : ch;
+  }
+  return out;
+}
+
+function found(text, offset, length) {
+  const start = Math.max(0, offset - SNIPPET_RADIUS);
+  const end = Math.min(text.length, offset + length + SNIPPET_RADIUS);
+  return { grounded: true, snippet: text.slice(start, end).replace(/\s+/g, " ").trim(), offset, length };
+}
+
+function notFound() {
+  return { grounded: false, snippet: null, offset: null, length: null };
+}
+
+// ---------- Strings ----------
+
+// "AB 12C" also matches "ab12c" and "AB-12C": letters/digits in order, up to
+// 3 separator characters between them
+function findLoose(text, folded, value) {
+  const chars = [...fold(value)].filter((c) => /[\p{L}\p{N}]/u.test(c));
+  if (chars.length === 0) return null;
+  const re = new RegExp(
+    `(?<![\\p{L}\\p{N}])${chars.map(escapeRegex).join("[^\\p{L}\\p{N}]{0,3}")}(?![\\p{L}\\p{N}])`,
+    "u"
+  );
+  const m = re.exec(folded);
+  return m ? found(text, m.index, m[0].length) : null;
+}
+
+function wordPositions(folded, word) {
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(word)}(?![\\p{L}\\p{N}])`, "gu");
+  return [...folded.matchAll(re)].map((m) => m.index);
+}
+
+// "JOHN SMITH" is grounded by "SMITH/JOHN MR": every word, in any order, close together
+function findTokens(text, folded, value) {
+  const tokens = fold(value).split(/[^\p{L}\p{N}]+/u).filter((t) => t.length >= 2);
+  if (tokens.length < 2) return null;
+
+  const positions = tokens.map((t) => wordPositions(folded, t));
+  if (positions.some((p) => p.length === 0)) return null;
+
+  for (const start of positions[0]) {
+    const near = positions.every((p) => p.some((i) => Math.abs(i - start) <= TOKEN_WINDOW));
+    if (near) return found(text, start, tokens[0].length);
+  }
+  return null;
+}
+
+function groundString(text, folded, value) {
+  return findLoose(text, folded, value) ?? findTokens(text, folded, value);
+}
+
+// Cities may only be printed as their airport code ("YYZ")
+function groundCity(text, folded, value) {
+  const hit = groundString(text, folded, value);
+  if (hit) return hit;
+
+  for (const code of codesForCity(value)) {
+    const m = new RegExp(`\\b${code}\\b`).exec(text);
+    if (m) return found(text, m.index, code.length);
+  }
+  return null;
+}
+
+function groundCurrency(text, folded, value) {
+  const code = new RegExp(`\\b${escapeRegex(value)}\\b`).exec(text);
+  if (code) return found(text, code.index, value.length);
+
+  for (const alias of currencyAliases(value)) {
+    // Symbols are matched as printed, names as whole words in any case
+    const re = /^[\p{L} ]+$/u.test(alias)
+      ? new RegExp(`(?<!\\p{L})${escapeRegex(alias)}(?!\\p{L})`, "u")
+      : new RegExp(escapeRegex(alias));
+    const m = re.exec(/^[\p{L} ]+$/u.test(alias) ? folded : text);
+    if (m) return found(text, m.index, m[0].length);
+  }
+  return null;
+}
+
+// ---------- Dates ----------
+
+const DATE_CANDIDATES = [
+  /\d{4}[-/.]\d{1,2}[-/.]\d{1,2}/gu,
+  /\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}/gu,
+  /\d{1,2}(?:st|nd|rd|th)?\.?\s*\p{L}{3,10}\.?,?\s*\d{2,4}(?![\d:])/gu,
+  /\p{L}{3,10}\.?\s*\d{1,2}(?:st|nd|rd|th)?,?\s*\d{4}/gu,
+];
+
+// Itineraries often print "Sat 18 DEC" without a year; only used when no
+// digits follow, so "18 DEC 2009" never grounds 2010-12-18
+const DATE_CANDIDATES_NO_YEAR = [
+  /\d{1,2}(?:st|nd|rd|th)?\.?\s*\p{L}{3,10}\.?(?![\s,.]*\d)/gu,
+  /\p{L}{3,10}\.?\s*\d{1,2}(?:st|nd|rd|th)?(?![\s,.]*\d)/gu,
+];
+
+// Candidates can overlap: in "Room 12 Arrival 12 Dec 2023" the first one is
+// "12 Arrival 12", so after a miss the search resumes one character later
+function findCandidate(text, re, matches) {
+  const scan = new RegExp(re.source, re.flags);
+  let m;
+  while ((m = scan.exec(text))) {
+    if (matches(m[0])) return found(text, m.index, m[0].length);
+    scan.lastIndex = m.index + 1;
+  }
+  return null;
+}
+
+function findDate(text, isoDate) {
+  for (const re of DATE_CANDIDATES) {
+    const hit = findCandidate(text, re, (s) => normalizeDate(s) === isoDate);
+    if (hit) return hit;
+  }
+
+  const year = isoDate.slice(0, 4);
+  for (const re of DATE_CANDIDATES_NO_YEAR) {
+    const hit = findCandidate(text, re, (s) => normalizeDate(`${s} ${year}`) === isoDate);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// "14:35" is also printed as "1435", "14.35", "14h35" or "2:35 PM"
+function hasTime(text, hhmm) {
+  const [h, mm] = hhmm.split(":").map(Number);
+  const pad = (n) => String(n).padStart(2, "0");
+  const forms = [`0?${h}[:.h]?${pad(mm)}`];
+  if (h === 0) forms.push(`12[:.]${pad(mm)}\\s*a\\.?m`);
+  else if (h < 12) forms.push(`${h}[:.]${pad(mm)}\\s*a\\.?m`);
+  else forms.push(`${h === 12 ? 12 : h - 12}[:.]${pad(mm)}\\s*p\\.?m`);
+  return new RegExp(`(?<!\\d)(?:${forms.join("|")})(?!\\d)`, "i").test(text);
+}
+
+function groundDate(text, value) {
+  const m = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/);
+  if (!m) return null;
+  const hit = findDate(text, m[1]);
+  if (!hit || (m[2] && !hasTime(text, m[2]))) return null;
+  return hit;
+}
+
+// ---------- Amounts ----------
+
+const AMOUNT_CANDIDATE = /(?<![\d.,])\d{1,3}(?:[.,'\u00A0 ]\d{3})+(?:[.,]\d{1,2})?(?![\d])|(?<![\d.,])\d+(?:[.,]\d{1,2})?(?![\d])/g;
+
+function groundAmount(text, value) {
+  for (const m of text.matchAll(AMOUNT_CANDIDATE)) {
+    const n = parseAmount(m[0]);
+    if (typeof n === "number" && Math.abs(n - value) < AMOUNT_EPSILON) return found(text, m.index, m[0].length);
+  }
+  return null;
+}
+
+// =====================================================
+// Schema-driven record check
+// =====================================================
+
+function groundValue(field, value, text, folded) {
+  // Discounts are negative line items but printed without the sign as often as with it
+  if (typeof value === "number") return groundAmount(text, Math.abs(value));
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  if (field.format === "date" || field.format === "datetime") return groundDate(text, value);
+  if (field.format === "currency") return groundCurrency(text, folded, value);
+  if (field.match === "city") return groundCity(text, folded, value);
+  return groundString(text, folded, value);
+}
+
+function checkFields(fields, obj, prefix, text, folded, out) {
+  for (const [k, field] of Object.entries(fields)) {
+    // Enums (tripType) and derived/inferred values are never printed as such
+    if (field.derived || field.enum || field.grounding === false) continue;
+    const value = obj[k];
+    if (value === null || value === undefined) continue;
+    const path = `${prefix}${k}`;
+
+    if (field.type === "array") {
+      if (Array.isArray(value) && field.items) {
+        value.forEach((item, i) => {
+          if (item && typeof item === "object") checkFields(field.items, item, `${path}[${i}].`, text, folded, out);
+        });
+      }
+      continue;
+    }
+
+    out[path] = groundValue(field, value, text, folded) ?? notFound();
+  }
+}
+
+// Returns { [path]: { grounded, snippet, offset, length } } for every non-null value
+export function checkGrounding(schema, obj, text) {
+  const source = String(text ?? "");
+  const out = {};
+  checkFields(schema.fields, obj, "", source, fold(source), out);
+  return out;
+}
+
+// Columns for eval_runs; records = one record or the multi-mode array
+export function summarizeGrounding(records) {
+  const list = Array.isArray(records) ? records : [records];
+  let grounded = 0;
+  const ungrounded = [];
+
+  list.forEach((r, i) => {
+    const prefix = Array.isArray(records) ? `records[${i}].` : "";
+    for (const [path, g] of Object.entries(r?.grounding ?? {})) {
+      if (g.grounded) grounded++;
+      else ungrounded.push(prefix + path);
+    }
+  });
+
+  return { grounded_fields: grounded, ungrounded_fields: JSON.stringify(ungrounded) };
+}
@@ -0,0 +1,150 @@
+import { ocrImage } from "./ocr.js";
+import { detectLanguage } from "./language.js";
+import { isPdf, openPdf, extractPdfText, renderPdfPage } from "./pdf.js";
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+
+// =====================================================
+// Uploaded file -> text (PDF text layer, else OCR)
+// =====================================================
+
+// Below this many characters a PDF is treated as scanned (no usable text layer)
+const PDF_MIN_TEXT_CHARS = Number(process.env.PDF_MIN_TEXT_CHARS || 40);
+
+// Scanned PDFs: only the first pages are rasterized + OCR'd
+const PDF_OCR_MAX_PAGES = Number(process.env.PDF_OCR_MAX_PAGES || 3);
+
+export function isSupportedUpload(buffer, mimetype) {
+  return isPdf(buffer) || String(mimetype || "").startsWith("image/");
+}
+
+// Returns { text, input_type: "pdf" | "pdf_ocr" | "image", ocr_used, pages, words, preprocessing }
+// words = OCR words with confidences (page = 1-based page number), null for text-layer PDFs
+// preprocessing = the variant OCR kept for each page ([{ page, variant, steps, confidence, tried }]), null without OCR
+// variants = preprocessing variants to try (default OCR_PREPROCESS)
+// onOcr = called once OCR starts (progress reporting)
+export async function extractDocumentText(buffer, mimetype, variants, onOcr) {
+  if (isPdf(buffer)) {
+    const pdf = await openPdf(buffer);
+    try {
+      const text = await extractPdfText(pdf);
+      if (text.length >= PDF_MIN_TEXT_CHARS) {
+        return { text, input_type: "pdf", ocr_used: false, pages: pdf.numPages, words: null, preprocessing: null };
+      }
+
+      onOcr?.();
+      const pagesToOcr = Math.min(PDF_OCR_MAX_PAGES, pdf.numPages);
+      const parts = [];
+      const words = [];
+      const preprocessing = [];
+      for (let i = 1; i <= pagesToOcr; i++) {
+        const png = await renderPdfPage(pdf, i);
+        const ocr = await ocrImage(png, variants);
+        parts.push(ocr.text);
+        words.push(...ocr.words.map((w) => ({ ...w, page: i })));
+        preprocessing.push({ page: i, ...ocr.preprocessing });
+      }
+
+      return {
+        text: parts.join("\n\n").trim(),
+        input_type: "pdf_ocr",
+        ocr_used: true,
+        pages: pdf.numPages,
+        words,
+        preprocessing,
+      };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  if (!String(mimetype || "").startsWith("image/")) {
+    throw new Error(`Unsupported file type: ${mimetype || "unknown"}`);
+  }
+
+  onOcr?.();
+  const ocr = await ocrImage(buffer, variants);
+  return {
+    text: ocr.text,
+    input_type: "image",
+    ocr_used: true,
+    pages: 1,
+    words: ocr.words.map((w) => ({ ...w, page: 1 })),
+    preprocessing: [{ page: 1, ...ocr.preprocessing }],
+  };
+}
+
+// =====================================================
+// Vision input (page images for multimodal models)
+// =====================================================
+//
+// pipeline "ocr"    -> text only (above)
+//          "vision" -> page images only, no OCR
+//          "hybrid" -> OCR / text-layer text plus the page images
+
+export const PIPELINES = ["ocr", "vision", "hybrid"];
+
+// PDFs: only the first pages are rendered and sent
+const VISION_MAX_PAGES = Number(process.env.VISION_MAX_PAGES || 3);
+
+// Formats every vision API accepts; anything else is re-encoded as PNG
+const VISION_MIME_TYPES = new Set(["image/png", "image/jpeg", "image/webp", "image/gif"]);
+
+async function toPng(buffer) {
+  const img = await loadImage(buffer);
+  const canvas = createCanvas(img.width, img.height);
+  canvas.getContext("2d").drawImage(img, 0, 0);
+  return canvas.encode("png");
+}
+
+// Returns { images: [{ mimeType, data (base64) }], pages }
+export async function documentImages(buffer, mimetype) {
+  if (isPdf(buffer)) {
+    const pdf = await openPdf(buffer);
+    try {
+      const images = [];
+      for (let i = 1; i <= Math.min(VISION_MAX_PAGES, pdf.numPages); i++) {
+        const png = await renderPdfPage(pdf, i);
+        images.push({ mimeType: "image/png", data: png.toString("base64") });
+      }
+      return { images, pages: pdf.numPages };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  if (VISION_MIME_TYPES.has(mimetype)) {
+    return { images: [{ mimeType: mimetype, data: buffer.toString("base64") }], pages: 1 };
+  }
+  const png = await toPng(buffer);
+  return { images: [{ mimeType: "image/png", data: png.toString("base64") }], pages: 1 };
+}
+
+// Same shape as extractDocumentText() plus "images" and the detected "language"
+// and "script" (null without text); input_type records the path that ran:
+// "image_vision", "pdf_vision", "<ocr input_type>_hybrid"
+export async function prepareDocument(buffer, mimetype, pipeline = "ocr", variants, onOcr) {
+  const doc = await readDocument(buffer, mimetype, pipeline, variants, onOcr);
+  const { language, script } = detectLanguage(doc.text);
+  return { ...doc, language, script };
+}
+
+async function readDocument(buffer, mimetype, pipeline, variants, onOcr) {
+  if (pipeline === "ocr") return { ...(await extractDocumentText(buffer, mimetype, variants, onOcr)), images: null };
+
+  const { images, pages } = await documentImages(buffer, mimetype);
+
+  if (pipeline === "vision") {
+    return {
+      text: "",
+      input_type: isPdf(buffer) ? "pdf_vision" : "image_vision",
+      ocr_used: false,
+      pages,
+      words: null,
+      preprocessing: null,
+      images,
+    };
+  }
+
+  const doc = await extractDocumentText(buffer, mimetype, variants, onOcr);
+  return { ...doc, input_type: `${doc.input_type}_hybrid`, images };
+}
@@ -0,0 +1,137 @@
+// =====================================================
+// Flight segments -> trip summary (deterministic)
+// =====================================================
+//
+// Segments are grouped into journeys: consecutive legs are one journey
+// when the next leg leaves from the airport the previous one arrived at,
+// within MAX_CONNECTION_HOURS. Times are local to each airport, so the
+// gap is approximate across time zones; that is fine for telling a
+// connection (hours) from a stay (days).
+
+const MAX_CONNECTION_HOURS = Number(process.env.MAX_CONNECTION_HOURS || 24);
+
+// Accepts "YYYY-MM-DD", "YYYY-MM-DDTHH:MM" or "YYYY-MM-DD HH:MM"
+function parseLocalDateTime(s) {
+  if (!s || typeof s !== "string") return null;
+  const m = s.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+  if (!m) return null;
+  const [, y, mo, d, h = "00", mi = "00"] = m;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi);
+}
+
+function datePart(s) {
+  const m = typeof s === "string" ? s.match(/^\d{4}-\d{2}-\d{2}/) : null;
+  return m ? m[0] : null;
+}
+
+function cleanCode(code) {
+  if (!code || typeof code !== "string") return null;
+  const c = code.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+function cleanCity(city) {
+  if (!city || typeof city !== "string") return null;
+  const c = city.replace(/\s+/g, " ").trim().toUpperCase();
+  return c || null;
+}
+
+// Same place if the airport codes match, else if the city names match
+function samePlace(aCode, aCity, bCode, bCity) {
+  if (aCode && bCode) return aCode === bCode || (!!aCity && aCity === bCity);
+  return !!aCity && aCity === bCity;
+}
+
+export function normalizeSegments(segments) {
+  if (!Array.isArray(segments)) return [];
+
+  const out = segments
+    .filter((s) => s && typeof s === "object")
+    .map((s) => {
+      const seg = { ...s };
+      seg.fromCode = cleanCode(seg.fromCode);
+      seg.toCode = cleanCode(seg.toCode);
+      seg.fromCity = cleanCity(seg.fromCity);
+      seg.toCity = cleanCity(seg.toCity);
+      if (seg.flightNumber != null) seg.flightNumber = String(seg.flightNumber).replace(/\s+/g, "").toUpperCase();
+      return seg;
+    });
+
+  // Stable sort by departure; legs without a time keep their position
+  return out
+    .map((seg, i) => ({ seg, i, t: parseLocalDateTime(seg.departureDateTime) }))
+    .sort((a, b) => (a.t != null && b.t != null ? a.t - b.t : a.i - b.i))
+    .map((x) => x.seg);
+}
+
+export function groupJourneys(segments) {
+  const journeys = [];
+  let current = null;
+
+  for (const seg of segments) {
+    const prev = current?.[current.length - 1];
+    let connects = false;
+
+    if (prev) {
+      const arrived = parseLocalDateTime(prev.arrivalDateTime) ?? parseLocalDateTime(prev.departureDateTime);
+      const departs = parseLocalDateTime(seg.departureDateTime);
+      const gapHours = arrived != null && departs != null ? (departs - arrived) / 3_600_000 : null;
+
+      connects =
+        samePlace(prev.toCode, prev.toCity, seg.fromCode, seg.fromCity) &&
+        gapHours != null &&
+        gapHours >= 0 &&
+        gapHours <= MAX_CONNECTION_HOURS;
+    }
+
+    if (connects) current.push(seg);
+    else journeys.push((current = [seg]));
+  }
+
+  return journeys;
+}
+
+function layoversOf(journey) {
+  const layovers = [];
+  for (let i = 1; i < journey.length; i++) {
+    const prev = journey[i - 1];
+    const next = journey[i];
+    const arrived = parseLocalDateTime(prev.arrivalDateTime);
+    const departs = parseLocalDateTime(next.departureDateTime);
+    layovers.push({
+      airport: prev.toCode,
+      city: prev.toCity,
+      durationMinutes: arrived != null && departs != null ? Math.round((departs - arrived) / 60_000) : null,
+    });
+  }
+  return layovers;
+}
+
+// Returns the summary fields derived from segments, or null if there are none
+export function deriveItinerary(rawSegments) {
+  const segments = normalizeSegments(rawSegments);
+  if (segments.length === 0) return null;
+
+  const journeys = groupJourneys(segments);
+  const outbound = journeys[0];
+  const first = outbound[0];
+  const last = outbound[outbound.length - 1];
+
+  // Round trip: a later journey goes B -> A back to the trip origin
+  const finalJourney = journeys[journeys.length - 1];
+  const finalLeg = finalJourney[finalJourney.length - 1];
+  const isRoundTrip =
+    journeys.length >= 2 &&
+    samePlace(finalJourney[0].fromCode, finalJourney[0].fromCity, last.toCode, last.toCity) &&
+    samePlace(finalLeg.toCode, finalLeg.toCity, first.fromCode, first.fromCity);
+
+  return {
+    segments,
+    layovers: journeys.flatMap(layoversOf),
+    tripType: isRoundTrip ? "round_trip" : "one_way",
+    overallFrom: first.fromCity,
+    overallTo: last.toCity,
+    departureDate: datePart(first.departureDateTime),
+    returnDate: isRoundTrip ? datePart(finalJourney[0].departureDateTime) : null,
+  };
+}
@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import { db, ensureColumn } from "./db.js";
+
+// =====================================================
+// Extraction jobs (persistent queue)
+// =====================================================
+//
+// Jobs live in the same SQLite file as eval_runs, so queued work survives a
+// restart: jobs that were running when the server stopped are queued again.
+// The uploaded file stays in uploads/ until its job has finished.
+
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+
+export const JOB_STATUSES = ["queued", "running", "done", "failed"];
+
+// What a running job is doing: reading the file / text layer, OCR, model call
+export const JOB_STAGES = ["text", "ocr", "llm"];
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  source_file TEXT,
+  file_path TEXT,
+  mimetype TEXT,
+  options TEXT,
+  result TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  started_at TEXT,
+  finished_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+`);
+
+// Progress of a running job (JOB_STAGES), kept after it finished
+ensureColumn("jobs", "stage", "TEXT");
+
+const insertJob = db.prepare(`
+INSERT INTO jobs (id, status, source_file, file_path, mimetype, options, created_at)
+VALUES (@id, 'queued', @source_file, @file_path, @mimetype, @options, @created_at)
+`);
+
+const selectJob = db.prepare(`SELECT * FROM jobs WHERE id = ?`);
+
+// rowid keeps submission order for jobs created within the same millisecond
+const claimNextJob = db.prepare(`
+UPDATE jobs SET status = 'running', started_at = @now
+WHERE id = (SELECT id FROM jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1)
+RETURNING *
+`);
+
+const finishJob = db.prepare(`
+UPDATE jobs SET status = @status, result = @result, error = @error, finished_at = @now
+WHERE id = @id
+`);
+
+const requeueInterrupted = db.prepare(`
+UPDATE jobs SET status = 'queued', started_at = NULL, stage = NULL WHERE status = 'running'
+`);
+
+const updateStage = db.prepare(`UPDATE jobs SET stage = @stage WHERE id = @id`);
+
+function toJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    stage: row.stage,
+    source_file: row.source_file,
+    options: row.options ? JSON.parse(row.options) : {},
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+  };
+}
+
+export function getJob(id) {
+  return toJob(selectJob.get(id));
+}
+
+export function listJobs({ status, limit = 100 } = {}) {
+  const where = status ? "WHERE status = @status" : "";
+  return db
+    .prepare(`SELECT * FROM jobs ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit`)
+    .all({ status, limit })
+    .map(toJob);
+}
+
+// ---------- Worker loop ----------
+
+let handler = null;
+let running = 0;
+
+function pump() {
+  while (handler && running < JOB_CONCURRENCY) {
+    const row = claimNextJob.get({ now: new Date().toISOString() });
+    if (!row) return;
+
+    running++;
+    const job = { ...toJob(row), file_path: row.file_path, mimetype: row.mimetype };
+
+    const setStage = (stage) => updateStage.run({ id: job.id, stage });
+
+    Promise.resolve()
+      .then(() => handler(job, setStage))
+      .then(
+        (result) => finishJob.run({ id: job.id, status: "done", result: JSON.stringify(result), error: null, now: new Date().toISOString() }),
+        (e) => finishJob.run({ id: job.id, status: "failed", result: null, error: e?.message ?? "Unknown error", now: new Date().toISOString() })
+      )
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+}
+
+// Queues a job and returns it; processing starts as soon as a worker is free
+export function createJob({ source_file, file_path, mimetype, options }) {
+  const id = crypto.randomUUID();
+  insertJob.run({
+    id,
+    source_file: source_file ?? null,
+    file_path,
+    mimetype: mimetype ?? null,
+    options: JSON.stringify(options ?? {}),
+    created_at: new Date().toISOString(),
+  });
+  pump();
+  return getJob(id);
+}
+
+// handler(job, setStage) -> result object (stored as JSON), or throws to fail the job.
+// job = { id, source_file, options, file_path, mimetype, ... }; setStage(one of JOB_STAGES)
+export function startJobQueue(jobHandler) {
+  handler = jobHandler;
+  requeueInterrupted.run();
+  pump();
+}
@@ -0,0 +1,87 @@
+// =====================================================
+// Document language detection
+// =====================================================
+//
+// Languages use Tesseract's codes, so a detected language is also the name of
+// the traineddata file that reads it. Detection is deliberately simple: the
+// writing system first, then common words and letters for Latin-script text.
+
+// stopwords: frequent words on receipts/invoices; letters: lowercase letters (almost) only that language uses
+export const LANGUAGES = {
+  eng: {
+    name: "English",
+    script: "Latin",
+    stopwords: ["the", "and", "of", "to", "for", "your", "with", "this", "you", "from", "is", "are", "invoice", "amount", "room", "night", "departure", "arrival", "total"],
+    letters: null,
+  },
+  deu: {
+    name: "German",
+    script: "Latin",
+    stopwords: ["der", "die", "das", "und", "ist", "für", "mit", "von", "den", "dem", "nicht", "sie", "ihre", "rechnung", "betrag", "zimmer", "nacht", "ankunft", "abreise", "gesamt", "steuer", "datum"],
+    letters: /[äöüß]/g,
+  },
+  fra: {
+    name: "French",
+    script: "Latin",
+    stopwords: ["le", "la", "les", "et", "des", "du", "pour", "avec", "une", "est", "vous", "votre", "facture", "montant", "chambre", "nuit", "arrivée", "départ", "taxe", "séjour"],
+    letters: /[éèêëàâçîïôœùû]/g,
+  },
+  spa: {
+    name: "Spanish",
+    script: "Latin",
+    stopwords: ["el", "los", "las", "y", "del", "para", "con", "una", "su", "factura", "importe", "habitación", "noche", "llegada", "salida", "impuesto", "estancia", "fecha"],
+    letters: /[ñ¿¡áíóú]/g,
+  },
+  tur: {
+    name: "Turkish",
+    script: "Latin",
+    stopwords: ["ve", "bir", "için", "ile", "bu", "fatura", "tutar", "oda", "gece", "giriş", "çıkış", "toplam", "tarih", "vergi", "konaklama", "misafir", "kdv"],
+    letters: /[ğşı]/g,
+  },
+  fas: { name: "Persian", script: "Arabic", stopwords: [], letters: null },
+  ara: { name: "Arabic", script: "Arabic", stopwords: [], letters: null },
+};
+
+const SCRIPTS = {
+  Latin: /[A-Za-z\u00C0-\u024F]/g,
+  Arabic: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFC]/g,
+};
+
+// Letters Persian adds to the Arabic alphabet (peh, tcheh, jeh, gaf, keheh, farsi yeh)
+const PERSIAN_LETTERS = /[\u067E\u0686\u0698\u06AF\u06A9\u06CC]/g;
+
+// Below this many letters the text says nothing reliable
+const MIN_LETTERS = 20;
+
+function count(text, re) {
+  return text.match(re)?.length ?? 0;
+}
+
+// Returns { language, script, confidence } (language/script null when the text is too short)
+export function detectLanguage(text) {
+  const s = String(text ?? "");
+  const scripts = Object.entries(SCRIPTS).map(([script, re]) => [script, count(s, re)]);
+  const [script, letters] = scripts.sort((a, b) => b[1] - a[1])[0];
+  if (letters < MIN_LETTERS) return { language: null, script: null, confidence: 0 };
+
+  if (script === "Arabic") {
+    return { language: count(s, PERSIAN_LETTERS) > 0 ? "fas" : "ara", script, confidence: 0.8 };
+  }
+
+  const lower = s.toLowerCase();
+  const words = lower.split(/[^\p{L}]+/u).filter(Boolean);
+  const scores = Object.entries(LANGUAGES)
+    .filter(([, lang]) => lang.script === "Latin")
+    .map(([code, lang]) => {
+      const stop = new Set(lang.stopwords);
+      const hits = words.filter((w) => stop.has(w)).length;
+      return [code, hits + (lang.letters ? 2 * count(lower, lang.letters) : 0)];
+    })
+    .sort((a, b) => b[1] - a[1]);
+
+  const total = scores.reduce((sum, [, score]) => sum + score, 0);
+  const [best, bestScore] = scores[0];
+  // No clue at all: printed travel documents default to English
+  if (!bestScore) return { language: "eng", script, confidence: 0 };
+  return { language: best, script, confidence: Math.round((bestScore / total) * 100) / 100 };
+}
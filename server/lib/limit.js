@@ -0,0 +1,28 @@
+// =====================================================
+// Concurrency limiter
+// =====================================================
+
+// limit(fn) runs fn once fewer than max calls are in flight, in FIFO order
+export function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+}
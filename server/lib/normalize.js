@@ -0,0 +1,340 @@
+import fs from "fs";
+
+// =====================================================
+// Deterministic field normalizers (run after callLLM)
+// =====================================================
+//
+// Each normalizer takes the raw model value and returns the cleaned value,
+// or the input unchanged when it cannot be interpreted (schema validation
+// then reports it). normalizeRecord() records every change it makes.
+
+const IATA_CITIES = JSON.parse(
+  fs.readFileSync(new URL("./data/iata_cities.json", import.meta.url), "utf8")
+).codes;
+
+// Ambiguous numeric dates like 03/04/2024: "DMY" (default) or "MDY"
+const DATE_ORDER = (process.env.DATE_ORDER || "DMY").toUpperCase();
+
+// ---------- Dates ----------
+
+const MONTHS = {
+  1: ["jan", "january", "januar", "janvier", "enero", "gennaio", "janeiro", "januari", "ocak", "jänner", "janv"],
+  2: ["feb", "february", "februar", "fevrier", "février", "febrero", "febbraio", "fevereiro", "februari", "subat", "şubat", "fév", "fev", "févr"],
+  3: ["mar", "march", "marz", "märz", "mars", "marzo", "marco", "março", "maart", "mart", "mär"],
+  4: ["apr", "april", "avril", "abril", "aprile", "nisan", "avr"],
+  5: ["may", "mai", "mayo", "maggio", "maio", "mei", "mayis", "mayıs", "mag"],
+  6: ["jun", "june", "juni", "juin", "junio", "giugno", "junho", "haziran", "giu"],
+  7: ["jul", "july", "juli", "juillet", "julio", "luglio", "julho", "temmuz", "juil", "lug"],
+  8: ["aug", "august", "aout", "août", "agosto", "augustus", "agustos", "ağustos", "ago"],
+  9: ["sep", "sept", "september", "septembre", "septiembre", "settembre", "setembro", "eylul", "eylül", "set"],
+  10: ["oct", "october", "oktober", "octobre", "octubre", "ottobre", "outubro", "ekim", "okt", "ott", "out"],
+  11: ["nov", "november", "novembre", "noviembre", "novembro", "kasim", "kasım"],
+  12: ["dec", "december", "dezember", "decembre", "décembre", "diciembre", "dicembre", "dezembro", "aralik", "aralık", "dez", "dic", "déc"],
+};
+
+const MONTH_BY_NAME = new Map(
+  Object.entries(MONTHS).flatMap(([n, names]) => names.map((name) => [name, Number(n)]))
+);
+
+function monthFromName(word) {
+  const w = word.toLowerCase().replace(/\.$/, "");
+  return MONTH_BY_NAME.get(w) ?? null;
+}
+
+function expandYear(y) {
+  const n = Number(y);
+  if (y.length === 4) return n;
+  return n < 70 ? 2000 + n : 1900 + n;
+}
+
+function isoDate(y, m, d) {
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCMonth() !== m - 1) return null;
+  return `${String(y).padStart(4, "0")}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// Returns { date: "YYYY-MM-DD", time: "HH:MM" | null } or null
+function parseDateParts(value) {
+  const s = String(value)
+    .trim()
+    .replace(/(\d)(st|nd|rd|th)\b/gi, "$1")
+    .replace(/\s+/g, " ");
+
+  const timeMatch = s.match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?/i);
+  let time = null;
+  if (timeMatch) {
+    let h = Number(timeMatch[1]);
+    const ap = timeMatch[3]?.toLowerCase().replace(/\./g, "");
+    if (ap === "pm" && h < 12) h += 12;
+    if (ap === "am" && h === 12) h = 0;
+    if (h < 24) time = `${String(h).padStart(2, "0")}:${timeMatch[2]}`;
+  }
+  const datePart = timeMatch ? s.replace(timeMatch[0], " ").trim() : s;
+
+  let m;
+
+  // 2010-12-18, 2010/12/18, 2010.12.18
+  if ((m = datePart.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:T.*)?$/))) {
+    const date = isoDate(+m[1], +m[2], +m[3]);
+    return date && { date, time };
+  }
+
+  // 18.12.2010, 18/12/10, 12-18-2010
+  if ((m = datePart.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+    const a = +m[1];
+    const b = +m[2];
+    const y = expandYear(m[3]);
+    let day = a;
+    let month = b;
+    if (a > 12 && b <= 12) [day, month] = [a, b];
+    else if (b > 12 && a <= 12) [day, month] = [b, a];
+    else if (DATE_ORDER === "MDY") [day, month] = [b, a];
+    const date = isoDate(y, month, day);
+    return date && { date, time };
+  }
+
+  // Weekday names are noise ("Monday, 18 December 2010", "Sat 18DEC10")
+  const words = datePart
+    .replace(/[,]/g, " ")
+    .replace(/(\d)(\p{L})/gu, "$1 $2")
+    .replace(/(\p{L})(\d)/gu, "$1 $2")
+    .split(/[\s\-/.]+/)
+    .filter(Boolean);
+
+  let day = null;
+  let month = null;
+  let year = null;
+  for (const w of words) {
+    if (/^\d+$/.test(w)) {
+      if (w.length === 4 && year == null) year = Number(w);
+      else if (day == null && Number(w) >= 1 && Number(w) <= 31 && (month == null || year == null)) day = Number(w);
+      else if (year == null && w.length === 2) year = expandYear(w);
+    } else if (month == null) {
+      month = monthFromName(w);
+    }
+  }
+
+  if (day != null && month != null && year != null) {
+    const date = isoDate(year, month, day);
+    return date && { date, time };
+  }
+  return null;
+}
+
+export function normalizeDate(value) {
+  if (typeof value !== "string" || !value.trim()) return value;
+  return parseDateParts(value)?.date ?? value;
+}
+
+export function normalizeDateTime(value) {
+  if (typeof value !== "string" || !value.trim()) return value;
+  const p = parseDateParts(value);
+  if (!p) return value;
+  return p.time ? `${p.date}T${p.time}` : p.date;
+}
+
+// ---------- Currencies ----------
+
+// Checked in order, so longer symbols ("US$", "C$") win over "$"
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"], ["U$S", "USD"], ["C$", "CAD"], ["CA$", "CAD"], ["A$", "AUD"], ["AU$", "AUD"],
+  ["NZ$", "NZD"], ["HK$", "HKD"], ["S$", "SGD"], ["R$", "BRL"], ["MX$", "MXN"],
+  ["€", "EUR"], ["£", "GBP"], ["¥", "JPY"], ["₺", "TRY"], ["₹", "INR"], ["₽", "RUB"],
+  ["₩", "KRW"], ["₱", "PHP"], ["₪", "ILS"], ["฿", "THB"], ["₫", "VND"], ["₴", "UAH"],
+  ["zł", "PLN"], ["Kč", "CZK"], ["Ft", "HUF"], ["﷼", "IRR"], ["$", "USD"],
+];
+
+const CURRENCY_NAMES = {
+  euro: "EUR", euros: "EUR",
+  dollar: "USD", dollars: "USD", "us dollar": "USD", "us dollars": "USD",
+  "canadian dollar": "CAD", "canadian dollars": "CAD",
+  "australian dollar": "AUD", "australian dollars": "AUD",
+  pound: "GBP", pounds: "GBP", "pound sterling": "GBP", sterling: "GBP",
+  yen: "JPY", yuan: "CNY", rmb: "CNY", renminbi: "CNY",
+  "swiss franc": "CHF", "swiss francs": "CHF", franken: "CHF", sfr: "CHF",
+  "turkish lira": "TRY", lira: "TRY", tl: "TRY",
+  rupee: "INR", rupees: "INR", rs: "INR",
+  peso: "PHP", pesos: "PHP", "philippine peso": "PHP", "mexican peso": "MXN",
+  rial: "IRR", rials: "IRR", toman: "IRR",
+  zloty: "PLN", forint: "HUF", koruna: "CZK", ruble: "RUB", rouble: "RUB",
+  dirham: "AED", dirhams: "AED", riyal: "SAR", "saudi riyal": "SAR", "qatari riyal": "QAR",
+  won: "KRW", baht: "THB", "hong kong dollar": "HKD", "singapore dollar": "SGD",
+};
+
+export function normalizeCurrency(value) {
+  if (typeof value !== "string" || !value.trim()) return value;
+  const s = value.trim();
+
+  if (/^[A-Za-z]{3}$/.test(s) && !CURRENCY_NAMES[s.toLowerCase()]) return s.toUpperCase();
+
+  const name = CURRENCY_NAMES[s.toLowerCase().replace(/\s+/g, " ")];
+  if (name) return name;
+
+  const code = s.match(/\b([A-Z]{3})\b/);
+  if (code) return code[1];
+
+  for (const [sym, iso] of CURRENCY_SYMBOLS) {
+    if (s.includes(sym)) return iso;
+  }
+  return value;
+}
+
+// ---------- Amounts ----------
+
+// "1.234,56" / "1,234.56" / "1 234,56" / "1'234.50" / "€ 302,89" -> number
+export function parseAmount(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string" || !value.trim()) return value;
+
+  let s = value.trim();
+  const negative = /^\(.*\)$/.test(s) || /^-/.test(s) || /-\s*$/.test(s);
+  s = s.replace(/[^\d.,]/g, "");
+  if (!/\d/.test(s)) return value;
+
+  const lastDot = s.lastIndexOf(".");
+  const lastComma = s.lastIndexOf(",");
+  let decimalSep = null;
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimalSep = lastDot > lastComma ? "." : ",";
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const sep = lastDot !== -1 ? "." : ",";
+    const occurrences = s.split(sep).length - 1;
+    const after = s.length - s.lastIndexOf(sep) - 1;
+    // A single separator followed by exactly 3 digits is a thousands separator
+    decimalSep = occurrences === 1 && after !== 3 ? sep : null;
+  }
+
+  const thousands = decimalSep === "." ? /,/g : decimalSep === "," ? /\./g : /[.,]/g;
+  s = s.replace(thousands, "");
+  if (decimalSep === ",") s = s.replace(",", ".");
+
+  const n = Number(s);
+  if (!Number.isFinite(n)) return value;
+  return negative ? -n : n;
+}
+
+// Symbols and names that mean the given ISO code ("EUR" -> "€", "euro", ...)
+export function currencyAliases(code) {
+  return [
+    ...CURRENCY_SYMBOLS.filter(([, iso]) => iso === code).map(([sym]) => sym),
+    ...Object.entries(CURRENCY_NAMES).filter(([, iso]) => iso === code).map(([name]) => name),
+  ];
+}
+
+// Currency found inside an amount string ("€ 302,89"), if any
+export function currencyInAmount(value) {
+  if (typeof value !== "string") return null;
+  const c = normalizeCurrency(value.replace(/[\d.,\s()-]+/g, " ").trim());
+  return typeof c === "string" && /^[A-Z]{3}$/.test(c) ? c : null;
+}
+
+// ---------- Cities ----------
+
+export function cityForCode(code) {
+  if (typeof code !== "string") return null;
+  return IATA_CITIES[code.trim().toUpperCase()] ?? null;
+}
+
+export function codesForCity(city) {
+  if (typeof city !== "string") return [];
+  const c = city.trim().toUpperCase();
+  return Object.keys(IATA_CITIES).filter((code) => IATA_CITIES[code] === c);
+}
+
+// "YYZ" -> TORONTO, "Paris (CDG)" -> PARIS, "Geneva, Switzerland" -> GENEVA
+export function normalizeCity(value) {
+  if (typeof value !== "string" || !value.trim()) return value;
+  let s = value.trim();
+
+  if (/^[A-Za-z]{3}$/.test(s)) {
+    const city = cityForCode(s);
+    if (city) return city;
+  }
+
+  const paren = s.match(/^(.*?)\s*\(\s*([A-Za-z]{3})\s*\)\s*$/);
+  if (paren) s = paren[1] || cityForCode(paren[2]) || s;
+
+  s = s.split(",")[0].trim();
+  return s.replace(/\s+/g, " ").toUpperCase();
+}
+
+// ---------- Hotel names ----------
+
+export function titleCase(value) {
+  if (typeof value !== "string" || !value.trim()) return value;
+  return value
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .replace(/(^|[\s\-/(&])(\p{L})/gu, (_, sep, ch) => sep + ch.toUpperCase());
+}
+
+// =====================================================
+// Schema-driven record normalization
+// =====================================================
+
+function pickNormalizer(field) {
+  if (field.normalize === "title") return ["title_case", titleCase];
+  if (field.format === "date") return ["date", normalizeDate];
+  if (field.format === "datetime") return ["datetime", normalizeDateTime];
+  if (field.format === "currency") return ["currency", normalizeCurrency];
+  if (field.format === "iata") return ["iata", (v) => (typeof v === "string" ? v.trim().toUpperCase() : v)];
+  if (field.match === "city") return ["city", normalizeCity];
+  if (field.type === "number") return ["amount", parseAmount];
+  return null;
+}
+
+function normalizeFields(fields, obj, prefix, corrections) {
+  const record = (path, from, to, rule) => {
+    if (from !== to) corrections.push({ path, from, to, rule });
+  };
+
+  for (const [k, field] of Object.entries(fields)) {
+    if (field.derived || !(k in obj)) continue;
+    const path = `${prefix}${k}`;
+    const before = obj[k];
+
+    if (field.type === "array") {
+      if (Array.isArray(before) && field.items) {
+        before.forEach((item, i) => {
+          if (item && typeof item === "object") normalizeFields(field.items, item, `${path}[${i}].`, corrections);
+        });
+      }
+      continue;
+    }
+
+    if (before === null || before === undefined) {
+      // Missing city but a known airport code next to it (segments)
+      if (field.codeField && cityForCode(obj[field.codeField])) {
+        obj[k] = cityForCode(obj[field.codeField]);
+        record(path, before ?? null, obj[k], "city_from_code");
+      }
+      continue;
+    }
+
+    const normalizer = pickNormalizer(field);
+    if (!normalizer) continue;
+
+    const [rule, fn] = normalizer;
+    obj[k] = fn(before);
+    record(path, before, obj[k], rule);
+
+    // "€ 302,89" also tells us the currency when the model left it empty
+    if (rule === "amount" && field.money && obj[field.money] == null) {
+      const c = currencyInAmount(before);
+      if (c) {
+        obj[field.money] = c;
+        record(`${prefix}${field.money}`, null, c, "currency_from_amount");
+      }
+    }
+  }
+}
+
+// Normalizes obj in place following schema.fields; returns the list of corrections
+export function normalizeRecord(schema, obj) {
+  const corrections = [];
+  normalizeFields(schema.fields, obj, "", corrections);
+  return corrections;
+}
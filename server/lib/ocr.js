@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import Tesseract from "tesseract.js";
+import { DEFAULT_VARIANTS, preprocessImage } from "./preprocess.js";
+import { detectLanguage } from "./language.js";
+
+// =====================================================
+// OCR (Tesseract)
+// =====================================================
+
+// A variant at or above this mean confidence is kept without trying the rest
+const OCR_GOOD_CONFIDENCE = Number(process.env.OCR_GOOD_CONFIDENCE || 90);
+
+// Language packs Tesseract may use (Tesseract codes, e.g. "eng,deu,fra,spa,tur,fas").
+// They are read from OCR_LANG_PATH (<lang>.traineddata or .traineddata.gz) so OCR
+// works offline; without that directory tesseract.js downloads them.
+export const OCR_LANGS = String(process.env.OCR_LANGS || "eng")
+  .split(/[,+]/)
+  .map((l) => l.trim())
+  .filter(Boolean);
+
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || "./tessdata";
+
+function workerOptions(langs) {
+  if (!fs.existsSync(OCR_LANG_PATH)) return {};
+  const gzip = langs.every((l) => fs.existsSync(path.join(OCR_LANG_PATH, `${l}.traineddata.gz`)));
+  return { langPath: path.resolve(OCR_LANG_PATH), gzip, cacheMethod: "none" };
+}
+
+// Flattens Tesseract's block tree into words with their confidence (0-100)
+// and bounding box
+function wordsOf(data) {
+  const words = [];
+  for (const block of data.blocks ?? []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        for (const w of line.words) {
+          words.push({ text: w.text, confidence: w.confidence, bbox: w.bbox });
+        }
+      }
+    }
+  }
+  return words;
+}
+
+async function recognize(worker, image) {
+  const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+  return { text: data.text, confidence: data.confidence, words: wordsOf(data) };
+}
+
+// input: file path or image Buffer
+// variants: preprocessing variants to try (see preprocess.js), best confidence wins
+//
+// The variants are read with every OCR_LANGS pack. When several are configured,
+// the winning image is read again with only the detected language (+ English
+// for the usual boilerplate) and that result is kept unless it scores lower.
+//
+// Returns { text, confidence, words: [{ text, confidence, bbox }],
+//           preprocessing: { variant, steps, confidence, languages, tried: [{ variant, confidence }] } }
+// Word bboxes refer to the preprocessed image.
+export async function ocrImage(input, variants = DEFAULT_VARIANTS) {
+  const worker = await Tesseract.createWorker(OCR_LANGS, 1, workerOptions(OCR_LANGS));
+  try {
+    let best = null;
+    const tried = [];
+    for (const variant of variants.length ? variants : ["raw"]) {
+      const { image, steps } = await preprocessImage(input, variant);
+      const ocr = await recognize(worker, image);
+      tried.push({ variant, confidence: ocr.confidence });
+
+      if (!best || ocr.confidence > best.confidence) best = { ...ocr, image, variant, steps };
+      if (best.confidence >= OCR_GOOD_CONFIDENCE) break;
+    }
+
+    let languages = OCR_LANGS.join("+");
+    const { language } = detectLanguage(best.text);
+    const langs = [...new Set([language, "eng"])].filter((l) => OCR_LANGS.includes(l));
+    if (OCR_LANGS.includes(language) && langs.length < OCR_LANGS.length) {
+      await worker.reinitialize(langs);
+      const ocr = await recognize(worker, best.image);
+      if (ocr.confidence >= best.confidence) {
+        best = { ...best, ...ocr };
+        languages = langs.join("+");
+      }
+    }
+
+    const { variant, steps, text, confidence, words } = best;
+    return { text, confidence, words, preprocessing: { variant, steps, confidence, languages, tried } };
+  } finally {
+    await worker.terminate();
+  }
+}
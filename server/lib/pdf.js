@@ -0,0 +1,52 @@
+import path from "path";
+import { createRequire } from "module";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createCanvas } from "@napi-rs/canvas";
+
+// =====================================================
+// PDF text layer + page rendering (pdfjs, server-side)
+// =====================================================
+
+const require = createRequire(import.meta.url);
+const PDFJS_DIR = path.dirname(require.resolve("pdfjs-dist/package.json"));
+const STANDARD_FONT_DATA_URL = path.join(PDFJS_DIR, "standard_fonts") + path.sep;
+
+export function isPdf(buffer) {
+  return buffer?.length >= 5 && buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+}
+
+export async function openPdf(buffer) {
+  // pdfjs takes ownership of the array it is given, so hand it a copy
+  const data = new Uint8Array(buffer);
+  return getDocument({ data, standardFontDataUrl: STANDARD_FONT_DATA_URL, verbosity: 0 }).promise;
+}
+
+export async function extractPdfText(pdf) {
+  let fullText = "";
+  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+    const page = await pdf.getPage(pageNum);
+    const content = await page.getTextContent();
+    const pageText = content.items
+      .map((it) => (it && typeof it.str === "string" ? it.str : ""))
+      .join(" ");
+    fullText += pageText + "\n\n";
+  }
+
+  return fullText
+    .replace(/\u00A0/g, " ")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Rasterizes one page to a PNG buffer (scale 2 ≈ 144 dpi, enough for OCR)
+export async function renderPdfPage(pdf, pageNum, scale = 2) {
+  const page = await pdf.getPage(pageNum);
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.floor(viewport.width), Math.floor(viewport.height));
+
+  await page.render({ canvas, canvasContext: canvas.getContext("2d"), viewport }).promise;
+  page.cleanup();
+
+  return canvas.encode("png");
+}
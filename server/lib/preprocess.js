@@ -0,0 +1,283 @@
+import { createCanvas, loadImage } from "@napi-rs/canvas";
+
+// =====================================================
+// Image preprocessing before OCR
+// =====================================================
+//
+// A variant is a list of steps applied in order, written "upscale+deskew+median".
+// Every variant except "raw" works on a grayscale copy of the image.
+//   grayscale  luminance only (implied by every other step)
+//   upscale    enlarge small scans so text is ~30px high for Tesseract
+//   deskew     straighten small tilts (±MAX_SKEW_DEGREES) and turn pages
+//              lying on their side (90°; upside-down pages are not detected)
+//   median     3x3 median filter: removes salt-and-pepper noise
+//   sharpen    unsharp mask: counters blur
+//   binarize   adaptive (local mean) threshold: uneven lighting, low contrast
+
+export const PREPROCESS_STEPS = ["grayscale", "upscale", "deskew", "median", "sharpen", "binarize"];
+
+// Images narrower than this are enlarged (at most 3x)
+const UPSCALE_MIN_WIDTH = Number(process.env.OCR_UPSCALE_MIN_WIDTH || 1600);
+
+const MAX_SKEW_DEGREES = 5;
+
+// Tried in order; the OCR result with the highest mean confidence is kept.
+// OCR_PREPROCESS=raw turns preprocessing off
+export const DEFAULT_VARIANTS = parseVariants(
+  process.env.OCR_PREPROCESS || "raw,upscale+deskew+sharpen,upscale+deskew+median+binarize"
+);
+
+// "raw, upscale+median" -> ["raw", "upscale+median"]; throws on unknown steps
+export function parseVariants(spec) {
+  const variants = String(spec)
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const v of variants) {
+    if (v === "raw" || v === "none") continue;
+    for (const step of v.split("+")) {
+      if (!PREPROCESS_STEPS.includes(step)) {
+        throw new Error(`Unknown preprocessing step: ${step} (one of ${PREPROCESS_STEPS.join(", ")})`);
+      }
+    }
+  }
+  return variants.map((v) => (v === "none" ? "raw" : v));
+}
+
+// ---------- Gray image helpers ----------
+
+async function decodeGray(buffer) {
+  const img = await loadImage(buffer);
+  const canvas = createCanvas(img.width, img.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  const { data } = ctx.getImageData(0, 0, img.width, img.height);
+
+  const px = new Uint8ClampedArray(img.width * img.height);
+  for (let i = 0, j = 0; i < px.length; i++, j += 4) {
+    px[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+  }
+  return { w: img.width, h: img.height, px };
+}
+
+function toCanvas({ w, h, px }) {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(w, h);
+  for (let i = 0, j = 0; i < px.length; i++, j += 4) {
+    imageData.data[j] = imageData.data[j + 1] = imageData.data[j + 2] = px[i];
+    imageData.data[j + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+function fromCanvas(canvas) {
+  const { width: w, height: h } = canvas;
+  const { data } = canvas.getContext("2d").getImageData(0, 0, w, h);
+  const px = new Uint8ClampedArray(w * h);
+  for (let i = 0, j = 0; i < px.length; i++, j += 4) px[i] = data[j];
+  return { w, h, px };
+}
+
+// Draws the image onto a new w x h canvas (white background) with a transform
+function redraw(img, w, h, transform) {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, w, h);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  transform(ctx);
+  ctx.drawImage(toCanvas(img), 0, 0);
+  return fromCanvas(canvas);
+}
+
+function otsuThreshold(px) {
+  const hist = new Array(256).fill(0);
+  for (const v of px) hist[v]++;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * hist[i];
+
+  let sumB = 0;
+  let wB = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    wB += hist[t];
+    if (wB === 0) continue;
+    const wF = px.length - wB;
+    if (wF === 0) break;
+    sumB += t * hist[t];
+    const between = wB * wF * (sumB / wB - (sum - sumB) / wF) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+// ---------- Steps ----------
+
+function upscale(img) {
+  if (img.w >= UPSCALE_MIN_WIDTH) return { img, details: { factor: 1 } };
+  const factor = Math.min(3, Math.round((UPSCALE_MIN_WIDTH / img.w) * 10) / 10);
+  const w = Math.round(img.w * factor);
+  const h = Math.round(img.h * factor);
+  return { img: redraw(img, w, h, (ctx) => ctx.scale(factor, factor)), details: { factor } };
+}
+
+// Projection profile: text lines give sharp peaks in the row sums of dark
+// pixels when the page is straight. Candidate angles are scored by projecting
+// the dark pixels instead of rotating the image for each.
+function profileScore(points, angleRad, size, alongX) {
+  const sin = Math.sin(angleRad);
+  const cos = Math.cos(angleRad);
+  const bins = new Float64Array(size * 2 + 1);
+  for (const [x, y] of points) {
+    const p = alongX ? x * cos + y * sin : y * cos - x * sin;
+    bins[Math.round(p) + size]++;
+  }
+  let score = 0;
+  for (const b of bins) score += b * b;
+  return score;
+}
+
+function deskew(img) {
+  // Work on a copy at most 800px wide
+  const scale = Math.min(1, 800 / img.w);
+  const small = scale < 1 ? redraw(img, Math.round(img.w * scale), Math.round(img.h * scale), (ctx) => ctx.scale(scale, scale)) : img;
+  const threshold = otsuThreshold(small.px);
+
+  const points = [];
+  for (let y = 0; y < small.h; y++) {
+    for (let x = 0; x < small.w; x++) {
+      if (small.px[y * small.w + x] < threshold) points.push([x, y]);
+    }
+  }
+  if (points.length < 50) return { img, details: { angle: 0, rotated90: false } };
+
+  const size = small.w + small.h;
+  const rotated90 = profileScore(points, 0, size, true) > 1.5 * profileScore(points, 0, size, false);
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let a = -MAX_SKEW_DEGREES; a <= MAX_SKEW_DEGREES; a += 0.5) {
+    const score = profileScore(points, (a * Math.PI) / 180, size, rotated90);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = a;
+    }
+  }
+
+  let out = img;
+  if (rotated90) {
+    out = redraw(out, out.h, out.w, (ctx) => {
+      ctx.translate(out.h, 0);
+      ctx.rotate(Math.PI / 2);
+    });
+  }
+  if (bestAngle !== 0) {
+    const rad = (-bestAngle * Math.PI) / 180;
+    const src = out;
+    out = redraw(src, src.w, src.h, (ctx) => {
+      ctx.translate(src.w / 2, src.h / 2);
+      ctx.rotate(rad);
+      ctx.translate(-src.w / 2, -src.h / 2);
+    });
+  }
+  return { img: out, details: { angle: bestAngle, rotated90 } };
+}
+
+function median({ w, h, px }) {
+  const out = new Uint8ClampedArray(px);
+  const win = new Uint8Array(9);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      let k = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const row = (y + dy) * w + x;
+        win[k++] = px[row - 1];
+        win[k++] = px[row];
+        win[k++] = px[row + 1];
+      }
+      win.sort();
+      out[y * w + x] = win[4];
+    }
+  }
+  return { img: { w, h, px: out }, details: { size: 3 } };
+}
+
+function boxBlur3({ w, h, px }) {
+  const out = new Uint8ClampedArray(px);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      out[i] =
+        (px[i - w - 1] + px[i - w] + px[i - w + 1] + px[i - 1] + px[i] + px[i + 1] + px[i + w - 1] + px[i + w] + px[i + w + 1]) / 9;
+    }
+  }
+  return out;
+}
+
+function sharpen(img, amount = 1) {
+  const blurred = boxBlur3(img);
+  const px = new Uint8ClampedArray(img.px.length);
+  for (let i = 0; i < px.length; i++) px[i] = img.px[i] + amount * (img.px[i] - blurred[i]);
+  return { img: { ...img, px }, details: { amount } };
+}
+
+// Bradley-Roth: a pixel is black when it is `t` darker than the mean of its
+// (w/16)-wide neighbourhood; integral image keeps it O(pixels)
+function binarize({ w, h, px }, t = 0.15) {
+  const integral = new Float64Array((w + 1) * (h + 1));
+  for (let y = 1; y <= h; y++) {
+    let rowSum = 0;
+    for (let x = 1; x <= w; x++) {
+      rowSum += px[(y - 1) * w + (x - 1)];
+      integral[y * (w + 1) + x] = integral[(y - 1) * (w + 1) + x] + rowSum;
+    }
+  }
+
+  const half = Math.max(4, Math.round(w / 32));
+  const out = new Uint8ClampedArray(px.length);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(h, y + half + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(w, x + half + 1);
+      const sum =
+        integral[y1 * (w + 1) + x1] - integral[y0 * (w + 1) + x1] - integral[y1 * (w + 1) + x0] + integral[y0 * (w + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      out[y * w + x] = px[y * w + x] < mean * (1 - t) ? 0 : 255;
+    }
+  }
+  return { img: { w, h, px: out }, details: { window: half * 2 + 1, t } };
+}
+
+const STEP_FUNCTIONS = {
+  grayscale: (img) => ({ img, details: {} }),
+  upscale,
+  deskew,
+  median,
+  sharpen,
+  binarize,
+};
+
+// Returns { image: PNG Buffer (or the input for "raw"), steps: [{ step, ...details }] }
+export async function preprocessImage(buffer, variant) {
+  if (variant === "raw") return { image: buffer, steps: [] };
+
+  let img = await decodeGray(buffer);
+  const steps = [{ step: "grayscale" }];
+  for (const step of variant.split("+")) {
+    if (step === "grayscale") continue;
+    const r = STEP_FUNCTIONS[step](img);
+    img = r.img;
+    steps.push({ step, ...r.details });
+  }
+  return { image: await toCanvas(img).encode("png"), steps };
+}
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { db } from "./db.js";
+
+// =====================================================
+// Versioned prompt templates
+// =====================================================
+//
+// The wording of the extraction prompt lives in named versions: text files
+// in PROMPTS_DIR ("v1.txt" = version "v1"), reviewed like code, or rows of
+// prompt_templates added through the API. A version never changes once it
+// exists; a new wording is a new version. Schemas, type-specific rules (see
+// schemas/) and the document are filled in by buildPrompt() in index.js.
+//
+// Template format, one "=== section ===" header per part:
+//   description     optional, one line for listings
+//   body            the prompt, with {{documentKinds}} {{output}} {{schemas}} {{rules}} {{document}}
+//   output single   how to answer in single mode ("... one of these schemas:")
+//   output multi    same for multi mode ({ "records": [...] })
+//   record single   first rule in single mode; {{types}} = the document types
+//   record multi    first rule in multi mode
+//   rules           common rules, one per unindented line; indented lines continue the rule above
+
+// server/prompts, wherever the server is started from
+export const PROMPTS_DIR = process.env.PROMPTS_DIR || fileURLToPath(new URL("../prompts", import.meta.url));
+
+export const DEFAULT_PROMPT_VERSION = process.env.PROMPT_VERSION || "v1";
+
+const REQUIRED_SECTIONS = ["body", "output single", "output multi", "record single", "record multi", "rules"];
+const BODY_PLACEHOLDERS = ["documentKinds", "output", "schemas", "rules", "document"];
+
+const VERSION_RE = /^[A-Za-z0-9][\w.-]{0,63}$/;
+
+db.exec(`
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  version TEXT PRIMARY KEY,
+  content TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+`);
+
+const insertTemplate = db.prepare(`
+INSERT INTO prompt_templates (version, content, created_at) VALUES (@version, @content, @created_at)
+`);
+const selectTemplate = db.prepare(`SELECT * FROM prompt_templates WHERE version = ?`);
+const selectTemplates = db.prepare(`SELECT * FROM prompt_templates ORDER BY version`);
+
+// Short content hash: equal hashes = identical text
+export function hashPrompt(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+// {{name}} -> values[name], in one pass (filled-in text is not scanned again)
+export function renderTemplate(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (m, name) => (name in values ? values[name] : m));
+}
+
+// Throws on missing sections or body placeholders
+export function parseTemplate(content) {
+  const sections = {};
+  let current = null;
+  for (const line of String(content).replace(/\r\n/g, "\n").split("\n")) {
+    const header = line.match(/^=== (.+?) ===$/);
+    if (header) {
+      current = header[1].trim().toLowerCase();
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  const text = Object.fromEntries(
+    Object.entries(sections).map(([name, lines]) => [name, lines.join("\n").replace(/^\n+|\n+$/g, "")])
+  );
+
+  const missing = REQUIRED_SECTIONS.filter((s) => !text[s]);
+  if (missing.length) throw new Error(`Prompt template missing section(s): ${missing.join(", ")}`);
+  const placeholders = BODY_PLACEHOLDERS.filter((p) => !text.body.includes(`{{${p}}}`));
+  if (placeholders.length) {
+    throw new Error(`Prompt template body missing ${placeholders.map((p) => `{{${p}}}`).join(", ")}`);
+  }
+
+  return {
+    description: text.description ?? null,
+    body: text.body,
+    output: { single: text["output single"], multi: text["output multi"] },
+    record: { single: text["record single"], multi: text["record multi"] },
+    rules: text.rules.split(/\n(?=\S)/),
+  };
+}
+
+function templateFile(version) {
+  return path.join(PROMPTS_DIR, `${version}.txt`);
+}
+
+function fileVersions() {
+  if (!fs.existsSync(PROMPTS_DIR)) return [];
+  return fs
+    .readdirSync(PROMPTS_DIR)
+    .filter((f) => f.endsWith(".txt"))
+    .map((f) => f.slice(0, -4))
+    .filter((v) => VERSION_RE.test(v))
+    .sort();
+}
+
+function toTemplate(version, source, content, created_at = null) {
+  return { version, source, hash: hashPrompt(content), created_at, content, ...parseTemplate(content) };
+}
+
+// Parsed templates by version; versions never change, so entries stay valid
+// (unknown versions are not cached: they can be added later)
+const templates = new Map();
+
+// { version, source: "file" | "db", hash (of the template text), content, description, body, output, record, rules }, or null
+export function getPromptTemplate(version) {
+  if (!VERSION_RE.test(String(version ?? ""))) return null;
+  if (templates.has(version)) return templates.get(version);
+
+  let template = null;
+  const file = templateFile(version);
+  if (fs.existsSync(file)) {
+    template = toTemplate(version, "file", fs.readFileSync(file, "utf8"));
+  } else {
+    const row = selectTemplate.get(version);
+    if (row) template = toTemplate(row.version, "db", row.content, row.created_at);
+  }
+
+  if (template) templates.set(version, template);
+  return template;
+}
+
+// Without content; a file shadows a DB row of the same version (which savePromptTemplate prevents)
+export function listPromptTemplates() {
+  const files = fileVersions().map((version) => getPromptTemplate(version));
+  const seen = new Set(files.map((t) => t.version));
+  const rows = selectTemplates
+    .all()
+    .filter((r) => !seen.has(r.version))
+    .map((r) => getPromptTemplate(r.version));
+
+  return [...files, ...rows]
+    .sort((a, b) => a.version.localeCompare(b.version))
+    .map(({ version, source, hash, created_at, description }) => ({ version, source, hash, created_at, description }));
+}
+
+// Adds a version to the DB; throws on a malformed template or an existing version
+export function savePromptTemplate({ version, content }) {
+  if (!VERSION_RE.test(String(version ?? ""))) {
+    throw new Error(`Invalid prompt version: ${version} (letters, digits, ".", "_" and "-")`);
+  }
+  if (getPromptTemplate(version)) throw new Error(`Prompt version ${version} already exists; versions never change`);
+
+  parseTemplate(content);
+  insertTemplate.run({ version, content: String(content), created_at: new Date().toISOString() });
+  return getPromptTemplate(version);
+}
@@ -0,0 +1,39 @@
+import { postJson } from "./http.js";
+
+// Anthropic Messages API: one user turn (images first, then the prompt), text blocks joined
+const API_URL = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1";
+
+export default {
+  name: "anthropic",
+  defaultModel: () => process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+  missingConfig: () => (process.env.ANTHROPIC_API_KEY ? null : "ANTHROPIC_API_KEY is missing"),
+  async complete({ model, prompt, maxTokens, images }) {
+    const content = [
+      ...(images ?? []).map((img) => ({
+        type: "image",
+        source: { type: "base64", media_type: img.mimeType, data: img.data },
+      })),
+      { type: "text", text: prompt },
+    ];
+
+    const data = await postJson(
+      `${API_URL}/messages`,
+      {
+        "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01",
+      },
+      {
+        model,
+        max_tokens: maxTokens,
+        temperature: 0,
+        messages: [{ role: "user", content }],
+      },
+      (d) => (d.error ? (typeof d.error === "string" ? d.error : d.error.message ?? JSON.stringify(d.error)) : null)
+    );
+
+    return (data?.content ?? [])
+      .filter((b) => b.type === "text")
+      .map((b) => b.text)
+      .join("");
+  },
+};
@@ -0,0 +1,21 @@
+import { chatBody, postChatCompletion } from "./openaiCompatible.js";
+
+// The "model" is the deployment name; the endpoint looks like
+// https://<resource>.openai.azure.com
+const API_VERSION = process.env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+
+export default {
+  name: "azure",
+  defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT,
+  missingConfig: () => {
+    if (!process.env.AZURE_OPENAI_ENDPOINT) return "AZURE_OPENAI_ENDPOINT is missing";
+    if (!process.env.AZURE_OPENAI_API_KEY) return "AZURE_OPENAI_API_KEY is missing";
+    return null;
+  },
+  complete: ({ model, ...req }) =>
+    postChatCompletion(
+      `${process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, "")}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${API_VERSION}`,
+      { "api-key": process.env.AZURE_OPENAI_API_KEY },
+      chatBody(req, { response_format: { type: "json_object" } })
+    ),
+};
@@ -0,0 +1,33 @@
+// =====================================================
+// Shared HTTP handling for provider adapters
+// =====================================================
+
+// Local models on CPU can take minutes for long documents
+export const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 120000);
+
+// status = HTTP status when the provider answered, else undefined
+export class ProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+  }
+}
+
+// POSTs JSON with a timeout; errorMessage(data) pulls the provider's error text
+export async function postJson(url, headers, body, errorMessage) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+  });
+
+  const data = await r.json().catch(() => null);
+
+  const message = data ? errorMessage(data) : null;
+  if (message) throw new ProviderError(message, r.status);
+  if (!r.ok) throw new ProviderError(`HTTP ${r.status} ${r.statusText}`, r.status);
+
+  return data;
+}
@@ -0,0 +1,75 @@
+import openai from "./openai.js";
+import ollama from "./ollama.js";
+import anthropic from "./anthropic.js";
+import azure from "./azure.js";
+import llamacpp from "./llamacpp.js";
+import mock, { saveRecording } from "./mock.js";
+
+// =====================================================
+// LLM provider registry
+// =====================================================
+//
+// Each adapter maps one prompt to its provider's API and returns the raw
+// text of the answer:
+//   name           value of LLM_PROVIDER / the "provider" request param
+//   defaultModel() model used when the request does not name one
+//   missingConfig() error message when env vars are missing, else null
+//   complete({ model, prompt, maxTokens, images }) -> Promise<string>
+//     images = [{ mimeType, data (base64) }] for vision models, else undefined
+// HTTP failures throw ProviderError (http.js) carrying the status, so the
+// caller can tell transient errors (429, 5xx, timeouts) from permanent ones.
+
+export const PROVIDERS = Object.fromEntries(
+  [openai, ollama, anthropic, azure, llamacpp, mock].map((p) => [p.name, p])
+);
+
+export const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+
+// Every real answer is also written here, to be replayed by the mock provider
+const RECORD_FILE = process.env.LLM_RECORD_FILE || null;
+
+// Returns { provider, model } names; throws when unknown or not configured
+export function resolveProvider(provider, model) {
+  const name = String(provider || DEFAULT_PROVIDER).toLowerCase();
+  const adapter = PROVIDERS[name];
+  if (!adapter) {
+    throw new Error(`Invalid LLM provider: ${name} (one of ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const missing = adapter.missingConfig();
+  if (missing) throw new Error(`${name}: ${missing}`);
+
+  const resolved = model || adapter.defaultModel();
+  if (!resolved) throw new Error(`${name}: no model configured`);
+
+  return { provider: name, model: resolved };
+}
+
+// "openai:gpt-4o-mini, ollama:llama3.1:8b" -> [{ provider, model }, ...];
+// the model part is optional ("anthropic" = its default model)
+export function resolveProviderList(spec) {
+  return String(spec || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const i = s.indexOf(":");
+      return i === -1 ? resolveProvider(s) : resolveProvider(s.slice(0, i), s.slice(i + 1));
+    });
+}
+
+export async function complete({ provider, model, prompt, maxTokens, images }) {
+  const content = await PROVIDERS[provider].complete({ model, prompt, maxTokens, images });
+  if (RECORD_FILE && provider !== "mock") saveRecording(RECORD_FILE, prompt, images, { provider, model, content });
+  return content;
+}
+
+// GET /api/providers
+export function describeProviders() {
+  return Object.values(PROVIDERS).map((p) => ({
+    name: p.name,
+    defaultModel: p.defaultModel() ?? null,
+    configured: !p.missingConfig(),
+    default: p.name === DEFAULT_PROVIDER,
+  }));
+}
@@ -0,0 +1,16 @@
+import { chatBody, postChatCompletion } from "./openaiCompatible.js";
+
+// llama.cpp's llama-server serves one model; the name is only used for logging
+const BASE_URL = process.env.LLAMACPP_BASE_URL || "http://127.0.0.1:8080/v1";
+
+export default {
+  name: "llamacpp",
+  defaultModel: () => process.env.LLAMACPP_MODEL || "local",
+  missingConfig: () => null,
+  complete: (req) =>
+    postChatCompletion(
+      `${BASE_URL}/chat/completions`,
+      process.env.LLAMACPP_API_KEY ? { Authorization: `Bearer ${process.env.LLAMACPP_API_KEY}` } : {},
+      chatBody(req, { response_format: { type: "json_object" } })
+    ),
+};
@@ -0,0 +1,46 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// =====================================================
+// Mock / replay provider (offline, deterministic)
+// =====================================================
+//
+// Replays responses recorded with LLM_RECORD_FILE (see providers/index.js):
+// { "<sha256 of prompt + images>": { provider, model, content, recorded_at } }.
+// The same prompt always gets the same answer, whatever model is asked for.
+// Prompts that were never recorded get MOCK_RESPONSE_FILE's content if set,
+// otherwise the call fails.
+
+const REPLAY_FILE = process.env.MOCK_REPLAY_FILE || process.env.LLM_RECORD_FILE || "./llm_recordings.json";
+
+// Attached images are part of the key, so vision runs replay per document
+export function promptKey(prompt, images) {
+  const hash = crypto.createHash("sha256").update(prompt);
+  for (const img of images ?? []) hash.update(img.data);
+  return hash.digest("hex");
+}
+
+export function loadRecordings(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function saveRecording(file, prompt, images, entry) {
+  const recordings = loadRecordings(file);
+  recordings[promptKey(prompt, images)] = { ...entry, recorded_at: new Date().toISOString() };
+  fs.writeFileSync(file, JSON.stringify(recordings, null, 2));
+}
+
+export default {
+  name: "mock",
+  defaultModel: () => "replay",
+  missingConfig: () => null,
+  async complete({ prompt, images }) {
+    const recorded = loadRecordings(REPLAY_FILE)[promptKey(prompt, images)];
+    if (recorded) return recorded.content;
+
+    if (process.env.MOCK_RESPONSE_FILE) return fs.readFileSync(process.env.MOCK_RESPONSE_FILE, "utf8");
+
+    throw new Error(`Mock provider: no recorded response for prompt ${promptKey(prompt, images).slice(0, 12)} in ${REPLAY_FILE}`);
+  },
+};
@@ -0,0 +1,15 @@
+import { chatBody, postChatCompletion } from "./openaiCompatible.js";
+
+const BASE_URL = process.env.OLLAMA_BASE_URL || "http://127.0.0.1:11434/v1";
+
+export default {
+  name: "ollama",
+  defaultModel: () => process.env.OLLAMA_MODEL,
+  missingConfig: () => null,
+  complete: (req) =>
+    postChatCompletion(
+      `${BASE_URL}/chat/completions`,
+      { Authorization: "Bearer ollama" },
+      chatBody(req, { format: "json" })
+    ),
+};
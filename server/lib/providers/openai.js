@@ -0,0 +1,13 @@
+import { chatBody, postChatCompletion } from "./openaiCompatible.js";
+
+export default {
+  name: "openai",
+  defaultModel: () => process.env.OPENAI_MODEL || "gpt-4o-mini",
+  missingConfig: () => (process.env.OPENAI_API_KEY ? null : "OPENAI_API_KEY is missing"),
+  complete: (req) =>
+    postChatCompletion(
+      "https://api.openai.com/v1/chat/completions",
+      { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      chatBody(req, { response_format: { type: "json_object" } })
+    ),
+};
@@ -0,0 +1,34 @@
+import { postJson } from "./http.js";
+
+// =====================================================
+// OpenAI-style /chat/completions request + response mapping
+// =====================================================
+//
+// Shared by the providers that speak the OpenAI chat API (OpenAI, Azure
+// OpenAI, Ollama's /v1 endpoint, llama.cpp server).
+
+// Images go along as data URLs (vision models); text-only prompts stay a plain string
+function messageContent(prompt, images) {
+  if (!images?.length) return prompt;
+  return [
+    { type: "text", text: prompt },
+    ...images.map((img) => ({ type: "image_url", image_url: { url: `data:${img.mimeType};base64,${img.data}` } })),
+  ];
+}
+
+export function chatBody({ model, prompt, maxTokens, images }, extra = {}) {
+  return {
+    ...(model ? { model } : {}),
+    messages: [{ role: "user", content: messageContent(prompt, images) }],
+    temperature: 0,
+    max_tokens: maxTokens,
+    ...extra,
+  };
+}
+
+export async function postChatCompletion(url, headers, body) {
+  const data = await postJson(url, headers, body, (d) =>
+    d.error ? (typeof d.error === "string" ? d.error : JSON.stringify(d.error)) : null
+  );
+  return data?.choices?.[0]?.message?.content ?? "";
+}
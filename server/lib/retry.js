@@ -0,0 +1,92 @@
+// =====================================================
+// Retry with exponential backoff, repair and fallback
+// =====================================================
+
+const TRANSIENT_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"]);
+
+// Timeouts, network failures, rate limits and 5xx are worth retrying;
+// 4xx (bad key, unknown model) and bad model output are not
+export function isTransientError(e) {
+  if (!e) return false;
+  if (e.name === "TimeoutError" || e.name === "AbortError") return true;
+  if (e.status === 429 || e.status >= 500) return true;
+  const code = e.code ?? e.cause?.code;
+  if (TRANSIENT_CODES.has(code)) return true;
+  return e.name === "TypeError" && /fetch failed/i.test(e.message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Calls fn(); on a transient error waits baseDelayMs * 2^n and tries again,
+// up to `retries` more times. onRetry(error, n) is called before each wait.
+export async function withRetry(fn, { retries = 2, baseDelayMs = 1000, onRetry } = {}) {
+  for (let n = 0; ; n++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (n >= retries || !isTransientError(e)) throw e;
+      onRetry?.(e, n + 1);
+      await sleep(baseDelayMs * 2 ** n);
+    }
+  }
+}
+
+// ---------- Repair and fallback ----------
+
+// Runs prompt through chain = [{ provider, model }] until one answer is accepted.
+//   call(llm, prompt)        -> raw answer; transient errors are retried (withRetry)
+//   accept(raw)              -> result; throws on bad output
+//   repairPrompt(raw, error) -> the prompt for the next try on the same model
+// Bad output gets up to `repairs` repair prompts on the same model, then the
+// next model of the chain takes over; a model that cannot be reached is not
+// repaired. Every try is recorded in "attempts" ({ attempt, provider, model,
+// kind: initial | repair | fallback, retries, ok, error, latency_ms }).
+// Returns { result, llm, attempts }; the error thrown when every model fails
+// is the last one, with .attempts.
+export async function completeWithFallback(
+  chain,
+  prompt,
+  { call, accept, repairPrompt, repairs = 1, retries = 2, baseDelayMs = 1000 }
+) {
+  const attempts = [];
+  let lastError = null;
+
+  for (const [i, llm] of chain.entries()) {
+    let currentPrompt = prompt;
+
+    for (let repair = 0; repair <= repairs; repair++) {
+      const t0 = Date.now();
+      const attempt = {
+        attempt: attempts.length + 1,
+        provider: llm.provider,
+        model: llm.model,
+        kind: repair > 0 ? "repair" : i > 0 ? "fallback" : "initial",
+        retries: 0,
+      };
+      const done = (fields) => attempts.push({ ...attempt, ...fields, latency_ms: Date.now() - t0 });
+
+      let raw;
+      try {
+        raw = await withRetry(() => call(llm, currentPrompt), { retries, baseDelayMs, onRetry: () => attempt.retries++ });
+      } catch (e) {
+        // Provider unreachable or refusing: repairing is pointless, try the next model
+        done({ ok: false, error: e.message });
+        lastError = e;
+        break;
+      }
+
+      try {
+        const result = accept(raw);
+        done({ ok: true, error: null });
+        return { result, llm, attempts };
+      } catch (e) {
+        done({ ok: false, error: e.message });
+        lastError = e;
+        currentPrompt = repairPrompt(raw, e.message);
+      }
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+}
@@ -0,0 +1,37 @@
+import { cleanNameAllCaps, cleanCityAllCaps } from "../cleaning.js";
+
+// =====================================================
+// Car rental schema
+// =====================================================
+
+export default {
+  type: "car_rental",
+  label: "Car Rental",
+  documents: "car rental agreements / rental receipts",
+  fields: {
+    renterName: { type: "string", label: "Renter", match: "name", traveller: true },
+    rentalCompany: { type: "string", label: "Company", match: "name" },
+    reservationNumber: { type: "string", label: "Reservation", match: "reference" },
+    pickupLocation: { type: "string", label: "Pickup Location" },
+    pickupCity: { type: "string", label: "Pickup City", match: "city" },
+    pickupDate: { type: "string", format: "date", label: "Pickup Date", fxDate: true },
+    dropoffLocation: { type: "string", label: "Dropoff Location" },
+    dropoffCity: { type: "string", label: "Dropoff City", match: "city" },
+    dropoffDate: { type: "string", format: "date", label: "Dropoff Date" },
+    currency: { type: "string", format: "currency", label: "Currency" },
+    totalPrice: { type: "number", min: 0, money: "currency", label: "Total", match: "amount" },
+  },
+  rules: () => [
+    `Car rental: rentalCompany = rental brand (e.g. Hertz, Sixt, Europcar).
+   pickupLocation/dropoffLocation = rental station or address as printed (airport names allowed here).
+   pickupCity/dropoffCity = city names as defined in point 3; pickupDate/dropoffDate = rental start and return dates.`,
+  ],
+  postProcess(obj) {
+    return {
+      ...obj,
+      renterName: cleanNameAllCaps(obj.renterName),
+      pickupCity: cleanCityAllCaps(obj.pickupCity),
+      dropoffCity: cleanCityAllCaps(obj.dropoffCity),
+    };
+  },
+};
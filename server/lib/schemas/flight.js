@@ -0,0 +1,161 @@
+import { cleanNameAllCaps, cleanTicketNumber } from "../cleaning.js";
+import { deriveItinerary } from "../itinerary.js";
+import { checkItemsSum } from "../consistency.js";
+
+// =====================================================
+// Flight schema
+// =====================================================
+
+const SIMPLIFIED_RULE = `Flight simplification: do NOT output segments/connections.
+   overallFrom = first departure city name (the trip origin, not a connecting or layover airport; not an airport code or airport name), written in ALL CAPS as defined in point 3.
+   overallTo = final destination city name of the outgoing flight (not a connecting or layover airport; not an airport code or airport name), written in ALL CAPS as defined in point 3.   
+   departureDate = first departure date.
+   returnDate = departure date of the return flight (not a connecting or layover flight) for round_trip only; otherwise null.
+   A flight is round_trip ONLY if there are two opposite directions (A→B and B→A) with respective flight dates. There can be connecting flight in return ticket (A→C→B and B→C→A).
+   Otherwise (if there are no opposite directions), it is one-way and returnDate MUST be null. There can be connecting flight in one-way ticket (i.e., A→C→B without returning from B to A).`;
+
+// Detailed flights carry an ordered list of legs; the summary fields are
+// then recomputed from it on the server (see lib/itinerary.js)
+const SEGMENTS_RULE = `Flight segments: list EVERY flown leg in "segments" in travel order, including connections and return legs,
+   one element per flight number. fromCode/toCode = 3-letter IATA airport codes; fromCity/toCity = city names in
+   ALL CAPS as defined in point 3. departureDateTime/arrivalDateTime = local times "YYYY-MM-DDTHH:MM".
+   carrier = airline name; cabin = cabin class as printed (e.g. ECONOMY, PREMIUM ECONOMY, BUSINESS, FIRST), else null.
+   Also fill tripType, overallFrom, overallTo, departureDate and returnDate as a summary of the whole trip.`;
+
+// Only with the breakdown=true option; the items are checked against totalPrice
+const BREAKDOWN_RULE = `Flight price breakdown: list the price components in "priceItems" as printed, one element per line:
+   kind = "base_fare" (fare without taxes), "tax" (each government/airport tax), "carrier_surcharge" (YQ/YR fuel or carrier-imposed surcharges),
+   "fee" (service/booking/seat/baggage fees), "discount" (negative amount) or "other"; description = the label as printed; amount = number.
+   The amounts must add up to totalPrice. If the document shows no breakdown, "priceItems" is [].`;
+
+// ---------- Post-processing (Robust Round-Trip) ----------
+
+export function postProcessFlight(flightObj, originalText) {
+  const out = { ...flightObj };
+
+  // 1. Clean basic fields
+  out.passengerName = cleanNameAllCaps(out.passengerName);
+  out.ticketNumber = cleanTicketNumber(out.ticketNumber);
+
+  // 2. Segment-level output: derive the summary from the legs, no heuristics
+  if ("segments" in out) {
+    const it = deriveItinerary(out.segments);
+    out.segments = it?.segments ?? [];
+    out.layovers = it?.layovers ?? [];
+    if (it) {
+      out.tripType = it.tripType;
+      out.overallFrom = it.overallFrom ?? out.overallFrom;
+      out.overallTo = it.overallTo ?? out.overallTo;
+      out.departureDate = it.departureDate ?? out.departureDate;
+      out.returnDate = it.returnDate;
+      return out;
+    }
+  }
+
+  const t = (originalText || "").toLowerCase();
+  const a = (out.overallFrom || "").toLowerCase();
+  const b = (out.overallTo || "").toLowerCase();
+
+  // 3. Default to "one_way"
+  out.tripType = "one_way";
+
+  if (!a || !b) return out;
+
+  // 4. Verify Forward Leg exists (A -> ... -> B)
+  const idxA = t.indexOf(a);
+  const idxB = t.indexOf(b, idxA);
+
+  if (idxA !== -1 && idxB !== -1) {
+    // 5. Scan for valid Return Leg (B -> ... -> A)
+    let cursor = idxB;
+    
+    while ((cursor = t.indexOf(a, cursor)) !== -1) {
+      
+      // CHECK 1: Is this 'A' followed closely by 'B'? (Repetition check)
+      const nextB = t.indexOf(b, cursor);
+      const isRepetition = (nextB !== -1 && (nextB - cursor) < 400);
+
+      // CHECK 2: Is this 'A' near a Time or Date? (Footer noise check)
+      const snippet = t.slice(Math.max(0, cursor - 50), cursor + 100);
+      const hasDigit = /\d/.test(snippet);
+
+      if (!isRepetition && hasDigit) {
+        // Found 'A' that is NOT a repetition AND looks like a real flight entry
+        out.tripType = "round_trip";
+        return out; 
+      }
+      
+      cursor++; 
+    }
+  }
+
+  // Enforce one_way rules
+  out.returnDate = null;
+  return out;
+}
+
+export default {
+  type: "flight",
+  label: "Flight",
+  documents: "flight tickets / itineraries / boarding passes / flight receipts",
+  fields: {
+    passengerName: { type: "string", label: "Passenger", match: "name", traveller: true },
+    bookingReference: { type: "string", label: "Booking Ref", match: "reference" },
+    ticketNumber: { type: "string", label: "Ticket", match: "reference" },
+    tripType: { enum: ["one_way", "round_trip"], label: "Trip Type" },
+    overallFrom: { type: "string", label: "From", match: "city" },
+    overallTo: { type: "string", label: "To", match: "city" },
+    departureDate: { type: "string", format: "date", label: "Departure", fxDate: true },
+    returnDate: { type: "string", format: "date", label: "Return" },
+    currency: { type: "string", format: "currency", label: "Currency" },
+    totalPrice: { type: "number", min: 0, money: "currency", label: "Total", match: "amount" },
+
+    // Only requested with the breakdown=true option
+    priceItems: {
+      type: "array",
+      label: "Price Breakdown",
+      optional: true,
+      when: "breakdown",
+      items: {
+        kind: { enum: ["base_fare", "tax", "carrier_surcharge", "fee", "discount", "other"], label: "Kind" },
+        description: { type: "string", label: "Item" },
+        amount: { type: "number", label: "Amount" },
+      },
+    },
+
+    // Only requested, and then required, with the segments=true option
+    segments: {
+      type: "array",
+      label: "Segments",
+      optional: true,
+      when: "segments",
+      items: {
+        carrier: { type: "string", label: "Carrier" },
+        flightNumber: { type: "string", label: "Flight" },
+        fromCode: { type: "string", format: "iata", label: "From Code" },
+        fromCity: { type: "string", label: "From", match: "city", codeField: "fromCode" },
+        toCode: { type: "string", format: "iata", label: "To Code" },
+        toCity: { type: "string", label: "To", match: "city", codeField: "toCode" },
+        departureDateTime: { type: "string", format: "datetime", label: "Departs" },
+        arrivalDateTime: { type: "string", format: "datetime", label: "Arrives" },
+        cabin: { type: "string", label: "Cabin" },
+      },
+    },
+
+    // Computed from segments on the server; never asked from the model
+    layovers: {
+      type: "array",
+      label: "Layovers",
+      optional: true,
+      derived: true,
+      items: {
+        airport: { type: "string", format: "iata", label: "Airport" },
+        city: { type: "string", label: "City" },
+        durationMinutes: { type: "number", min: 0, label: "Minutes" },
+      },
+    },
+  },
+  rules: (opts) => [opts.segments ? SEGMENTS_RULE : SIMPLIFIED_RULE, ...(opts.breakdown ? [BREAKDOWN_RULE] : [])],
+  postProcess: postProcessFlight,
+  consistency: (obj) => [checkItemsSum(obj, "priceItems", "totalPrice")],
+};
@@ -0,0 +1,64 @@
+import { cleanNameAllCaps, cleanCityAllCaps } from "../cleaning.js";
+import { checkItemsSum, checkNightlyRate, checkNights, checkVat } from "../consistency.js";
+
+// =====================================================
+// Hotel schema
+// =====================================================
+
+// Only with the breakdown=true option; checked against totalPrice and the stay dates
+const BREAKDOWN_RULE = `Hotel price breakdown: nights = number of nights; nightlyRate = room price per night.
+   "priceItems" lists what was charged, one element per line as printed: kind = "room" (room/accommodation charges),
+   "city_tax" (city/tourist/accommodation tax), "extra" (minibar, parking, breakfast, restaurant, ...), "fee", "discount" (negative amount),
+   "vat" ONLY when VAT is added on top of the other lines, or "other"; description = the label as printed; amount = number.
+   The amounts must add up to totalPrice. vatRate = VAT percentage (e.g. 19); vatAmount = VAT amount, also when it is already included.
+   Use null (or [] for priceItems) for anything not printed.`;
+
+export default {
+  type: "hotel",
+  label: "Hotel",
+  documents: "hotel booking confirmations / hotel invoices",
+  fields: {
+    guestName: { type: "string", label: "Guest", match: "name", traveller: true },
+    hotelName: { type: "string", label: "Hotel", match: "name", normalize: "title" },
+    receiptNumber: { type: "string", label: "Receipt", match: "reference" },
+    hotelCity: { type: "string", label: "City", match: "city" },
+    checkInDate: { type: "string", format: "date", label: "Check In", fxDate: true },
+    checkOutDate: { type: "string", format: "date", label: "Check Out" },
+    currency: { type: "string", format: "currency", label: "Currency" },
+    totalPrice: { type: "number", min: 0, money: "currency", label: "Total", match: "amount" },
+
+    // Only requested with the breakdown=true option. Nights are often only implied by the dates.
+    nights: { type: "number", min: 0, label: "Nights", optional: true, when: "breakdown", grounding: false },
+    nightlyRate: { type: "number", min: 0, label: "Nightly Rate", optional: true, when: "breakdown" },
+    vatRate: { type: "number", min: 0, label: "VAT %", optional: true, when: "breakdown" },
+    vatAmount: { type: "number", min: 0, label: "VAT", optional: true, when: "breakdown" },
+    priceItems: {
+      type: "array",
+      label: "Price Breakdown",
+      optional: true,
+      when: "breakdown",
+      items: {
+        kind: { enum: ["room", "city_tax", "extra", "fee", "discount", "vat", "other"], label: "Kind" },
+        description: { type: "string", label: "Item" },
+        amount: { type: "number", label: "Amount" },
+      },
+    },
+  },
+  rules: (opts) => [
+    "Hotel name formatting: hotelName must use Capitalized Words (first letter uppercase for each word).",
+    ...(opts.breakdown ? [BREAKDOWN_RULE] : []),
+  ],
+  consistency: (obj) => [
+    checkItemsSum(obj, "priceItems", "totalPrice"),
+    checkNights(obj, "nights", "checkInDate", "checkOutDate"),
+    checkNightlyRate(obj, "nightlyRate", "nights", "priceItems", "room"),
+    checkVat(obj, "vatRate", "vatAmount", "totalPrice"),
+  ],
+  postProcess(obj) {
+    return {
+      ...obj,
+      guestName: cleanNameAllCaps(obj.guestName),
+      hotelCity: cleanCityAllCaps(obj.hotelCity),
+    };
+  },
+};
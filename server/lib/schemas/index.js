@@ -0,0 +1,170 @@
+import flight from "./flight.js";
+import hotel from "./hotel.js";
+import carRental from "./carRental.js";
+import rail from "./rail.js";
+import taxi from "./taxi.js";
+import { SchemaValidationError, validateRecord } from "./validate.js";
+
+export { SchemaValidationError };
+
+// =====================================================
+// Document type registry
+// =====================================================
+//
+// Each schema module describes one document type: its fields, its
+// type-specific prompt rules, its post-processing and (optionally) its
+// arithmetic consistency checks (see consistency.js). Adding a type =
+// adding a module here.
+//
+// Field descriptor keys:
+//   type      "string" | "number" | "array" (arrays describe their "items")
+//   enum      allowed values (instead of "type")
+//   format    "date" | "datetime" | "currency" | "iata" (see validate.js)
+//   min       lower bound for numbers
+//   nullable  false to reject null (default: null allowed)
+//   default   value filled in when the key is missing (default: null)
+//   optional  key may be absent; it is neither filled nor required
+//   when      only part of the prompt when that extract option is set, and
+//             then required (an optional field the model omitted is an error)
+//   derived   computed on the server, never asked from the model
+//   label     UI label; money = name of the currency field to format with
+//   match     scoring comparison: "reference" | "name" | "city" | "amount"
+//             ("city" fields are also normalized to ALL CAPS names, see normalize.js)
+//   codeField sibling IATA code field used to fill a missing city
+//   normalize "title" = Capitalized Words
+//   grounding false = value is inferred, not printed; skip the source-text check
+//   fxDate    true = transaction date; the money field is converted at its rate (fx.js)
+//   traveller true = the person the document belongs to (duplicate matching, trips)
+
+export const SCHEMAS = Object.fromEntries(
+  [flight, hotel, carRental, rail, taxi].map((s) => [s.type, s])
+);
+
+export const DOC_TYPES = Object.keys(SCHEMAS);
+
+export function getSchema(type) {
+  return SCHEMAS[type] ?? null;
+}
+
+// Fields gated behind an option (e.g. flight "segments") only apply when it is set
+function promptFields(schema, opts = {}) {
+  return Object.entries(schema.fields).filter(([, f]) => !f.derived && (!f.when || opts[f.when]));
+}
+
+// ---------- Prompt ----------
+
+function promptType(field, indent) {
+  if (field.enum) return `${field.enum.map((v) => JSON.stringify(v)).join(" | ")} | null`;
+  if (field.type === "array") {
+    const pad = " ".repeat(indent);
+    const inner = Object.entries(field.items)
+      .map(([k, f]) => `${pad}    "${k}": ${promptType(f, indent + 4)}`)
+      .join(",\n");
+    return `[\n${pad}  {\n${inner}\n${pad}  }\n${pad}]`;
+  }
+  return `${field.type} | null`;
+}
+
+export function promptSchemaBlock(schema, opts = {}) {
+  const lines = [`  "type": "${schema.type}"`];
+  for (const [k, f] of promptFields(schema, opts)) {
+    lines.push(`  "${k}": ${promptType(f, 2)}`);
+  }
+  return `${schema.label.toUpperCase()}:\n{\n${lines.join(",\n")}\n}`;
+}
+
+export function promptSchemaBlocks(opts = {}) {
+  return Object.values(SCHEMAS)
+    .map((s) => promptSchemaBlock(s, opts))
+    .join("\n\n");
+}
+
+export function promptDocumentKinds() {
+  return Object.values(SCHEMAS)
+    .map((s) => s.documents)
+    .join(" OR ");
+}
+
+export function promptTypeRules(opts = {}) {
+  return Object.values(SCHEMAS).flatMap((s) => s.rules(opts));
+}
+
+// ---------- Keys + validation ----------
+
+function fillDefaults(fields, obj) {
+  for (const [k, f] of Object.entries(fields)) {
+    if (!(k in obj)) {
+      if (!f.optional) obj[k] = f.default ?? null;
+      continue;
+    }
+    if (f.type === "array" && Array.isArray(obj[k])) {
+      for (const item of obj[k]) {
+        if (item && typeof item === "object") fillDefaults(f.items, item);
+      }
+    }
+  }
+}
+
+// Ensures missing keys are added (as null / their default) before validation
+export function ensureRequiredKeys(obj) {
+  const schema = getSchema(obj?.type);
+  if (!schema) return obj;
+
+  fillDefaults(schema.fields, obj);
+  return obj;
+}
+
+export function assertKnownType(obj) {
+  const schema = getSchema(obj?.type);
+  if (!schema) {
+    throw new Error(
+      `Model output missing/invalid "type": ${JSON.stringify(obj).slice(0, 200)}`
+    );
+  }
+  return schema;
+}
+
+// Full type/format validation; run after post-processing has cleaned the values.
+// opts = the extract options, so the fields they asked for are required
+export function assertValidOutput(obj, opts = {}) {
+  const schema = assertKnownType(obj);
+  const errors = validateRecord(schema, obj, opts);
+  if (errors.length) throw new SchemaValidationError(schema.label, errors);
+}
+
+export function postProcessRecord(obj, text) {
+  const schema = getSchema(obj?.type);
+  return schema?.postProcess ? schema.postProcess(obj, text) : obj;
+}
+
+// ---------- Public description (GET /api/schemas) ----------
+
+function describeFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([k, f]) => {
+      const { items, ...rest } = f;
+      return [k, items ? { ...rest, items: describeFields(items) } : rest];
+    })
+  );
+}
+
+// JSON-safe view of the registry (no rules / post-processing functions)
+export function describeSchemas() {
+  return Object.values(SCHEMAS).map((s) => ({
+    type: s.type,
+    label: s.label,
+    documents: s.documents,
+    fields: describeFields(s.fields),
+  }));
+}
+
+// ---------- Scoring ----------
+
+// "reference" | "name" | "city" | "amount" | undefined (exact)
+export function fieldMatchKind(field) {
+  for (const schema of Object.values(SCHEMAS)) {
+    const kind = schema.fields[field]?.match;
+    if (kind) return kind;
+  }
+  return undefined;
+}
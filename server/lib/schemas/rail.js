@@ -0,0 +1,50 @@
+import { cleanNameAllCaps, cleanCityAllCaps } from "../cleaning.js";
+
+// =====================================================
+// Train / rail schema
+// =====================================================
+
+// Maps printed class names ("1st", "1. Klasse", "Standard") to FIRST/SECOND
+function normalizeTravelClass(c) {
+  if (!c || typeof c !== "string") return null;
+  const s = c.trim().toLowerCase();
+  if (!s) return null;
+  if (/^(1|1st|first|premi|erste|1\.|première|primera|prima|business)/.test(s)) return "FIRST";
+  if (/^(2|2nd|second|standard|zweite|2\.|seconde|segunda|economy)/.test(s)) return "SECOND";
+  return c.trim().toUpperCase();
+}
+
+export default {
+  type: "rail",
+  label: "Rail",
+  documents: "train / rail tickets",
+  fields: {
+    passengerName: { type: "string", label: "Passenger", match: "name", traveller: true },
+    operator: { type: "string", label: "Operator", match: "name" },
+    bookingReference: { type: "string", label: "Booking Ref", match: "reference" },
+    fromStation: { type: "string", label: "From Station" },
+    fromCity: { type: "string", label: "From", match: "city" },
+    toStation: { type: "string", label: "To Station" },
+    toCity: { type: "string", label: "To", match: "city" },
+    departureDate: { type: "string", format: "date", label: "Departure", fxDate: true },
+    returnDate: { type: "string", format: "date", label: "Return" },
+    travelClass: { type: "string", label: "Class", grounding: false },
+    currency: { type: "string", format: "currency", label: "Currency" },
+    totalPrice: { type: "number", min: 0, money: "currency", label: "Total", match: "amount" },
+  },
+  rules: () => [
+    `Rail: operator = rail company (e.g. SNCF, Deutsche Bahn, Trenitalia, Amtrak).
+   fromStation/toStation = station names as printed; fromCity/toCity = city names of the outgoing journey as defined in point 3.
+   returnDate = date of the return journey if the ticket includes one, otherwise null.
+   travelClass = "FIRST" or "SECOND" (or the class name as printed, in ALL CAPS).`,
+  ],
+  postProcess(obj) {
+    return {
+      ...obj,
+      passengerName: cleanNameAllCaps(obj.passengerName),
+      fromCity: cleanCityAllCaps(obj.fromCity),
+      toCity: cleanCityAllCaps(obj.toCity),
+      travelClass: normalizeTravelClass(obj.travelClass),
+    };
+  },
+};
@@ -0,0 +1,34 @@
+import { cleanNameAllCaps, cleanCityAllCaps } from "../cleaning.js";
+
+// =====================================================
+// Taxi / ride-hailing schema
+// =====================================================
+
+export default {
+  type: "taxi",
+  label: "Taxi",
+  documents: "taxi / ride-hailing receipts (Uber, Bolt, ...)",
+  fields: {
+    riderName: { type: "string", label: "Rider", match: "name", traveller: true },
+    company: { type: "string", label: "Company", match: "name" },
+    receiptNumber: { type: "string", label: "Receipt", match: "reference" },
+    pickupLocation: { type: "string", label: "Pickup" },
+    dropoffLocation: { type: "string", label: "Dropoff" },
+    city: { type: "string", label: "City", match: "city" },
+    tripDate: { type: "string", format: "date", label: "Date", fxDate: true },
+    currency: { type: "string", format: "currency", label: "Currency" },
+    totalPrice: { type: "number", min: 0, money: "currency", label: "Fare", match: "amount" },
+  },
+  rules: () => [
+    `Taxi / ride-hailing: company = taxi company or app (e.g. Uber, Bolt, FREE NOW, Lyft).
+   pickupLocation/dropoffLocation = addresses or place names as printed; city = city of the ride as defined in point 3.
+   tripDate = date of the ride; totalPrice = the amount charged, including tip, tolls and fees.`,
+  ],
+  postProcess(obj) {
+    return {
+      ...obj,
+      riderName: cleanNameAllCaps(obj.riderName),
+      city: cleanCityAllCaps(obj.city),
+    };
+  },
+};
@@ -0,0 +1,123 @@
+// =====================================================
+// Field-level type/format validation
+// =====================================================
+
+// Thrown with every problem found, each with a path like "segments[1].toCode"
+export class SchemaValidationError extends Error {
+  constructor(label, errors) {
+    super(`${label} output invalid: ${errors.map((e) => `${e.path} ${e.message}`).join("; ")}`);
+    this.name = "SchemaValidationError";
+    this.errors = errors;
+  }
+}
+
+const FORMATS = {
+  date: {
+    test: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && isCalendarDate(v),
+    describe: 'a date "YYYY-MM-DD"',
+  },
+  datetime: {
+    test: (v) =>
+      /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2})?)?$/.test(v) && isCalendarDate(v.slice(0, 10)),
+    describe: 'a local date-time "YYYY-MM-DDTHH:MM"',
+  },
+  currency: {
+    test: (v) => /^[A-Z]{3}$/.test(v),
+    describe: "a 3-letter ISO 4217 currency code",
+  },
+  iata: {
+    test: (v) => /^[A-Z]{3}$/.test(v),
+    describe: "a 3-letter IATA airport code",
+  },
+};
+
+export const FORMAT_NAMES = Object.keys(FORMATS);
+
+function isCalendarDate(s) {
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function show(v) {
+  const s = JSON.stringify(v);
+  return s && s.length > 60 ? `${s.slice(0, 57)}...` : s;
+}
+
+function validateValue(field, value, path, errors) {
+  if (value === null || value === undefined) {
+    if (field.nullable === false) errors.push({ path, message: "must not be null" });
+    return;
+  }
+
+  if (field.enum) {
+    if (!field.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${field.enum.map((v) => JSON.stringify(v)).join(", ")} (got ${show(value)})` });
+    }
+    return;
+  }
+
+  switch (field.type) {
+    case "string": {
+      if (typeof value !== "string") {
+        errors.push({ path, message: `must be a string (got ${show(value)})` });
+        return;
+      }
+      const fmt = field.format && FORMATS[field.format];
+      if (fmt && !fmt.test(value)) {
+        errors.push({ path, message: `must be ${fmt.describe} (got ${show(value)})` });
+      }
+      return;
+    }
+
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push({ path, message: `must be a number (got ${show(value)})` });
+        return;
+      }
+      if (field.min != null && value < field.min) {
+        errors.push({ path, message: `must be >= ${field.min} (got ${value})` });
+      }
+      return;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        errors.push({ path, message: `must be an array (got ${show(value)})` });
+        return;
+      }
+      value.forEach((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+          errors.push({ path: itemPath, message: `must be an object (got ${show(item)})` });
+          return;
+        }
+        validateFields(field.items, item, `${itemPath}.`, errors);
+      });
+      return;
+    }
+
+    default:
+      return;
+  }
+}
+
+// A field gated behind an extract option (field.when) is required when that
+// option is set: the model was asked for it
+function validateFields(fields, obj, prefix, errors, opts = {}) {
+  for (const [k, field] of Object.entries(fields)) {
+    const path = `${prefix}${k}`;
+    if (!(k in obj)) {
+      if (!field.optional || (field.when && opts[field.when])) errors.push({ path, message: "is missing" });
+      continue;
+    }
+    validateValue(field, obj[k], path, errors);
+  }
+}
+
+// Returns [] when valid; opts = the extract options (segments, breakdown)
+export function validateRecord(schema, obj, opts = {}) {
+  const errors = [];
+  validateFields(schema.fields, obj, "", errors, opts);
+  return errors;
+}
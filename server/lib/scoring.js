@@ -0,0 +1,297 @@
+import { db } from "./db.js";
+import { getLabel, getRunLabels, parseSourceFile } from "./groundTruth.js";
+import { fieldMatchKind } from "./schemas/index.js";
+
+// =====================================================
+// Field-level accuracy scoring against ground truth
+// =====================================================
+
+export const DEFAULT_PRICE_TOLERANCE = 0.01;
+
+// ---------- Normalizers ----------
+
+function stripDiacritics(s) {
+  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// References: case and whitespace are formatting, everything else must match
+function normalizeReference(v) {
+  return String(v).replace(/\s+/g, "").toUpperCase();
+}
+
+function normalizeName(v) {
+  return stripDiacritics(String(v))
+    .toUpperCase()
+    .replace(/(?<!\p{L})(MR|MRS|MS|MISS|DR|PROF)(?!\p{L})\.?/gu, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function normalizeCity(v) {
+  return stripDiacritics(String(v))
+    .toUpperCase()
+    .replace(/[^\p{L}]+/gu, " ")
+    .trim();
+}
+
+function isBlank(v) {
+  return v === null || v === undefined || (typeof v === "string" && v.trim() === "");
+}
+
+export function fieldMatches(field, predicted, expected, { priceTolerance = DEFAULT_PRICE_TOLERANCE } = {}) {
+  if (isBlank(expected) || isBlank(predicted)) return isBlank(expected) && isBlank(predicted);
+
+  // How each field is compared comes from the document schemas (match kind)
+  switch (fieldMatchKind(field)) {
+    case "reference":
+      return normalizeReference(predicted) === normalizeReference(expected);
+    case "name":
+      return normalizeName(predicted) === normalizeName(expected);
+    case "city":
+      return normalizeCity(predicted) === normalizeCity(expected);
+    case "amount": {
+      const p = Number(predicted);
+      const e = Number(expected);
+      if (!Number.isFinite(p) || !Number.isFinite(e)) return false;
+      return Math.abs(p - e) <= priceTolerance + 1e-9;
+    }
+    default:
+      return String(predicted).trim().toUpperCase() === String(expected).trim().toUpperCase();
+  }
+}
+
+// ---------- Single document ----------
+
+// predicted = extraction output (null for failed runs), label = getLabel() / getRunLabels() entry
+export function scoreDocument(predicted, label, opts = {}) {
+  const typeCorrect = predicted?.type === label.type;
+  const fields = {};
+  let correct = 0;
+
+  for (const [field, expected] of Object.entries(label.fields)) {
+    const value = predicted?.[field] ?? null;
+    const ok = typeCorrect && fieldMatches(field, value, expected, opts);
+    fields[field] = { expected, predicted: value, correct: ok };
+    if (ok) correct++;
+  }
+
+  const total = Object.keys(fields).length;
+
+  return {
+    docKey: label.docKey,
+    typeCorrect,
+    correct,
+    total,
+    accuracy: total ? correct / total : null,
+    allCorrect: typeCorrect && correct === total,
+    fields,
+  };
+}
+
+// ---------- Aggregation per provider/model/prompt version ----------
+
+function ratio(a, b) {
+  return b ? a / b : null;
+}
+
+function parseOutput(jsonOutput) {
+  if (!jsonOutput) return null;
+  try {
+    return JSON.parse(jsonOutput);
+  } catch {
+    return null;
+  }
+}
+
+// Multi-record runs store an array. Reviewed records are labelled by index;
+// a curated label scores the record of the labelled type.
+function pickRecord(output, label, recordIndex) {
+  if (!Array.isArray(output)) return recordIndex ? null : output;
+  if (recordIndex != null) return output[recordIndex] ?? null;
+  return output.find((r) => r?.type === label.type) ?? output[0] ?? null;
+}
+
+// [{ label, record_index }] of a run: its reviewed records, else the curated
+// label of its document (record_index null)
+function labelsOfRun(row) {
+  const reviewed = getRunLabels(row.id);
+  if (reviewed.length) return reviewed.map((label) => ({ label, record_index: label.record_index }));
+  const label = getLabel(row.source_file);
+  return label ? [{ label, record_index: null }] : [];
+}
+
+// rows = eval_runs rows; runs without a label are counted but not scored.
+// One scored document per label: a run with several reviewed records counts
+// each of them. prompt_version is null for runs logged before prompt versioning.
+export function scoreRuns(rows, opts = {}) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = `${row.provider}\u0000${row.model}\u0000${row.prompt_version ?? ""}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        provider: row.provider,
+        model: row.model,
+        prompt_version: row.prompt_version ?? null,
+        runs: 0,
+        unlabeled: 0,
+        scored: 0,
+        failed: 0,
+        typeCorrect: 0,
+        fieldsCorrect: 0,
+        fieldsTotal: 0,
+        docsAllCorrect: 0,
+        fields: {},
+        documents: [],
+      });
+    }
+    const g = groups.get(key);
+    g.runs++;
+
+    const labels = labelsOfRun(row);
+    if (labels.length === 0) {
+      g.unlabeled++;
+      continue;
+    }
+
+    const output = row.success ? parseOutput(row.json_output) : null;
+    for (const { label, record_index } of labels) {
+      const predicted = output ? pickRecord(output, label, record_index) : null;
+      if (!predicted) g.failed++;
+
+      const score = scoreDocument(predicted, label, opts);
+      g.scored++;
+      if (score.typeCorrect) g.typeCorrect++;
+      if (score.allCorrect) g.docsAllCorrect++;
+      g.fieldsCorrect += score.correct;
+      g.fieldsTotal += score.total;
+
+      for (const [field, f] of Object.entries(score.fields)) {
+        g.fields[field] ??= { correct: 0, total: 0 };
+        g.fields[field].total++;
+        if (f.correct) g.fields[field].correct++;
+      }
+
+      g.documents.push({
+        run_id: row.id,
+        record_index: record_index ?? (Array.isArray(output) ? Math.max(0, output.indexOf(predicted)) : 0),
+        source_file: row.source_file,
+        input_type: row.input_type,
+        degradation: parseSourceFile(row.source_file).degradation,
+        ...score,
+      });
+    }
+  }
+
+  return [...groups.values()].map((g) => {
+    const { scored } = g;
+    const fields = {};
+    for (const [field, f] of Object.entries(g.fields)) {
+      fields[field] = { ...f, accuracy: ratio(f.correct, f.total) };
+    }
+
+    return {
+      provider: g.provider,
+      model: g.model,
+      prompt_version: g.prompt_version,
+      runs: g.runs,
+      scored,
+      unlabeled: g.unlabeled,
+      failed: g.failed,
+      docTypeAccuracy: ratio(g.typeCorrect, scored),
+      fieldAccuracy: ratio(g.fieldsCorrect, g.fieldsTotal),
+      documentAccuracy: ratio(g.docsAllCorrect, scored),
+      fields,
+      documents: g.documents,
+    };
+  });
+}
+
+// ---------- eval_runs queries ----------
+
+// Doc type of a run: the labelled type, else the predicted one ("flight,hotel" for multi-record runs)
+export const RUN_DOC_TYPE_SQL = "COALESCE(groundTruth_docType, docType_pred)";
+
+// WHERE clause + params for eval_runs filters; ocr_used is 0/1
+export function evalRunsWhere({
+  provider,
+  model,
+  input_type,
+  ocr_used,
+  docType,
+  since,
+  until,
+  experiment,
+  prompt_version,
+} = {}) {
+  const where = [];
+  const params = {};
+  if (provider) {
+    where.push("provider = @provider");
+    params.provider = provider;
+  }
+  if (model) {
+    where.push("model = @model");
+    params.model = model;
+  }
+  if (input_type) {
+    where.push("input_type = @input_type");
+    params.input_type = input_type;
+  }
+  if (ocr_used != null) {
+    where.push("ocr_used = @ocr_used");
+    params.ocr_used = ocr_used ? 1 : 0;
+  }
+  if (docType) {
+    where.push(`${RUN_DOC_TYPE_SQL} = @docType`);
+    params.docType = docType;
+  }
+  if (since) {
+    where.push("timestamp >= @since");
+    params.since = since;
+  }
+  if (until) {
+    where.push("timestamp <= @until");
+    params.until = until;
+  }
+  if (experiment) {
+    where.push("experiment = @experiment");
+    params.experiment = experiment;
+  }
+  if (prompt_version) {
+    where.push("prompt_version = @prompt_version");
+    params.prompt_version = prompt_version;
+  }
+
+  return { where: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+export function selectEvalRuns(filters = {}) {
+  const { where, params } = evalRunsWhere(filters);
+  return db.prepare(`SELECT * FROM eval_runs ${where} ORDER BY id`).all(params);
+}
+
+export function scoreEvalRuns(filters = {}, opts = {}) {
+  return scoreRuns(selectEvalRuns(filters), opts);
+}
+
+// Copies label doc types into eval_runs.groundTruth_docType for older rows
+export function backfillGroundTruthDocTypes() {
+  const update = db.prepare(`
+    UPDATE eval_runs SET groundTruth_docType = @docType
+    WHERE groundTruth_docType IS NULL AND source_file = @source_file
+  `);
+  const sourceFiles = db
+    .prepare(`SELECT DISTINCT source_file FROM eval_runs WHERE groundTruth_docType IS NULL AND source_file IS NOT NULL`)
+    .all()
+    .map((r) => r.source_file);
+
+  let updated = 0;
+  db.transaction(() => {
+    for (const source_file of sourceFiles) {
+      const label = getLabel(source_file);
+      if (label) updated += update.run({ docType: label.type, source_file }).changes;
+    }
+  })();
+  return updated;
+}
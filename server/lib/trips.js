@@ -0,0 +1,341 @@
+import { fieldWith, hasEarlierDuplicate, listDocuments, normalizeName } from "./documents.js";
+import { addReportingAmount, REPORTING_CURRENCY } from "./fx.js";
+import { getSchema } from "./schemas/index.js";
+
+// =====================================================
+// Trip assembly (stored documents -> trips per traveller)
+// =====================================================
+//
+// Flights anchor trips: a round trip is one trip from departure to return;
+// one-way flights chain into one trip until a flight gets back to where the
+// chain started (A→B, B→C, C→A). Hotel stays join the trip their nights
+// overlap; a stay no flight covers becomes a trip of its own. Other types
+// (rail, car rental, taxi) join the trip their transaction date falls in.
+// Each trip is then checked: stays in a city the flights do not go to, stays
+// outside the flight dates, overlapping stays and nights without lodging.
+
+// ---------- Dates + places ----------
+
+function dateOnly(v) {
+  const m = typeof v === "string" ? v.match(/^\d{4}-\d{2}-\d{2}/) : null;
+  return m ? m[0] : null;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// "2024-03-12" .. "2024-03-15" -> ["2024-03-12", "2024-03-13", "2024-03-14"]
+function nightsBetween(from, to) {
+  const nights = [];
+  for (let d = from; d < to; d = addDays(d, 1)) nights.push(d);
+  return nights;
+}
+
+// Consecutive dates -> "2024-03-12..2024-03-14" ranges
+function dateRanges(dates) {
+  const ranges = [];
+  for (const d of dates) {
+    const last = ranges[ranges.length - 1];
+    if (last && addDays(last.to, 1) === d) last.to = d;
+    else ranges.push({ from: d, to: d });
+  }
+  return ranges.map((r) => (r.from === r.to ? r.from : `${r.from}..${r.to}`));
+}
+
+function normalizeCity(v) {
+  return String(v ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^\p{L}]+/gu, " ")
+    .trim();
+}
+
+// ---------- Document views ----------
+
+// What a trip needs from a flight: dates, origin, and every city it touches
+function flightView(doc) {
+  const f = doc.data;
+  const segments = Array.isArray(f.segments) ? f.segments : [];
+  const start = dateOnly(f.departureDate) ?? dateOnly(segments[0]?.departureDateTime);
+  if (!start) return null;
+
+  const arrivals = segments.map((s) => dateOnly(s.arrivalDateTime) ?? dateOnly(s.departureDateTime)).filter(Boolean);
+  const returnDate = f.tripType === "round_trip" ? dateOnly(f.returnDate) : null;
+  const lastArrival = arrivals.length ? arrivals.reduce((a, b) => (a > b ? a : b)) : null;
+
+  const cities = [f.overallTo, ...segments.map((s) => s.toCity)].map(normalizeCity).filter(Boolean);
+  return {
+    doc,
+    start,
+    end: returnDate ? (lastArrival && lastArrival > returnDate ? lastArrival : returnDate) : lastArrival ?? start,
+    roundTrip: Boolean(returnDate),
+    from: normalizeCity(f.overallFrom) || null,
+    to: normalizeCity(f.overallTo) || null,
+    cities: [...new Set(cities)],
+  };
+}
+
+function stayView(doc) {
+  const h = doc.data;
+  const checkIn = dateOnly(h.checkInDate);
+  const checkOut = dateOnly(h.checkOutDate);
+  if (!checkIn || !checkOut || checkOut < checkIn) return null;
+  return { doc, checkIn, checkOut, city: normalizeCity(h.hotelCity) || null };
+}
+
+function transactionDate(doc) {
+  const field = fieldWith(getSchema(doc.type), "fxDate");
+  return field ? dateOnly(doc.data[field]) : null;
+}
+
+// ---------- Grouping ----------
+
+function newTrip(traveller) {
+  return { traveller, start: null, end: null, origin: null, cities: [], flights: [], stays: [], others: [], openEnded: false };
+}
+
+function extend(trip, from, to) {
+  if (!trip.start || from < trip.start) trip.start = from;
+  if (!trip.end || to > trip.end) trip.end = to;
+}
+
+function flightTrips(traveller, flights) {
+  const trips = [];
+  let open = null;
+
+  for (const f of flights.sort((a, b) => a.start.localeCompare(b.start))) {
+    // Next leg of a one-way chain: leaves from where the chain got to
+    if (open && !f.roundTrip && f.from && f.from === open.flights[open.flights.length - 1].to) {
+      open.flights.push(f);
+      extend(open, f.start, f.end);
+      if (f.to === open.origin) {
+        open.openEnded = false;
+        open = null;
+      } else {
+        open.cities.push(...f.cities.filter((c) => !open.cities.includes(c)));
+      }
+      continue;
+    }
+
+    const trip = newTrip(traveller);
+    trip.origin = f.from;
+    trip.flights.push(f);
+    trip.cities.push(...f.cities.filter((c) => c !== f.from));
+    extend(trip, f.start, f.end);
+    trips.push(trip);
+
+    trip.openEnded = !f.roundTrip;
+    open = f.roundTrip ? null : trip;
+  }
+  return trips;
+}
+
+// A stay belongs to the trip it shares a night with; a trip without a
+// return flight also takes the stays that start on or after its last day
+function overlaps(trip, stay) {
+  if (trip.openEnded) return stay.checkOut > trip.start && stay.checkIn <= trip.end;
+  return stay.checkIn < trip.end && stay.checkOut > trip.start;
+}
+
+function assignStays(traveller, trips, stays) {
+  const hotelOnly = [];
+  for (const s of stays.sort((a, b) => a.checkIn.localeCompare(b.checkIn))) {
+    const trip = trips.find((t) => t.flights.length && overlaps(t, s));
+    if (trip) {
+      trip.stays.push(s);
+      // A one-way trip without a return flight lasts at least until check-out
+      if (trip.openEnded) extend(trip, s.checkIn, s.checkOut);
+      continue;
+    }
+
+    // Back-to-back stays without flights are one trip
+    const previous = hotelOnly.find((t) => s.checkIn <= t.end);
+    if (previous) {
+      previous.stays.push(s);
+      extend(previous, s.checkIn, s.checkOut);
+    } else {
+      const t = newTrip(traveller);
+      t.stays.push(s);
+      extend(t, s.checkIn, s.checkOut);
+      hotelOnly.push(t);
+    }
+  }
+  return [...trips, ...hotelOnly];
+}
+
+// ---------- Checks ----------
+
+function issue(check, message, docs) {
+  return { check, message, documents: docs.map((d) => d.id) };
+}
+
+function checkTrip(trip) {
+  const issues = [];
+  const flightDocs = trip.flights.map((f) => f.doc);
+
+  if (!trip.flights.length) {
+    for (const s of trip.stays) {
+      issues.push(issue("hotel_without_flight", `Hotel in ${s.city ?? "an unknown city"} with no flight to it`, [s.doc]));
+    }
+    return issues;
+  }
+
+  if (trip.openEnded) {
+    issues.push(issue("no_return_flight", `No flight back to ${trip.origin ?? "the origin"}`, flightDocs));
+  }
+
+  for (const s of trip.stays) {
+    if (s.city && trip.cities.length && !trip.cities.includes(s.city)) {
+      issues.push(
+        issue("hotel_city", `Hotel in ${s.city}, the flights go to ${trip.cities.join(", ")}`, [s.doc, ...flightDocs])
+      );
+    }
+    if (!trip.openEnded && (s.checkIn < trip.start || s.checkOut > trip.end)) {
+      issues.push(
+        issue(
+          "hotel_dates",
+          `Stay ${s.checkIn}..${s.checkOut} is outside the flights ${trip.start}..${trip.end}`,
+          [s.doc, ...flightDocs]
+        )
+      );
+    }
+  }
+
+  // Every night between the first departure and the last flight needs a bed,
+  // exactly one: overnight flights show up as a gap to double-check
+  const lodged = new Map();
+  for (const s of trip.stays) {
+    for (const night of nightsBetween(s.checkIn, s.checkOut)) {
+      lodged.set(night, [...(lodged.get(night) ?? []), s.doc]);
+    }
+  }
+
+  const nights = nightsBetween(trip.start, trip.end);
+  const missing = nights.filter((n) => !lodged.has(n));
+  if (missing.length) {
+    issues.push(
+      issue("nights_without_lodging", `${missing.length} night(s) without lodging: ${dateRanges(missing).join(", ")}`, flightDocs)
+    );
+  }
+
+  const doubled = [...lodged.entries()].filter(([, docs]) => docs.length > 1);
+  if (doubled.length) {
+    const docs = [...new Set(doubled.flatMap(([, d]) => d))];
+    issues.push(
+      issue("overlapping_stays", `Two stays on ${dateRanges(doubled.map(([n]) => n)).join(", ")}`, docs)
+    );
+  }
+
+  return issues;
+}
+
+// Per currency, plus everything converted to the reporting currency at each
+// document's transaction date (null when a rate is missing)
+export function documentTotals(docs, reportingCurrency) {
+  const byCurrency = {};
+  let reportingAmount = 0;
+  const unconverted = [];
+
+  for (const doc of docs) {
+    const schema = getSchema(doc.type);
+    const amountField = fieldWith(schema, "money");
+    const amount = amountField ? doc.data[amountField] : null;
+    if (typeof amount !== "number") continue;
+
+    const currency = doc.data[schema.fields[amountField].money];
+    if (currency) byCurrency[currency] = Math.round(((byCurrency[currency] ?? 0) + amount) * 100) / 100;
+
+    const converted = addReportingAmount(schema, { ...doc.data }, reportingCurrency).reportingAmount;
+    if (converted == null) unconverted.push(doc.id);
+    else reportingAmount += converted;
+  }
+
+  return {
+    byCurrency,
+    reportingCurrency,
+    reportingAmount: unconverted.length ? null : Math.round(reportingAmount * 100) / 100,
+    unconverted,
+  };
+}
+
+function describeTrip(trip, reportingCurrency) {
+  const docs = [...trip.flights, ...trip.stays, ...trip.others].map((v) => v.doc ?? v);
+  const nights = trip.start && trip.end ? nightsBetween(trip.start, trip.end).length : 0;
+
+  return {
+    traveller: trip.traveller,
+    start: trip.start,
+    end: trip.end,
+    origin: trip.origin,
+    cities: trip.flights.length ? trip.cities : [...new Set(trip.stays.map((s) => s.city).filter(Boolean))],
+    nights,
+    documents: docs
+      .sort((a, b) => (transactionDate(a) ?? "").localeCompare(transactionDate(b) ?? ""))
+      .map((d) => ({ id: d.id, type: d.type, source_file: d.source_file, date: transactionDate(d) })),
+    issues: checkTrip(trip),
+    totals: documentTotals(docs, reportingCurrency),
+  };
+}
+
+// ---------- Entry point ----------
+
+// Trips of every traveller (or one), optionally only those overlapping
+// [from, to]. Later duplicates of a document (documents.js) are left out.
+// Returns { trips, unassigned: [document ids], duplicates: [document ids] }
+export function buildTrips({ traveller, from, to, reportingCurrency = REPORTING_CURRENCY } = {}) {
+  const wanted = traveller ? normalizeName(traveller) : null;
+
+  const byTraveller = new Map();
+  const duplicates = [];
+  for (const doc of listDocuments()) {
+    const schema = getSchema(doc.type);
+    const nameField = schema && fieldWith(schema, "traveller");
+    const name = nameField ? doc.data[nameField] : null;
+    const key = normalizeName(name);
+    if (!schema || (wanted && key !== wanted)) continue;
+
+    if (hasEarlierDuplicate(doc)) {
+      duplicates.push(doc.id);
+      continue;
+    }
+
+    if (!byTraveller.has(key)) byTraveller.set(key, { name: name ?? null, docs: [] });
+    byTraveller.get(key).docs.push(doc);
+  }
+
+  const trips = [];
+  const unassigned = [];
+  for (const { name, docs } of byTraveller.values()) {
+    const flights = [];
+    const stays = [];
+    const others = [];
+    for (const doc of docs) {
+      const view = doc.type === "flight" ? flightView(doc) : doc.type === "hotel" ? stayView(doc) : doc;
+      if (!view) unassigned.push(doc.id);
+      else if (doc.type === "flight") flights.push(view);
+      else if (doc.type === "hotel") stays.push(view);
+      else others.push(view);
+    }
+
+    const travellerTrips = assignStays(name, flightTrips(name, flights), stays);
+    for (const doc of others) {
+      const date = transactionDate(doc);
+      const trip = date && travellerTrips.find((t) => date >= t.start && date <= t.end);
+      if (trip) trip.others.push(doc);
+      else unassigned.push(doc.id);
+    }
+    trips.push(...travellerTrips.map((t) => describeTrip(t, reportingCurrency)));
+  }
+
+  return {
+    trips: trips
+      .filter((t) => (!from || t.end >= from) && (!to || t.start <= to))
+      .sort((a, b) => a.start.localeCompare(b.start) || String(a.traveller).localeCompare(String(b.traveller))),
+    unassigned,
+    duplicates,
+  };
+}
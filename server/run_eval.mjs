@@ -0,0 +1,240 @@
+// run_eval.mjs
+// First: lib/ modules read their settings from process.env when they load
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { saveLabels } from "./lib/groundTruth.js";
+import { CLEAN, comparePromptVersions, loadManifest, summarizeExperiment } from "./lib/evaluation.js";
+import { createLimiter } from "./lib/limit.js";
+import { selectEvalRuns } from "./lib/scoring.js";
+
+// Runs a dataset manifest (lib/evaluation.js) against the server once per
+// provider/model config, tags every run with one experiment id and prints a
+// comparison report. The server must use the same database (EVAL_DB_PATH).
+// With several --prompt versions every config runs once per version, and the
+// first version is compared field by field with each of the others (A/B).
+//
+//   node run_eval.mjs datasets/flights.json [--config openai:gpt-4o-mini --config ollama:llama3.1:8b]
+//                     [--prompt v1 --prompt v2] [--concurrency 2] [--experiment <id>] [--api http://localhost:8789]
+
+const USAGE =
+  "Usage: node run_eval.mjs <manifest.json> [--config provider:model]... [--prompt version]... [--concurrency N] [--experiment id] [--api url]";
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    config: { type: "string", multiple: true },
+    prompt: { type: "string", multiple: true },
+    concurrency: { type: "string" },
+    experiment: { type: "string" },
+    api: { type: "string" },
+  },
+});
+
+const API_BASE = args.api || process.env.API_BASE || "http://localhost:8789";
+
+const MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+};
+
+const pct = (v) => (v == null ? "    —" : `${(v * 100).toFixed(1).padStart(5)}%`);
+const ms = (v) => (v == null ? "—" : String(v)).padStart(7);
+
+// "ollama:llama3.1:8b" -> { provider: "ollama", model: "llama3.1:8b" }; no model = the provider's default
+function parseConfig(spec) {
+  const i = spec.indexOf(":");
+  return i === -1 ? { provider: spec, model: null } : { provider: spec.slice(0, i), model: spec.slice(i + 1) };
+}
+
+// Errors carry the HTTP status; none when the server was not reached
+async function callApi(url, init) {
+  const r = await fetch(url, init);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok || !data?.ok) throw Object.assign(new Error(data?.error || `HTTP ${r.status}`), { status: r.status });
+  return data;
+}
+
+// One extraction; fallback is off so the run is logged under the config's own model
+async function runEntry(entry, config, experiment, options) {
+  const params = { ...options, experiment, provider: config.provider, fallback: "" };
+  if (config.model) params.model = config.model;
+  if (config.promptVersion) params.promptVersion = config.promptVersion;
+
+  if (entry.input === "text") {
+    return callApi(`${API_BASE}/api/extract`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...params, text: fs.readFileSync(entry.path, "utf8"), source_file: entry.source_file }),
+    });
+  }
+
+  const form = new FormData();
+  for (const [k, v] of Object.entries({ ...params, pipeline: entry.input })) form.append(k, String(v));
+  const type = MIME_TYPES[path.extname(entry.path).toLowerCase()] ?? "application/octet-stream";
+  form.append("file", new Blob([fs.readFileSync(entry.path)], { type }), entry.source_file);
+
+  return callApi(`${API_BASE}/api/extract-file`, { method: "POST", body: form });
+}
+
+// Values in the A/B listing: strings as is, the rest (numbers, arrays) as JSON
+const show = (v) => (v == null ? "null" : typeof v === "string" ? v : JSON.stringify(v));
+
+function runName(r) {
+  return `${r.provider}:${r.model}${r.prompt_version ? ` @${r.prompt_version}` : ""}`;
+}
+
+function printReport(report, configs, unlogged) {
+  const width = Math.max(24, ...report.map((r) => runName(r).length + 2));
+
+  console.log(`\n${"config".padEnd(width)} runs  success   p50 ms  p90 ms  p99 ms  doc type   fields  all fields`);
+  for (const r of report) {
+    console.log(
+      `${runName(r).padEnd(width)} ${String(r.runs).padStart(4)}  ${pct(r.successRate)}  ${ms(r.latency.p50)} ${ms(r.latency.p90)} ${ms(r.latency.p99)}` +
+        `   ${pct(r.docTypeAccuracy)}   ${pct(r.fieldAccuracy)}   ${pct(r.documentAccuracy)}`
+    );
+  }
+
+  const tags = [...new Set(report.flatMap((r) => Object.keys(r.degradations)))].sort((a, b) =>
+    a === CLEAN ? -1 : b === CLEAN ? 1 : a.localeCompare(b)
+  );
+  console.log(`\nField accuracy per degradation (success rate in brackets)`);
+  console.log(`${"config".padEnd(width)} ${tags.map((t) => t.padStart(16)).join("")}`);
+  for (const r of report) {
+    const cells = tags.map((t) => {
+      const d = r.degradations[t];
+      return (d ? `${pct(d.fieldAccuracy)} (${pct(d.successRate).trim()})` : "—").padStart(16);
+    });
+    console.log(`${runName(r).padEnd(width)} ${cells.join("")}`);
+  }
+
+  // Requests the server rejected before logging (bad config, server down)
+  for (const c of configs) {
+    const n = unlogged.get(c.label) ?? 0;
+    if (n) console.log(`\n${c.label}: ${n} request(s) failed before the server logged them`);
+  }
+}
+
+function printComparison(comparison) {
+  const { a, b } = comparison;
+  console.log(`\n=== Prompt ${a.prompt_version} vs ${b.prompt_version}: ${comparison.provider}:${comparison.model} ===`);
+
+  const line = (label, va, vb) => {
+    const delta = va != null && vb != null ? `${vb >= va ? "+" : ""}${((vb - va) * 100).toFixed(1)}` : "";
+    console.log(`${label.padEnd(20)} ${pct(va)}  ${pct(vb)}  ${delta.padStart(6)}`);
+  };
+  console.log(`${"".padEnd(20)} ${a.prompt_version.padStart(6)}  ${b.prompt_version.padStart(6)}   delta`);
+  line("success", a.successRate, b.successRate);
+  line("doc type", a.docTypeAccuracy, b.docTypeAccuracy);
+  line("fields", a.fieldAccuracy, b.fieldAccuracy);
+  line("all fields", a.documentAccuracy, b.documentAccuracy);
+  for (const f of comparison.fields) line(`  ${f.field}`, f.a, f.b);
+
+  if (comparison.documents.length === 0) {
+    console.log("\nSame output for every document.");
+    return;
+  }
+  console.log(`\nDifferent output on ${comparison.documents.length} document(s):`);
+  const mark = (ok) => (ok ? "ok" : "wrong");
+  for (const d of comparison.documents) {
+    console.log(`  ${d.source_file} [${d.input_type}]  runs #${d.run_ids[0]} / #${d.run_ids[1]}`);
+    d.errors.forEach((error, i) => {
+      if (error) console.log(`    ${[a, b][i].prompt_version} failed: ${error}`);
+    });
+    for (const diff of d.differences) {
+      const expected = diff.correct
+        ? `   (expected ${show(diff.expected)}: ${mark(diff.correct[0])} / ${mark(diff.correct[1])})`
+        : "";
+      console.log(`    ${diff.field}: ${show(diff.a)}  ->  ${show(diff.b)}${expected}`);
+    }
+  }
+}
+
+async function main() {
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const manifest = loadManifest(positionals[0]);
+  const concurrency = Number(args.concurrency ?? manifest.concurrency ?? 2);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error("--concurrency must be a positive integer");
+
+  const experiment = args.experiment || `${manifest.name}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+
+  // Without configs the server's default model is used, named so its runs can be grouped
+  let specs = args.config?.length ? args.config : manifest.configs;
+  if (specs.length === 0) {
+    const r = await fetch(`${API_BASE}/api/ping`);
+    const ping = await r.json().catch(() => ({}));
+    if (!r.ok || !ping.provider) throw new Error(`Server not reachable at ${API_BASE}`);
+    specs = [`${ping.provider}:${ping.model}`];
+  }
+  // One run per config and prompt version; none = the server's PROMPT_VERSION
+  const prompts = [...new Set(args.prompt ?? [])];
+  for (const version of prompts) {
+    const r = await fetch(`${API_BASE}/api/prompts/${encodeURIComponent(version)}`).catch(() => null);
+    if (r?.status === 404) throw new Error(`Unknown prompt version: ${version}`);
+  }
+  const configs = specs.flatMap((spec) =>
+    prompts.length
+      ? prompts.map((promptVersion) => ({ ...parseConfig(spec), promptVersion, label: `${spec} @${promptVersion}` }))
+      : [{ ...parseConfig(spec), label: spec }]
+  );
+
+  if (manifest.labels.length) {
+    saveLabels(manifest.labels);
+    console.log(`Imported ${manifest.labels.length} labels`);
+  }
+
+  console.log(`Experiment ${experiment}`);
+  console.log(`${manifest.entries.length} files x ${configs.length} config(s), concurrency ${concurrency}, API ${API_BASE}\n`);
+
+  const limit = createLimiter(concurrency);
+  const total = manifest.entries.length * configs.length;
+  const unlogged = new Map();
+  let done = 0;
+
+  await Promise.all(
+    configs.flatMap((config) =>
+      manifest.entries.map((entry) =>
+        limit(async () => {
+          const tag = `${entry.source_file} [${entry.input}] ${config.label}`;
+          try {
+            const data = await runEntry(entry, config, experiment, manifest.options);
+            console.log(`[${++done}/${total}] OK   ${tag}${data.meta?.ocr_used ? " (OCR)" : ""}`);
+          } catch (e) {
+            console.log(`[${++done}/${total}] FAIL ${tag} — ${e.message}`);
+            // Extraction failures (500) are logged; unreachable server and rejected requests are not
+            if (e.status >= 500) return;
+            unlogged.set(config.label, (unlogged.get(config.label) ?? 0) + 1);
+          }
+        })
+      )
+    )
+  );
+
+  const report = summarizeExperiment(experiment, { degradationOf: manifest.degradationOf });
+  if (report.length === 0) {
+    console.log("\nNo runs were logged for this experiment.");
+    return;
+  }
+  printReport(report, configs, unlogged);
+
+  const rows = prompts.length > 1 ? selectEvalRuns({ experiment }) : [];
+  for (const version of prompts.slice(1)) {
+    const comparisons = comparePromptVersions(rows, [prompts[0], version], { degradationOf: manifest.degradationOf });
+    comparisons.forEach(printComparison);
+  }
+}
+
+main().catch((e) => {
+  console.error("Evaluation failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// score_eval_runs.mjs
+// First: lib/ modules read their settings from process.env when they load
+import "dotenv/config";
+import { loadLabelsFile } from "./lib/groundTruth.js";
+import { backfillGroundTruthDocTypes, scoreEvalRuns } from "./lib/scoring.js";
+
+// Optional: JSON or CSV labels file to import before scoring
+const LABELS_FILE = process.env.LABELS_FILE || null;
+const PRICE_TOLERANCE = process.env.PRICE_TOLERANCE ? Number(process.env.PRICE_TOLERANCE) : undefined;
+
+const filters = {
+  provider: process.env.PROVIDER || undefined,
+  model: process.env.MODEL || undefined,
+  input_type: process.env.INPUT_TYPE || undefined,
+  since: process.env.SINCE || undefined,
+  experiment: process.env.EXPERIMENT || undefined,
+};
+
+const pct = (v) => (v == null ? "  —  " : `${(v * 100).toFixed(1).padStart(5)}%`);
+
+function main() {
+  if (LABELS_FILE) {
+    const saved = loadLabelsFile(LABELS_FILE);
+    console.log(`Imported ${saved.length} labels from ${LABELS_FILE}`);
+  }
+
+  const backfilled = backfillGroundTruthDocTypes();
+  if (backfilled) console.log(`Backfilled groundTruth_docType on ${backfilled} eval_runs rows`);
+
+  const report = scoreEvalRuns(filters, PRICE_TOLERANCE != null ? { priceTolerance: PRICE_TOLERANCE } : {});
+
+  if (report.length === 0) {
+    console.log("No eval_runs rows match the filters.");
+    return;
+  }
+
+  for (const r of report) {
+    console.log(`\n=== ${r.provider} / ${r.model}${r.prompt_version ? ` / prompt ${r.prompt_version}` : ""} ===`);
+    console.log(`runs ${r.runs} | scored ${r.scored} | unlabeled ${r.unlabeled} | failed ${r.failed}`);
+    console.log(`docType accuracy   ${pct(r.docTypeAccuracy)}`);
+    console.log(`field accuracy     ${pct(r.fieldAccuracy)}`);
+    console.log(`document accuracy  ${pct(r.documentAccuracy)}  (all fields correct)`);
+
+    console.log("\nPer field:");
+    for (const [field, f] of Object.entries(r.fields)) {
+      console.log(`  ${field.padEnd(18)} ${pct(f.accuracy)}  (${f.correct}/${f.total})`);
+    }
+
+    console.log("\nPer document:");
+    for (const d of r.documents) {
+      const wrong = Object.entries(d.fields)
+        .filter(([, f]) => !f.correct)
+        .map(([k]) => k);
+      console.log(
+        `  #${String(d.run_id).padEnd(5)} ${String(d.source_file).padEnd(24)} ${pct(d.accuracy)}` +
+          (wrong.length ? `  wrong: ${wrong.join(", ")}` : "")
+      );
+    }
+  }
+}
+
+main();
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  fieldConfidences,
+  locateWords,
+  reviewRecord,
+  reviewUncheckedRecord,
+  summarizeConfidence,
+} from "../lib/confidence.js";
+
+const TEXT = "Hotel Seehof\nTotal EUR 412,30";
+const WORDS = [
+  { text: "Hotel", confidence: 96 },
+  { text: "Seehof", confidence: 90 },
+  { text: "Total", confidence: 95 },
+  { text: "EUR", confidence: 93 },
+  { text: "412,30", confidence: 41 },
+];
+
+function hotel() {
+  return {
+    type: "hotel",
+    hotelName: "Seehof",
+    totalPrice: 412.3,
+    guestName: "ANNA BERG",
+    grounding: {
+      hotelName: { grounded: true, offset: 6, length: 6 },
+      totalPrice: { grounded: true, offset: 23, length: 6 },
+      guestName: { grounded: false },
+    },
+  };
+}
+
+test("fieldConfidences: OCR confidence of the words a value was found in, less when ungrounded", () => {
+  const located = locateWords(TEXT, WORDS);
+  // the page mean is 0.83
+  assert.deepEqual(fieldConfidences(hotel(), located), { hotelName: 0.9, totalPrice: 0.41, guestName: 0.25 });
+});
+
+test("fieldConfidences: text without OCR counts as legible", () => {
+  assert.deepEqual(fieldConfidences(hotel(), null), { hotelName: 1, totalPrice: 1, guestName: 0.3 });
+});
+
+test("reviewRecord: fields under the threshold, or a failed consistency check, need review", () => {
+  const located = locateWords(TEXT, WORDS);
+  const record = reviewRecord(hotel(), located, 0.5);
+  assert.deepEqual([record.lowConfidenceFields, record.needsReview], [["totalPrice", "guestName"], true]);
+
+  const clean = { ...hotel(), grounding: { hotelName: hotel().grounding.hotelName } };
+  assert.equal(reviewRecord(clean, null, 0.5).needsReview, false);
+  clean.consistency = { issues: [{ check: "vat" }] };
+  assert.equal(reviewRecord(clean, null, 0.5).needsReview, true);
+});
+
+test("reviewUncheckedRecord: a vision-only record has no confidence and always needs review", () => {
+  const record = reviewUncheckedRecord({ type: "hotel", hotelName: "Seehof", grounding: {} });
+  assert.deepEqual(
+    { confidence: record.confidence, lowConfidenceFields: record.lowConfidenceFields, needsReview: record.needsReview },
+    { confidence: null, lowConfidenceFields: [], needsReview: true }
+  );
+  assert.deepEqual(summarizeConfidence(record), { min_confidence: null, needs_review: true });
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  checkConsistency,
+  checkItemsSum,
+  checkNightlyRate,
+  checkNights,
+  checkVat,
+  summarizeConsistency,
+} from "../lib/consistency.js";
+import { getSchema } from "../lib/schemas/index.js";
+
+const item = (kind, amount) => ({ kind, description: kind, amount });
+
+// A correct German hotel invoice: 3 nights at 110, city tax 5% (VAT exempt),
+// breakfast, a loyalty discount; 7% VAT included in the room price
+function invoice(overrides = {}) {
+  return {
+    checkInDate: "2024-02-27",
+    checkOutDate: "2024-03-01",
+    nights: 3,
+    nightlyRate: 110,
+    vatRate: 7,
+    vatAmount: 21.59,
+    totalPrice: 353.5,
+    priceItems: [
+      item("room", 110),
+      item("room", 110),
+      item("room", 110),
+      item("city_tax", 16.5),
+      item("extra", 27),
+      item("discount", -20),
+    ],
+    ...overrides,
+  };
+}
+
+test("checkConsistency: a correct invoice passes every hotel check", () => {
+  assert.deepEqual(checkConsistency(getSchema("hotel"), invoice()), {
+    checked: ["items_sum", "nights", "nightly_rate", "vat"],
+    issues: [],
+  });
+});
+
+test("checkConsistency: a misread total fails the sum and the VAT bound", () => {
+  const { issues } = checkConsistency(getSchema("hotel"), invoice({ totalPrice: 253.5 }));
+  assert.deepEqual(issues.map((i) => i.check), ["items_sum", "vat"]);
+  assert.equal(issues[0].message, "priceItems add up to 353.50, totalPrice is 253.50");
+  assert.deepEqual(issues[0].paths, ["priceItems", "totalPrice"]);
+
+  const vat = checkConsistency(getSchema("hotel"), invoice({ totalPrice: 153.5, priceItems: [] })).issues;
+  assert.deepEqual(vat.map((i) => i.check), ["vat"]);
+});
+
+test("checkConsistency: only the checks whose fields are there run", () => {
+  const hotel = { checkInDate: "2024-02-27", checkOutDate: "2024-03-01", totalPrice: 353.5, priceItems: [] };
+  assert.deepEqual(checkConsistency(getSchema("hotel"), hotel), { checked: [], issues: [] });
+  assert.deepEqual(checkConsistency(getSchema("taxi"), { totalPrice: 12 }), { checked: [], issues: [] });
+});
+
+test("checkItemsSum: discounts count negative; rounding per line is tolerated", () => {
+  const fare = { priceItems: [item("base_fare", 199.99), item("tax", 43.21), item("fee", 9.9), item("discount", -25)] };
+  assert.equal(checkItemsSum({ ...fare, totalPrice: 228.1 }, "priceItems", "totalPrice").ok, true);
+  assert.equal(checkItemsSum({ ...fare, totalPrice: 228.14 }, "priceItems", "totalPrice").ok, true);
+  // the discount read as a charge
+  assert.equal(checkItemsSum({ ...fare, totalPrice: 278.1 }, "priceItems", "totalPrice").ok, false);
+});
+
+test("checkItemsSum: the tolerance grows to 0.5% on large totals", () => {
+  const items = { priceItems: [item("room", 4000)] };
+  assert.equal(checkItemsSum({ ...items, totalPrice: 4019 }, "priceItems", "totalPrice").ok, true);
+  assert.equal(checkItemsSum({ ...items, totalPrice: 4021 }, "priceItems", "totalPrice").ok, false);
+});
+
+test("checkNights: counts calendar nights, across month ends and leap days", () => {
+  const stay = (nights, checkInDate, checkOutDate) =>
+    checkNights({ nights, checkInDate, checkOutDate }, "nights", "checkInDate", "checkOutDate");
+  assert.equal(stay(3, "2024-02-27", "2024-03-01").ok, true);
+  assert.equal(stay(2, "2023-02-27", "2023-03-01").ok, true);
+  assert.equal(stay(1, "2024-03-30", "2024-03-31").ok, true);
+  assert.equal(stay(3, "2024-03-12T14:00", "2024-03-15T11:00").ok, true);
+  assert.equal(stay(4, "2024-03-12", "2024-03-15").message, "nights is 4, checkInDate to checkOutDate is 3 night(s)");
+  assert.equal(stay(2, "2024-03-12", "15.03.2024"), null);
+});
+
+test("checkNightlyRate: only room items count, one line per night or one for the stay", () => {
+  const rate = (o) => checkNightlyRate(o, "nightlyRate", "nights", "priceItems", "room");
+  assert.equal(rate(invoice()).ok, true);
+  assert.equal(rate(invoice({ priceItems: [item("room", 330), item("extra", 27)] })).ok, true);
+  assert.equal(rate(invoice({ nightlyRate: 120 })).message, "nightlyRate x nights is 360.00, the room items add up to 330.00");
+  assert.equal(rate(invoice({ priceItems: [item("city_tax", 16.5)] })), null);
+});
+
+test("checkVat: VAT is at most rate/(100+rate) of the gross total", () => {
+  const vat = (vatRate, vatAmount, totalPrice) =>
+    checkVat({ vatRate, vatAmount, totalPrice }, "vatRate", "vatAmount", "totalPrice");
+  assert.equal(vat(19, 19, 119).ok, true);
+  // exempt city tax: less VAT than the whole total would allow
+  assert.equal(vat(7, 21.59, 353.5).ok, true);
+  // VAT read off a net amount
+  assert.equal(vat(19, 22.61, 119).ok, false);
+  assert.equal(vat(19, null, 119), null);
+});
+
+test("summarizeConsistency: failed checks per record for eval_runs", () => {
+  const failed = { consistency: { issues: [{ check: "items_sum" }, { check: "vat" }] } };
+  const clean = { consistency: { issues: [] } };
+  assert.deepEqual(summarizeConsistency(failed), { consistency_issues: '["items_sum","vat"]' });
+  assert.deepEqual(summarizeConsistency([clean, failed]), {
+    consistency_issues: '["records[1].items_sum","records[1].vat"]',
+  });
+});
@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { contentHash, documentDuplicates, findDuplicates, reviewDocument, storeDocuments } from "../lib/documents.js";
+import { getRunLabels } from "../lib/groundTruth.js";
+import { ensureRequiredKeys } from "../lib/schemas/index.js";
+
+// In-memory DB (npm test); each test uses its own references, names and
+// dates so earlier tests' documents never match
+
+function hotel(fields) {
+  return {
+    type: "hotel",
+    guestName: null,
+    receiptNumber: null,
+    checkInDate: null,
+    currency: "EUR",
+    totalPrice: null,
+    ...fields,
+  };
+}
+
+function upload(file, ...records) {
+  return storeDocuments({ source_file: file, content_hash: contentHash(file), records });
+}
+
+const kinds = (duplicates) => duplicates.map((d) => [d.id, d.match, d.fields]);
+
+test("the same file uploaded again is an exact duplicate, whatever was read from it", () => {
+  const record = hotel({ hotelName: "Seehof" });
+  const [first] = upload("invoice-100.pdf", record);
+  const [again] = upload("invoice-100.pdf", hotel({ hotelName: "Seehof", guestName: "ANNA BERG" }));
+
+  assert.deepEqual(first.duplicates, []);
+  assert.deepEqual(kinds(again.duplicates), [[first.id, "exact", []]]);
+});
+
+test("the same booking reference, formatted differently, for the same traveller", () => {
+  const [pdf] = upload("confirmation.pdf", hotel({ guestName: "Mr. Ben Ortiz", receiptNumber: "ab 200" }));
+  const [photo] = upload("photo.jpg", hotel({ guestName: "BEN ORTIZ", receiptNumber: "AB200" }));
+
+  assert.deepEqual(kinds(photo.duplicates), [[pdf.id, "reference", ["receiptNumber"]]]);
+});
+
+test("the same booking reference for another traveller is not a duplicate", () => {
+  // one booking, two passengers: two tickets with the same booking reference
+  const flight = (passengerName, ticketNumber) => ({
+    type: "flight",
+    passengerName,
+    bookingReference: "PNR300",
+    ticketNumber,
+  });
+  upload("ticket-1.pdf", flight("CARA DIAZ", "220-1"));
+  const [other] = upload("ticket-2.pdf", flight("DAN DIAZ", "220-2"));
+
+  assert.deepEqual(other.duplicates, []);
+});
+
+test("the same traveller, date, amount and currency without a common reference", () => {
+  const [scan] = upload("scan.png", hotel({ guestName: "Eva Novak", checkInDate: "2024-04-04", totalPrice: 412.3 }));
+  const [pdf] = upload(
+    "folio.pdf",
+    hotel({ guestName: "EVA NOVAK", checkInDate: "2024-04-04", totalPrice: 412.3, receiptNumber: "F-9" })
+  );
+
+  assert.deepEqual(kinds(pdf.duplicates), [[scan.id, "details", ["guestName", "checkInDate", "totalPrice"]]]);
+});
+
+test("details must all agree: another currency, amount or traveller is no match", () => {
+  const base = { guestName: "FINN LUND", checkInDate: "2024-05-05", totalPrice: 120 };
+  upload("lund.pdf", hotel(base));
+
+  const changes = [{ currency: "USD" }, { totalPrice: 121 }, { guestName: "FINN LARSEN" }, { checkInDate: "2024-05-06" }];
+  for (const change of changes) {
+    const [doc] = upload(`lund-${JSON.stringify(change)}.pdf`, hotel({ ...base, ...change }));
+    assert.deepEqual(doc.duplicates, [], JSON.stringify(change));
+  }
+});
+
+test("a document matching in several ways is reported once, as the strongest kind", () => {
+  const record = hotel({ guestName: "GIA ROSSI", receiptNumber: "G-1", checkInDate: "2024-06-06", totalPrice: 80 });
+  const [first] = upload("rossi.pdf", record);
+  const [again] = upload("rossi.pdf", record);
+
+  assert.deepEqual(kinds(again.duplicates), [[first.id, "exact", []]]);
+});
+
+test("records of one upload are not duplicates of each other", () => {
+  const record = hotel({ guestName: "HUGO KLEIN", receiptNumber: "H-1" });
+  const docs = upload("two-rooms.pdf", record, { ...record });
+  assert.deepEqual(docs.map((d) => d.duplicates), [[], []]);
+});
+
+test("documentDuplicates: finds later uploads too, null for an unknown id", () => {
+  const record = hotel({ guestName: "IDA MOREAU", receiptNumber: "I-7" });
+  const [first] = upload("moreau.pdf", record);
+  const [later] = upload("moreau-copy.jpg", record);
+
+  const { document, duplicates } = documentDuplicates(first.id);
+  assert.equal(document.id, first.id);
+  assert.deepEqual(kinds(duplicates), [[later.id, "reference", ["receiptNumber"]]]);
+  assert.equal(documentDuplicates(999999), null);
+});
+
+test("findDuplicates: unknown types have none", () => {
+  assert.deepEqual(findDuplicates({ type: "cruise" }, { content_hash: contentHash("invoice-100.pdf") }), []);
+});
+
+// ---------- Review ----------
+
+function extracted(evalRunId, fields) {
+  const [doc] = storeDocuments({
+    source_file: `run-${evalRunId}.pdf`,
+    content_hash: contentHash(`run-${evalRunId}.pdf`),
+    eval_run_id: evalRunId,
+    records: [ensureRequiredKeys(hotel({ needsReview: true, ...fields }))],
+  });
+  return doc.id;
+}
+
+const labelledPrices = (evalRunId) => getRunLabels(evalRunId).map((l) => l.fields.totalPrice);
+
+test("reviewDocument: a correction becomes the run's label, a rejection removes it", () => {
+  const id = extracted(9001, { guestName: "JON EKBERG", totalPrice: 90 });
+
+  const corrected = reviewDocument(id, { fields: { totalPrice: 99 }, reviewer: "kim" });
+  assert.deepEqual(corrected.label, { eval_run_id: 9001, record_index: 0 });
+  assert.equal(corrected.document.status, "corrected");
+  assert.equal(corrected.document.data.needsReview, false);
+  assert.deepEqual(labelledPrices(9001), [99]);
+
+  const rejected = reviewDocument(id, { status: "rejected", reviewer: "lea" });
+  assert.equal(rejected.label, null);
+  assert.deepEqual(getRunLabels(9001), []);
+});
+
+test("reviewDocument: back to pending removes the label and leaves needsReview alone", () => {
+  const id = extracted(9002, { guestName: "KAI WEBER", totalPrice: 50 });
+
+  const pending = reviewDocument(id, { status: "pending", reviewer: "kim" });
+  assert.equal(pending.label, null);
+  assert.equal(pending.document.data.needsReview, true);
+
+  reviewDocument(id, { reviewer: "kim" });
+  assert.deepEqual(labelledPrices(9002), [50]);
+  reviewDocument(id, { status: "pending", reviewer: "kim" });
+  assert.deepEqual(getRunLabels(9002), []);
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { addReportingAmount, findRate, parseFxCsv, saveFxRates } from "../lib/fx.js";
+import { getSchema } from "../lib/schemas/index.js";
+
+// eurofxref-hist.csv: newest day first, "N/A" for currencies not quoted that day, trailing comma
+const WIDE = `Date,USD,JPY,GBP,CYP,
+2024-03-15,1.0890,161.69,0.85440,N/A,
+2024-03-14,1.0925,161.66,0.85420,N/A,
+`;
+
+// ECB data portal export: one row per rate
+const LONG = `KEY,FREQ,CURRENCY,CURRENCY_DENOM,EXR_TYPE,EXR_SUFFIX,TIME_PERIOD,OBS_VALUE
+EXR.D.CHF.EUR.SP00.A,D,CHF,EUR,SP00,A,2024-03-15,0.9632
+EXR.D.CHF.EUR.SP00.A,D,CHF,EUR,SP00,A,2024-03-14,
+EXR.D.TRY.EUR.SP00.A,D,TRY,EUR,SP00,A,2024-02-01,34.9
+`;
+
+saveFxRates(parseFxCsv(WIDE));
+saveFxRates(parseFxCsv(LONG));
+
+test("parseFxCsv: the wide layout, skipping N/A cells", () => {
+  assert.deepEqual(parseFxCsv(WIDE), [
+    { date: "2024-03-15", currency: "USD", rate: 1.089 },
+    { date: "2024-03-15", currency: "JPY", rate: 161.69 },
+    { date: "2024-03-15", currency: "GBP", rate: 0.8544 },
+    { date: "2024-03-14", currency: "USD", rate: 1.0925 },
+    { date: "2024-03-14", currency: "JPY", rate: 161.66 },
+    { date: "2024-03-14", currency: "GBP", rate: 0.8542 },
+  ]);
+});
+
+test("parseFxCsv: the long layout, skipping empty observations", () => {
+  assert.deepEqual(parseFxCsv(LONG), [
+    { date: "2024-03-15", currency: "CHF", rate: 0.9632 },
+    { date: "2024-02-01", currency: "TRY", rate: 34.9 },
+  ]);
+});
+
+test("parseFxCsv: rejects other CSV files", () => {
+  assert.throws(() => parseFxCsv("day,usd\n2024-03-15,1.08\n"), /Unrecognized FX CSV/);
+});
+
+test("findRate: to and from EUR", () => {
+  assert.deepEqual(findRate("EUR", "USD", "2024-03-15"), { rate: 1.089, rateDate: "2024-03-15" });
+  assert.deepEqual(findRate("USD", "EUR", "2024-03-14"), { rate: 1 / 1.0925, rateDate: "2024-03-14" });
+  assert.deepEqual(findRate("JPY", "JPY", "1999-01-01"), { rate: 1, rateDate: "1999-01-01" });
+});
+
+test("findRate: two other currencies cross through EUR", () => {
+  const { rate, rateDate } = findRate("GBP", "USD", "2024-03-15");
+  assert.equal(rate, 1.089 / 0.8544);
+  assert.equal(rateDate, "2024-03-15");
+});
+
+test("findRate: a weekend uses the last fixing before it", () => {
+  // 2024-03-16/17 is a weekend: Friday's fixings apply
+  assert.deepEqual(findRate("CHF", "USD", "2024-03-17"), { rate: 1.089 / 0.9632, rateDate: "2024-03-15" });
+});
+
+test("findRate: no rate when the last fixing is older than FX_MAX_AGE_DAYS (7)", () => {
+  assert.notEqual(findRate("USD", "EUR", "2024-03-22"), null);
+  assert.equal(findRate("USD", "EUR", "2024-03-23"), null);
+  assert.equal(findRate("TRY", "EUR", "2024-03-15"), null);
+  assert.equal(findRate("USD", "EUR", "2024-03-13"), null);
+});
+
+test("addReportingAmount: converts at the transaction date", () => {
+  const hotel = { checkInDate: "2024-03-15", currency: "USD", totalPrice: 217.8 };
+  addReportingAmount(getSchema("hotel"), hotel, "EUR");
+  assert.deepEqual(hotel, {
+    checkInDate: "2024-03-15",
+    currency: "USD",
+    totalPrice: 217.8,
+    reportingCurrency: "EUR",
+    reportingAmount: 200,
+    fxRate: 0.918274,
+    fxRateDate: "2024-03-15",
+  });
+});
+
+test("addReportingAmount: null amount when a rate, the date or the currency is missing", () => {
+  const schema = getSchema("hotel");
+  const missing = [
+    { checkInDate: "2024-03-15", currency: "SEK", totalPrice: 100 },
+    { checkInDate: null, currency: "USD", totalPrice: 100 },
+    { checkInDate: "2024-03-15", currency: null, totalPrice: 100 },
+    { checkInDate: "2024-03-15", currency: "USD", totalPrice: null },
+  ];
+  for (const record of missing) {
+    const { reportingAmount, fxRate, fxRateDate } = addReportingAmount(schema, { ...record }, "EUR");
+    assert.deepEqual({ reportingAmount, fxRate, fxRateDate }, { reportingAmount: null, fxRate: null, fxRateDate: null });
+  }
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkGrounding, summarizeGrounding } from "../lib/grounding.js";
+import { getSchema } from "../lib/schemas/index.js";
+
+// Where in text each value was found (null: not grounded)
+function groundedAt(type, record, text) {
+  const out = {};
+  for (const [path, g] of Object.entries(checkGrounding(getSchema(type), record, text))) {
+    out[path] = g.grounded ? g.offset : null;
+  }
+  return out;
+}
+
+// Offset of the first occurrence of s
+function at(text, s) {
+  const i = text.indexOf(s);
+  assert.notEqual(i, -1, `"${s}" is not in the text`);
+  return i;
+}
+
+const ITINERARY = `ELECTRONIC TICKET RECEIPT
+Passenger: SMITH/JOHN MR          Booking ref: QX7-L2P
+LH 400  FRA-JFK  10:35 / 13:20  Sat 18 DEC
+LH 401  JFK-FRA  17:45          Thu 23 DEC
+Total  EUR 1.234,56`;
+
+test("checkGrounding: an itinerary, field by field", () => {
+  const flight = {
+    passengerName: "JOHN SMITH",
+    bookingReference: "QX7L2P",
+    tripType: "round_trip",
+    overallFrom: "FRANKFURT",
+    overallTo: "NEW YORK",
+    departureDate: "2010-12-18",
+    returnDate: "2010-12-23",
+    currency: "EUR",
+    totalPrice: 1234.56,
+    segments: [{ flightNumber: "LH400", departureDateTime: "2010-12-18T10:35", arrivalDateTime: "2010-12-18T14:20" }],
+  };
+
+  assert.deepEqual(groundedAt("flight", flight, ITINERARY), {
+    passengerName: at(ITINERARY, "JOHN"),
+    bookingReference: at(ITINERARY, "QX7-L2P"),
+    overallFrom: at(ITINERARY, "FRA"),
+    overallTo: at(ITINERARY, "JFK"),
+    departureDate: at(ITINERARY, "18 DEC"),
+    returnDate: at(ITINERARY, "23 DEC"),
+    currency: at(ITINERARY, "EUR"),
+    totalPrice: at(ITINERARY, "1.234,56"),
+    "segments[0].flightNumber": at(ITINERARY, "LH 400"),
+    "segments[0].departureDateTime": at(ITINERARY, "18 DEC"),
+    // 14:20 is printed nowhere
+    "segments[0].arrivalDateTime": null,
+  });
+});
+
+test("checkGrounding: invented values are not grounded", () => {
+  const hotel = { guestName: "JANE DOE", hotelCity: "LYON", checkInDate: "2010-12-19", totalPrice: 1234.5 };
+  assert.deepEqual(groundedAt("hotel", hotel, ITINERARY), {
+    guestName: null,
+    hotelCity: null,
+    checkInDate: null,
+    totalPrice: null,
+  });
+});
+
+test("checkGrounding: a date without a year is only used when no year follows", () => {
+  const text = "Check-in 18 DEC 2009";
+  assert.deepEqual(groundedAt("hotel", { checkInDate: "2010-12-18" }, text), { checkInDate: null });
+  assert.deepEqual(groundedAt("hotel", { checkInDate: "2009-12-18" }, text), { checkInDate: at(text, "18") });
+});
+
+test("checkGrounding: a number just before the date does not hide it", () => {
+  // the first candidate is "12 Arrival 12" / "4471 Arrival 12", which is no date
+  for (const text of ["Room 12 Arrival 12 Dec 2023", "Invoice 4471 Arrival 12 Dec 2023"]) {
+    assert.deepEqual(groundedAt("hotel", { checkInDate: "2023-12-12" }, text), { checkInDate: at(text, "12 Dec 2023") });
+  }
+});
+
+test("checkGrounding: name words in any order and without accents, but close together", () => {
+  const text = "Gast: MULLER JOSE";
+  assert.deepEqual(groundedAt("hotel", { guestName: "José Müller" }, text), { guestName: at(text, "JOSE") });
+
+  const far = `Guest: JOHN${" ".repeat(200)}Room service: SMITH`;
+  assert.deepEqual(groundedAt("hotel", { guestName: "JOHN SMITH" }, far), { guestName: null });
+});
+
+test("checkGrounding: currencies by code, symbol or name", () => {
+  const euros = "Zimmer 2 Nächte 180,00 €";
+  assert.deepEqual(groundedAt("hotel", { currency: "EUR" }, euros), { currency: at(euros, "€") });
+
+  const francs = "Total: 42 swiss francs";
+  assert.deepEqual(groundedAt("hotel", { currency: "CHF" }, francs), { currency: at(francs, "swiss francs") });
+  assert.deepEqual(groundedAt("hotel", { currency: "CHF" }, "Total: 42 €"), { currency: null });
+});
+
+test("checkGrounding: enums, inferred and null values are skipped", () => {
+  const rail = { travelClass: "first", passengerName: null, totalPrice: null };
+  assert.deepEqual(checkGrounding(getSchema("rail"), rail, "1. Klasse"), {});
+  assert.deepEqual(checkGrounding(getSchema("flight"), { tripType: "one_way" }, ""), {});
+});
+
+test("summarizeGrounding: counts grounded fields and lists the others by record", () => {
+  const records = [
+    { grounding: { guestName: { grounded: true }, totalPrice: { grounded: false } } },
+    { grounding: { checkInDate: { grounded: false } } },
+  ];
+  assert.deepEqual(summarizeGrounding(records), {
+    grounded_fields: 1,
+    ungrounded_fields: JSON.stringify(["records[0].totalPrice", "records[1].checkInDate"]),
+  });
+  assert.deepEqual(summarizeGrounding(records[0]), { grounded_fields: 1, ungrounded_fields: '["totalPrice"]' });
+});
+
+test("checkGrounding: discounts are found with or without their sign", () => {
+  const text = "Zimmer 2 Nächte 180,00\nRabatt 20,00\nSumme 160,00";
+  const hotel = { priceItems: [{ description: "Rabatt", amount: -20 }], totalPrice: 160 };
+  assert.deepEqual(groundedAt("hotel", hotel, text), {
+    totalPrice: at(text, "160,00"),
+    "priceItems[0].description": at(text, "Rabatt"),
+    "priceItems[0].amount": at(text, "20,00"),
+  });
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  normalizeCity,
+  normalizeCurrency,
+  normalizeDate,
+  normalizeDateTime,
+  normalizeRecord,
+  parseAmount,
+  titleCase,
+} from "../lib/normalize.js";
+import { ensureRequiredKeys, getSchema } from "../lib/schemas/index.js";
+
+// ---------- Dates ----------
+
+test("normalizeDate: ambiguous numeric dates are day first unless DATE_ORDER=MDY", () => {
+  assert.equal(normalizeDate("03/04/2024"), "2024-04-03");
+  assert.equal(normalizeDate("03.04.24"), "2024-04-03");
+});
+
+test("normalizeDate: a part above 12 settles the order", () => {
+  assert.equal(normalizeDate("12/18/2010"), "2010-12-18");
+  assert.equal(normalizeDate("18/12/2010"), "2010-12-18");
+});
+
+test("normalizeDate: two-digit years below 70 are 20xx", () => {
+  assert.equal(normalizeDate("18.12.69"), "2069-12-18");
+  assert.equal(normalizeDate("18.12.70"), "1970-12-18");
+});
+
+test("normalizeDate: month names in the supported languages, with weekdays and ordinals", () => {
+  assert.equal(normalizeDate("Monday, December 18th, 2010"), "2010-12-18");
+  assert.equal(normalizeDate("Sat 18DEC10"), "2010-12-18");
+  assert.equal(normalizeDate("18. März 2024"), "2024-03-18");
+  assert.equal(normalizeDate("1 févr. 2024"), "2024-02-01");
+  assert.equal(normalizeDate("12 Ağustos 2023"), "2023-08-12");
+});
+
+test("normalizeDate: leaves what it cannot read for validation to report", () => {
+  assert.equal(normalizeDate("31/02/2024"), "31/02/2024");
+  assert.equal(normalizeDate("18 December"), "18 December");
+  assert.equal(normalizeDate(""), "");
+  assert.equal(normalizeDate(null), null);
+});
+
+test("normalizeDateTime: 12-hour clock, and no time when none is printed", () => {
+  assert.equal(normalizeDateTime("18 Dec 2010 2:35 PM"), "2010-12-18T14:35");
+  assert.equal(normalizeDateTime("18.12.2010 12:05 a.m."), "2010-12-18T00:05");
+  assert.equal(normalizeDateTime("18.12.2010 12:05 pm"), "2010-12-18T12:05");
+  assert.equal(normalizeDateTime("2010-12-18T09:10:00"), "2010-12-18T09:10");
+  assert.equal(normalizeDateTime("18 Dec 2010"), "2010-12-18");
+});
+
+// ---------- Amounts ----------
+
+test("parseAmount: the last separator is the decimal one when both appear", () => {
+  assert.equal(parseAmount("1.234,56"), 1234.56);
+  assert.equal(parseAmount("1,234.56"), 1234.56);
+  assert.equal(parseAmount("1 234,56"), 1234.56);
+  assert.equal(parseAmount("1'234.50"), 1234.5);
+});
+
+test("parseAmount: a lone separator before exactly three digits groups thousands", () => {
+  assert.equal(parseAmount("1,234"), 1234);
+  assert.equal(parseAmount("1.234"), 1234);
+  assert.equal(parseAmount("12,50"), 12.5);
+  assert.equal(parseAmount("1.2345"), 1.2345);
+});
+
+test("parseAmount: negatives in parentheses or with a leading or trailing minus", () => {
+  assert.equal(parseAmount("(45.00)"), -45);
+  assert.equal(parseAmount("12,50-"), -12.5);
+  assert.equal(parseAmount("-3,00 €"), -3);
+});
+
+test("parseAmount: numbers pass through, text without digits is left alone", () => {
+  assert.equal(parseAmount(302.89), 302.89);
+  assert.equal(parseAmount("n/a"), "n/a");
+});
+
+// ---------- Currencies ----------
+
+test("normalizeCurrency: longer symbols win over $", () => {
+  assert.equal(normalizeCurrency("US$"), "USD");
+  assert.equal(normalizeCurrency("C$"), "CAD");
+  assert.equal(normalizeCurrency("R$"), "BRL");
+  assert.equal(normalizeCurrency("$"), "USD");
+});
+
+test("normalizeCurrency: names, lowercase codes and codes inside text", () => {
+  assert.equal(normalizeCurrency("eur"), "EUR");
+  assert.equal(normalizeCurrency("Swiss francs"), "CHF");
+  assert.equal(normalizeCurrency("TL"), "TRY");
+  assert.equal(normalizeCurrency("Total in GBP"), "GBP");
+  assert.equal(normalizeCurrency("coins"), "coins");
+});
+
+// ---------- Cities + hotel names ----------
+
+test("normalizeCity: airport codes, codes in parentheses and country suffixes", () => {
+  assert.equal(normalizeCity("yyz"), "TORONTO");
+  assert.equal(normalizeCity("Paris (CDG)"), "PARIS");
+  assert.equal(normalizeCity("(CDG)"), "PARIS");
+  assert.equal(normalizeCity("Geneva, Switzerland"), "GENEVA");
+});
+
+test("normalizeCity: a three-letter name that is also a city code reads as the code", () => {
+  assert.equal(normalizeCity("Rio"), "RIO DE JANEIRO");
+  assert.equal(normalizeCity("Bar"), "BAR");
+});
+
+test("titleCase: hotel names, including after hyphens and ampersands", () => {
+  assert.equal(titleCase("  HOTEL  DE LA PAIX "), "Hotel De La Paix");
+  assert.equal(titleCase("hotel saint-germain & spa"), "Hotel Saint-Germain & Spa");
+});
+
+// ---------- Records ----------
+
+test("normalizeRecord: records each change, nothing for values already clean", () => {
+  const hotel = ensureRequiredKeys({
+    type: "hotel",
+    hotelName: "GRAND HOTEL",
+    hotelCity: "PARIS",
+    checkInDate: "12/03/2024",
+    currency: "EUR",
+    totalPrice: "1.234,56",
+  });
+  const corrections = normalizeRecord(getSchema("hotel"), hotel);
+
+  assert.deepEqual(corrections, [
+    { path: "hotelName", from: "GRAND HOTEL", to: "Grand Hotel", rule: "title_case" },
+    { path: "checkInDate", from: "12/03/2024", to: "2024-03-12", rule: "date" },
+    { path: "totalPrice", from: "1.234,56", to: 1234.56, rule: "amount" },
+  ]);
+});
+
+test("normalizeRecord: currency from the amount, segment cities from their airport codes", () => {
+  const flight = ensureRequiredKeys({
+    type: "flight",
+    totalPrice: "€ 302,89",
+    segments: [{ fromCode: "fra", fromCity: null, toCode: "YYZ", toCity: "Toronto (YYZ)" }],
+  });
+  const rules = normalizeRecord(getSchema("flight"), flight).map((c) => `${c.path}:${c.rule}`);
+
+  assert.equal(flight.currency, "EUR");
+  assert.equal(flight.segments[0].fromCity, "FRANKFURT");
+  assert.deepEqual(rules, [
+    "totalPrice:amount",
+    "currency:currency_from_amount",
+    "segments[0].fromCode:iata",
+    "segments[0].fromCity:city_from_code",
+    "segments[0].toCity:city",
+  ]);
+});
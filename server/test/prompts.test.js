@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  getPromptTemplate,
+  hashPrompt,
+  listPromptTemplates,
+  parseTemplate,
+  renderTemplate,
+  savePromptTemplate,
+} from "../lib/prompts.js";
+
+// In-memory DB (npm test); prompts/ is read from the server directory
+
+const TEMPLATE = `=== description ===
+Shorter rules
+
+=== body ===
+Kinds: {{documentKinds}}
+{{output}}
+{{schemas}}
+{{rules}}
+{{document}}
+
+=== output single ===
+One JSON object:
+
+=== output multi ===
+{ "records": [...] }
+
+=== record single ===
+One of {{types}}.
+
+=== record multi ===
+One record per document.
+
+=== rules ===
+Dates as YYYY-MM-DD.
+Amounts as numbers,
+  without currency symbols.
+Unknown values are null.
+`;
+
+test("parseTemplate: sections, with indented lines continuing the rule above", () => {
+  const t = parseTemplate(TEMPLATE.replace(/\n/g, "\r\n"));
+  assert.equal(t.description, "Shorter rules");
+  assert.deepEqual(t.output, { single: "One JSON object:", multi: '{ "records": [...] }' });
+  assert.deepEqual(t.record, { single: "One of {{types}}.", multi: "One record per document." });
+  assert.deepEqual(t.rules, [
+    "Dates as YYYY-MM-DD.",
+    "Amounts as numbers,\n  without currency symbols.",
+    "Unknown values are null.",
+  ]);
+});
+
+test("parseTemplate: missing sections and body placeholders are errors", () => {
+  assert.throws(() => parseTemplate(TEMPLATE.replace("=== rules ===", "=== notes ===")), /missing section\(s\): rules/);
+  assert.throws(
+    () => parseTemplate(TEMPLATE.replace("{{schemas}}\n{{rules}}", "")),
+    /body missing \{\{schemas\}\}, \{\{rules\}\}/
+  );
+});
+
+test("renderTemplate: one pass; values are not scanned again, unknown names stay", () => {
+  const text = renderTemplate("{{document}} / {{other}}", { document: "Total {{rules}}" });
+  assert.equal(text, "Total {{rules}} / {{other}}");
+});
+
+test("the v1 file is a valid template, and never changes", () => {
+  const v1 = getPromptTemplate("v1");
+  assert.equal(v1.source, "file");
+  assert.equal(v1.hash, hashPrompt(v1.content));
+  assert.ok(v1.rules.length > 0);
+  // v1 is the baseline runs are compared against: a new wording is a new file
+  assert.equal(v1.hash, "a0b151a5ca88e3d3");
+});
+
+test("savePromptTemplate: adds a version that is listed and read back", () => {
+  const saved = savePromptTemplate({ version: "test-short", content: TEMPLATE });
+  assert.equal(saved.source, "db");
+  assert.equal(saved.hash, hashPrompt(TEMPLATE));
+  assert.deepEqual(getPromptTemplate("test-short").rules, saved.rules);
+  assert.deepEqual(
+    listPromptTemplates().find((t) => t.version === "test-short"),
+    { version: "test-short", source: "db", hash: saved.hash, created_at: saved.created_at, description: "Shorter rules" }
+  );
+});
+
+test("savePromptTemplate: versions never change, files included", () => {
+  savePromptTemplate({ version: "test-frozen", content: TEMPLATE });
+  const changed = TEMPLATE.replace("Shorter rules", "Changed");
+  assert.throws(() => savePromptTemplate({ version: "test-frozen", content: changed }), /already exists/);
+  assert.throws(() => savePromptTemplate({ version: "v1", content: changed }), /already exists/);
+  assert.equal(getPromptTemplate("test-frozen").description, "Shorter rules");
+});
+
+test("savePromptTemplate: rejects bad version names and malformed templates", () => {
+  for (const version of ["", "../v1", "v 2", ".hidden", null]) {
+    assert.throws(() => savePromptTemplate({ version, content: TEMPLATE }), /Invalid prompt version/);
+  }
+  assert.throws(() => savePromptTemplate({ version: "test-broken", content: "=== body ===\n{{document}}" }), /missing/);
+  assert.equal(getPromptTemplate("test-broken"), null);
+  assert.equal(getPromptTemplate("../v1"), null);
+});
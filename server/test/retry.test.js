@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { completeWithFallback, isTransientError, withRetry } from "../lib/retry.js";
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+test("isTransientError: timeouts, network failures, 429 and 5xx", () => {
+  assert.equal(isTransientError(httpError(429)), true);
+  assert.equal(isTransientError(httpError(503)), true);
+  assert.equal(isTransientError(Object.assign(new Error("timed out"), { name: "TimeoutError" })), true);
+  assert.equal(isTransientError(Object.assign(new Error("socket"), { code: "ECONNRESET" })), true);
+  assert.equal(isTransientError(new TypeError("fetch failed", { cause: { code: "ENOTFOUND" } })), true);
+  assert.equal(isTransientError(new Error("wrapped", { cause: { code: "ETIMEDOUT" } })), true);
+});
+
+test("isTransientError: other 4xx and bad model output are final", () => {
+  assert.equal(isTransientError(httpError(401)), false);
+  assert.equal(isTransientError(httpError(404)), false);
+  assert.equal(isTransientError(new SyntaxError("Unexpected token")), false);
+  assert.equal(isTransientError(new TypeError("x is not a function")), false);
+  assert.equal(isTransientError(null), false);
+});
+
+test("withRetry: retries transient errors until one call succeeds", async () => {
+  const failures = [httpError(503), httpError(429)];
+  const retried = [];
+  const result = await withRetry(
+    async () => {
+      if (failures.length) throw failures.shift();
+      return "ok";
+    },
+    { retries: 2, baseDelayMs: 0, onRetry: (e, n) => retried.push([e.status, n]) }
+  );
+
+  assert.equal(result, "ok");
+  assert.deepEqual(retried, [[503, 1], [429, 2]]);
+});
+
+test("withRetry: gives up after the last retry with the last error", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls++;
+        throw httpError(500 + calls);
+      },
+      { retries: 2, baseDelayMs: 0 }
+    ),
+    { status: 503 }
+  );
+  assert.equal(calls, 3);
+});
+
+test("withRetry: a final error is thrown at once", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls++;
+        throw httpError(401);
+      },
+      { retries: 5, baseDelayMs: 0 }
+    ),
+    { status: 401 }
+  );
+  assert.equal(calls, 1);
+});
+
+// ---------- Repair and fallback ----------
+
+const CHAIN = [
+  { provider: "ollama", model: "qwen" },
+  { provider: "openai", model: "mini" },
+];
+
+// answers[model] = what each call to that model returns in turn (an Error is thrown)
+function fakeModels(answers) {
+  const calls = [];
+  const call = async (llm, prompt) => {
+    calls.push([llm.model, prompt]);
+    const answer = answers[llm.model].shift();
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return { calls, call };
+}
+
+function options(call) {
+  return {
+    call,
+    accept: (raw) => {
+      const json = JSON.parse(raw);
+      if (!json.type) throw new Error('missing "type"');
+      return json;
+    },
+    repairPrompt: (raw, error) => `fix: ${error}`,
+    repairs: 1,
+    retries: 1,
+    baseDelayMs: 0,
+  };
+}
+
+const summary = (attempts) => attempts.map((a) => [a.kind, a.model, a.retries, a.ok]);
+
+test("completeWithFallback: bad output gets a repair prompt with the error on the same model", async () => {
+  const { calls, call } = fakeModels({ qwen: ["{}", '{"type":"taxi"}'] });
+  const { result, llm, attempts } = await completeWithFallback(CHAIN, "extract", options(call));
+
+  assert.deepEqual(result, { type: "taxi" });
+  assert.deepEqual(llm, CHAIN[0]);
+  assert.deepEqual(calls, [["qwen", "extract"], ["qwen", 'fix: missing "type"']]);
+  assert.deepEqual(summary(attempts), [
+    ["initial", "qwen", 0, false],
+    ["repair", "qwen", 0, true],
+  ]);
+  assert.equal(attempts[0].error, 'missing "type"');
+});
+
+test("completeWithFallback: the next model takes over, with the original prompt, once repairs are used up", async () => {
+  const { calls, call } = fakeModels({ qwen: ["not json", "{}"], mini: [httpError(503), '{"type":"hotel"}'] });
+  const { result, llm, attempts } = await completeWithFallback(CHAIN, "extract", options(call));
+
+  assert.deepEqual([result, llm], [{ type: "hotel" }, CHAIN[1]]);
+  assert.deepEqual(calls.at(-1), ["mini", "extract"]);
+  // the 503 was retried within the fallback attempt
+  assert.deepEqual(summary(attempts), [
+    ["initial", "qwen", 0, false],
+    ["repair", "qwen", 0, false],
+    ["fallback", "mini", 1, true],
+  ]);
+});
+
+test("completeWithFallback: an unreachable model is not repaired; the last error is thrown with every attempt", async () => {
+  const { calls, call } = fakeModels({ qwen: [httpError(401)], mini: ["{}", "{}"] });
+  const error = await completeWithFallback(CHAIN, "extract", options(call)).catch((e) => e);
+
+  assert.equal(error.message, 'missing "type"');
+  assert.deepEqual(calls.map(([model]) => model), ["qwen", "mini", "mini"]);
+  assert.deepEqual(summary(error.attempts), [
+    ["initial", "qwen", 0, false],
+    ["fallback", "mini", 0, false],
+    ["repair", "mini", 0, false],
+  ]);
+  assert.deepEqual(error.attempts.map((a) => a.attempt), [1, 2, 3]);
+});
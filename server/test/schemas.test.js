@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  assertKnownType,
+  assertValidOutput,
+  ensureRequiredKeys,
+  getSchema,
+  promptSchemaBlock,
+  SchemaValidationError,
+} from "../lib/schemas/index.js";
+import { validateRecord } from "../lib/schemas/validate.js";
+
+function taxi(fields = {}) {
+  return ensureRequiredKeys({ type: "taxi", ...fields });
+}
+
+test("ensureRequiredKeys: fills missing keys with null, leaves optional ones out", () => {
+  const flight = ensureRequiredKeys({ type: "flight", passengerName: "JOHN SMITH" });
+  assert.equal(flight.passengerName, "JOHN SMITH");
+  assert.equal(flight.totalPrice, null);
+  assert.equal("segments" in flight, false);
+  assert.equal("layovers" in flight, false);
+});
+
+test("ensureRequiredKeys: fills the keys of array items too", () => {
+  const flight = ensureRequiredKeys({ type: "flight", segments: [{ carrier: "LH" }] });
+  assert.equal(flight.segments[0].carrier, "LH");
+  assert.equal(flight.segments[0].toCode, null);
+});
+
+test("validateRecord: an all-null record is valid", () => {
+  assert.deepEqual(validateRecord(getSchema("taxi"), taxi()), []);
+});
+
+test("validateRecord: checks types, formats and bounds", () => {
+  const errors = validateRecord(
+    getSchema("taxi"),
+    taxi({ tripDate: "2024-02-30", currency: "eur", totalPrice: -5, riderName: 42 })
+  );
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    ["riderName", "tripDate", "currency", "totalPrice"]
+  );
+  assert.match(errors.find((e) => e.path === "tripDate").message, /YYYY-MM-DD/);
+});
+
+test("validateRecord: date-times accept a time, dates do not", () => {
+  const flight = (seg) => ensureRequiredKeys({ type: "flight", departureDate: "2024-03-12", segments: [seg] });
+  assert.deepEqual(validateRecord(getSchema("flight"), flight({ departureDateTime: "2024-03-12T07:45" })), []);
+
+  const errors = validateRecord(getSchema("flight"), { ...flight({}), departureDate: "2024-03-12T07:45" });
+  assert.deepEqual(errors.map((e) => e.path), ["departureDate"]);
+});
+
+test("validateRecord: reports paths inside arrays", () => {
+  const record = ensureRequiredKeys({
+    type: "flight",
+    tripType: "multi_city",
+    segments: [{ fromCode: "FRA" }, { fromCode: "Frankfurt" }, "LH 400"],
+  });
+  assert.deepEqual(
+    validateRecord(getSchema("flight"), record).map((e) => e.path),
+    ["tripType", "segments[1].fromCode", "segments[2]"]
+  );
+});
+
+test("validateRecord: a missing key is an error unless the field is optional", () => {
+  const { currency, ...record } = taxi();
+  assert.equal(currency, null);
+  assert.deepEqual(validateRecord(getSchema("taxi"), record), [{ path: "currency", message: "is missing" }]);
+});
+
+test("validateRecord: a field behind an option is required once the option is set", () => {
+  const record = ensureRequiredKeys({ type: "flight" });
+  assert.deepEqual(validateRecord(getSchema("flight"), record), []);
+  assert.deepEqual(validateRecord(getSchema("flight"), record, { segments: true }), [
+    { path: "segments", message: "is missing" },
+  ]);
+  assert.deepEqual(validateRecord(getSchema("flight"), { ...record, segments: [] }, { segments: true }), []);
+  assert.deepEqual(
+    validateRecord(getSchema("hotel"), ensureRequiredKeys({ type: "hotel" }), { breakdown: true }).map((e) => e.path),
+    ["nights", "nightlyRate", "vatRate", "vatAmount", "priceItems"]
+  );
+});
+
+test("assertValidOutput: throws one error listing every problem", () => {
+  assert.throws(
+    () => assertValidOutput(taxi({ currency: "euro", totalPrice: "12" })),
+    (err) =>
+      err instanceof SchemaValidationError &&
+      err.errors.length === 2 &&
+      /^Taxi output invalid: currency .*; totalPrice /.test(err.message)
+  );
+});
+
+test("assertKnownType: rejects unknown and missing types", () => {
+  assert.equal(assertKnownType({ type: "hotel" }).type, "hotel");
+  assert.throws(() => assertKnownType({ type: "cruise" }), /missing\/invalid "type"/);
+  assert.throws(() => assertKnownType(null), /missing\/invalid "type"/);
+});
+
+test("promptSchemaBlock: option-gated fields only with their option, derived fields never", () => {
+  const plain = promptSchemaBlock(getSchema("flight"));
+  const withSegments = promptSchemaBlock(getSchema("flight"), { segments: true });
+  assert.doesNotMatch(plain, /"segments"/);
+  assert.match(withSegments, /"segments": \[/);
+  assert.match(withSegments, /"toCode": string \| null/);
+  assert.doesNotMatch(withSegments, /"layovers"/);
+  assert.match(plain, /"tripType": "one_way" \| "round_trip" \| null/);
+});
@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseLabels, parseSourceFile, saveLabel } from "../lib/groundTruth.js";
+import { fieldMatches, scoreDocument, scoreRuns } from "../lib/scoring.js";
+
+// npm test runs against an in-memory DB (EVAL_DB_PATH=:memory:)
+
+test("parseSourceFile: formats and degradations of one document share its key", () => {
+  assert.deepEqual(parseSourceFile("Flight_10.pdf"), { docKey: "Flight_10", degradation: null });
+  assert.deepEqual(parseSourceFile("images/Flight_10_blur5.png"), { docKey: "Flight_10", degradation: "blur5" });
+  assert.deepEqual(parseSourceFile("Hotel_3.pdf.page-2.png"), { docKey: "Hotel_3", degradation: null });
+  assert.deepEqual(parseSourceFile("Hotel_3_SP.png"), { docKey: "Hotel_3", degradation: "sp" });
+  assert.deepEqual(parseSourceFile(null), { docKey: null, degradation: null });
+});
+
+test("fieldMatches: references ignore case and spaces, nothing else", () => {
+  assert.equal(fieldMatches("bookingReference", "ab 12c", "AB12C"), true);
+  assert.equal(fieldMatches("bookingReference", "AB-12C", "AB12C"), false);
+});
+
+test("fieldMatches: names ignore titles, accents and punctuation", () => {
+  assert.equal(fieldMatches("passengerName", "Mr. José Müller", "JOSE MULLER"), true);
+  assert.equal(fieldMatches("guestName", "MULLER/JOSE", "JOSE MULLER"), false);
+});
+
+test("fieldMatches: cities ignore case and accents", () => {
+  assert.equal(fieldMatches("hotelCity", "Zürich", "ZURICH"), true);
+  assert.equal(fieldMatches("overallTo", "Paris", "Lyon"), false);
+});
+
+test("fieldMatches: amounts match within the price tolerance", () => {
+  assert.equal(fieldMatches("totalPrice", 100.01, 100), true);
+  assert.equal(fieldMatches("totalPrice", 100.02, 100), false);
+  assert.equal(fieldMatches("totalPrice", 100.5, 100, { priceTolerance: 1 }), true);
+  assert.equal(fieldMatches("totalPrice", "100", 100), true);
+  assert.equal(fieldMatches("totalPrice", "n/a", 100), false);
+});
+
+test("fieldMatches: a blank value only matches a blank label", () => {
+  assert.equal(fieldMatches("returnDate", null, ""), true);
+  assert.equal(fieldMatches("returnDate", "  ", null), true);
+  assert.equal(fieldMatches("returnDate", "2024-03-12", null), false);
+  assert.equal(fieldMatches("returnDate", null, "2024-03-12"), false);
+});
+
+test("scoreDocument: a wrong document type scores every field wrong", () => {
+  const label = { docKey: "Hotel_1", type: "hotel", fields: { hotelCity: "PARIS" } };
+  assert.equal(scoreDocument({ type: "hotel", hotelCity: "Paris" }, label).allCorrect, true);
+
+  const score = scoreDocument({ type: "flight", hotelCity: "Paris" }, label);
+  assert.equal(score.typeCorrect, false);
+  assert.equal(score.correct, 0);
+  assert.equal(score.fields.hotelCity.correct, false);
+});
+
+test("parseLabels: CSV cells become null or numbers", () => {
+  const labels = parseLabels("source_file,type,returnDate,totalPrice\nFlight_1.pdf,flight,,\"1,234.50\"\n", "csv");
+  assert.deepEqual(labels, [{ source_file: "Flight_1.pdf", type: "flight", returnDate: null, totalPrice: 1234.5 }]);
+});
+
+test("scoreRuns: groups by provider and model; unlabeled runs are counted but not scored", () => {
+  saveLabel({ source_file: "Flight_900.pdf", type: "flight", passengerName: "JOHN SMITH", totalPrice: 250 });
+
+  const run = (id, provider, source_file, output) => ({
+    id,
+    provider,
+    model: "m",
+    source_file,
+    success: output ? 1 : 0,
+    json_output: output ? JSON.stringify(output) : null,
+  });
+  const [a, b] = scoreRuns([
+    run(1, "openai", "Flight_900.pdf", { type: "flight", passengerName: "Smith John", totalPrice: 250 }),
+    run(2, "openai", "Flight_900_blur7.png", { type: "flight", passengerName: "JOHN SMITH", totalPrice: 250 }),
+    run(3, "openai", "Flight_900_sp.png", null),
+    run(4, "openai", "Unlabeled_1.pdf", { type: "flight" }),
+    run(5, "ollama", "Flight_900.pdf", { type: "hotel" }),
+  ]);
+
+  assert.equal(a.provider, "openai");
+  assert.deepEqual([a.runs, a.scored, a.unlabeled, a.failed], [4, 3, 1, 1]);
+  assert.deepEqual(a.fields.passengerName, { correct: 1, total: 3, accuracy: 1 / 3 });
+  assert.deepEqual(a.fields.totalPrice, { correct: 2, total: 3, accuracy: 2 / 3 });
+  assert.equal(a.documentAccuracy, 1 / 3);
+  assert.deepEqual(
+    a.documents.map((d) => [d.run_id, d.degradation, d.allCorrect]),
+    [[1, null, false], [2, "blur7", true], [3, "sp", false]]
+  );
+
+  assert.equal(b.provider, "ollama");
+  assert.deepEqual([b.docTypeAccuracy, b.fieldAccuracy], [0, 0]);
+});
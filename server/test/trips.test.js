@@ -0,0 +1,208 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { test } from "node:test";
+import { storeDocuments } from "../lib/documents.js";
+import { buildTrips } from "../lib/trips.js";
+
+// In-memory DB (npm test); every test has its own traveller, so tests never
+// see each other's documents
+
+function flight(from, to, departureDate, returnDate = null, more = {}) {
+  return {
+    type: "flight",
+    tripType: returnDate ? "round_trip" : "one_way",
+    overallFrom: from,
+    overallTo: to,
+    departureDate,
+    returnDate,
+    segments: [],
+    ...more,
+  };
+}
+
+function hotel(hotelCity, checkInDate, checkOutDate, more = {}) {
+  return { type: "hotel", hotelCity, checkInDate, checkOutDate, ...more };
+}
+
+const TRAVELLER_FIELD = { flight: "passengerName", hotel: "guestName", taxi: "riderName" };
+
+// Each record is its own upload; returns the document ids
+function store(traveller, ...records) {
+  return records.map((record) => {
+    const [{ id }] = storeDocuments({
+      source_file: `${record.type}.pdf`,
+      content_hash: record.content_hash ?? crypto.randomUUID(),
+      records: [{ ...record, [TRAVELLER_FIELD[record.type]]: traveller }],
+    });
+    return id;
+  });
+}
+
+const checks = (trip) => trip.issues.map((i) => i.check);
+
+test("a round trip with a hotel for every night", () => {
+  store(
+    "Ana Round",
+    flight("Berlin", "Paris", "2024-03-10", "2024-03-14", { currency: "EUR", totalPrice: 300 }),
+    hotel("Paris", "2024-03-10", "2024-03-14", { currency: "EUR", totalPrice: 400 })
+  );
+  const { trips } = buildTrips({ traveller: "ANA ROUND" });
+
+  assert.equal(trips.length, 1);
+  const { start, end, origin, cities, nights, issues, totals } = trips[0];
+  assert.deepEqual(
+    { start, end, origin, cities, nights },
+    { start: "2024-03-10", end: "2024-03-14", origin: "BERLIN", cities: ["PARIS"], nights: 4 }
+  );
+  assert.deepEqual(issues, []);
+  assert.deepEqual(totals, { byCurrency: { EUR: 700 }, reportingCurrency: "EUR", reportingAmount: 700, unconverted: [] });
+});
+
+test("one-way flights chain into one trip until one gets back to the origin", () => {
+  store(
+    "Ben Chain",
+    flight("Berlin", "Paris", "2024-04-01"),
+    flight("Paris", "Rome", "2024-04-03"),
+    flight("Rome", "Berlin", "2024-04-05"),
+    hotel("Paris", "2024-04-01", "2024-04-03"),
+    hotel("Rome", "2024-04-03", "2024-04-05")
+  );
+  const [trip, ...rest] = buildTrips({ traveller: "Ben Chain" }).trips;
+
+  assert.deepEqual(rest, []);
+  assert.deepEqual([trip.start, trip.end, trip.origin], ["2024-04-01", "2024-04-05", "BERLIN"]);
+  assert.deepEqual(trip.cities, ["PARIS", "ROME"]);
+  assert.deepEqual(trip.issues, []);
+});
+
+test("a chain that never returns is open-ended: it takes the stays after the flight", () => {
+  store(
+    "Cleo Open",
+    flight("Berlin", "Paris", "2024-05-01"),
+    hotel("Paris", "2024-05-01", "2024-05-04"),
+    hotel("Paris", "2024-05-04", "2024-05-06")
+  );
+  const [trip] = buildTrips({ traveller: "Cleo Open" }).trips;
+
+  assert.deepEqual([trip.start, trip.end, trip.nights], ["2024-05-01", "2024-05-06", 5]);
+  assert.equal(trip.documents.length, 3);
+  assert.deepEqual(checks(trip), ["no_return_flight"]);
+  assert.equal(trip.issues[0].message, "No flight back to BERLIN");
+});
+
+test("a round trip after an unreturned one-way flight is a trip of its own", () => {
+  store("Dan Twice", flight("Berlin", "Paris", "2024-05-10"), flight("Berlin", "Rome", "2024-06-01", "2024-06-02"));
+  const trips = buildTrips({ traveller: "Dan Twice" }).trips;
+
+  assert.deepEqual(
+    trips.map((t) => [t.start, t.cities, checks(t)]),
+    [
+      ["2024-05-10", ["PARIS"], ["no_return_flight"]],
+      ["2024-06-01", ["ROME"], ["nights_without_lodging"]],
+    ]
+  );
+});
+
+test("an overnight flight shows up as a night without lodging", () => {
+  const overnight = {
+    segments: [{ departureDateTime: "2024-06-10T22:05", arrivalDateTime: "2024-06-11T07:40", toCity: "Toronto" }],
+  };
+  store(
+    "Eli Night",
+    flight("Frankfurt", "Toronto", "2024-06-10", "2024-06-14", overnight),
+    hotel("Toronto", "2024-06-11", "2024-06-14")
+  );
+  const [trip] = buildTrips({ traveller: "Eli Night" }).trips;
+
+  assert.deepEqual(checks(trip), ["nights_without_lodging"]);
+  assert.equal(trip.issues[0].message, "1 night(s) without lodging: 2024-06-10");
+});
+
+test("a stay in another city, past the return flight", () => {
+  store("Fay Away", flight("Berlin", "Paris", "2024-07-01", "2024-07-03"), hotel("Lyon", "2024-07-01", "2024-07-04"));
+  const [trip] = buildTrips({ traveller: "Fay Away" }).trips;
+
+  assert.deepEqual(
+    trip.issues.map((i) => i.message),
+    [
+      "Hotel in LYON, the flights go to PARIS",
+      "Stay 2024-07-01..2024-07-04 is outside the flights 2024-07-01..2024-07-03",
+    ]
+  );
+});
+
+test("two hotels for the same nights", () => {
+  const ids = store(
+    "Gus Double",
+    flight("Berlin", "Paris", "2024-07-10", "2024-07-13"),
+    hotel("Paris", "2024-07-10", "2024-07-13"),
+    hotel("Paris", "2024-07-11", "2024-07-13", { hotelName: "Another" })
+  );
+  const [trip] = buildTrips({ traveller: "Gus Double" }).trips;
+
+  assert.deepEqual(trip.issues, [
+    { check: "overlapping_stays", message: "Two stays on 2024-07-11..2024-07-12", documents: [ids[1], ids[2]] },
+  ]);
+});
+
+test("stays without flights: back-to-back ones are one trip", () => {
+  store(
+    "Hal Road",
+    hotel("Munich", "2024-08-01", "2024-08-03"),
+    hotel("Salzburg", "2024-08-03", "2024-08-05"),
+    hotel("Munich", "2024-08-20", "2024-08-21")
+  );
+  const trips = buildTrips({ traveller: "Hal Road" }).trips;
+
+  assert.deepEqual(
+    trips.map((t) => [t.start, t.end, t.origin, t.cities, checks(t)]),
+    [
+      ["2024-08-01", "2024-08-05", null, ["MUNICH", "SALZBURG"], ["hotel_without_flight", "hotel_without_flight"]],
+      ["2024-08-20", "2024-08-21", null, ["MUNICH"], ["hotel_without_flight"]],
+    ]
+  );
+});
+
+test("other documents join the trip their date falls in; the rest are unassigned", () => {
+  const taxi = (tripDate) => ({ type: "taxi", tripDate, currency: "EUR", totalPrice: 25 });
+  const [, , inTrip, outside, undated] = store(
+    "Ivy Taxi",
+    flight("Berlin", "Paris", "2024-09-01", "2024-09-03"),
+    hotel("Paris", "2024-09-01", "2024-09-03"),
+    taxi("2024-09-02"),
+    taxi("2024-09-10"),
+    taxi(null)
+  );
+  const { trips, unassigned } = buildTrips({ traveller: "Ivy Taxi" });
+
+  assert.ok(trips[0].documents.some((d) => d.id === inTrip && d.date === "2024-09-02"));
+  assert.deepEqual(unassigned, [outside, undated]);
+});
+
+test("a stay whose dates cannot be used is unassigned", () => {
+  const [broken] = store("Jon Broken", hotel("Paris", "2024-10-05", "2024-10-01"));
+  assert.deepEqual(buildTrips({ traveller: "Jon Broken" }), { trips: [], unassigned: [broken], duplicates: [] });
+});
+
+test("a document uploaded twice counts once", () => {
+  const stay = hotel("Paris", "2024-10-10", "2024-10-12", { content_hash: "same-file" });
+  const [first, again] = store("Kim Twice", stay, stay);
+  const { trips, duplicates } = buildTrips({ traveller: "Kim Twice" });
+
+  assert.deepEqual(duplicates, [again]);
+  assert.deepEqual(trips[0].documents.map((d) => d.id), [first]);
+});
+
+test("from/to keep the trips overlapping the range", () => {
+  store(
+    "Lea Range",
+    flight("Berlin", "Paris", "2024-11-01", "2024-11-03"),
+    flight("Berlin", "Rome", "2024-11-20", "2024-11-22")
+  );
+  const starts = (range) => buildTrips({ traveller: "Lea Range", ...range }).trips.map((t) => t.start);
+
+  assert.deepEqual(starts({}), ["2024-11-01", "2024-11-20"]);
+  assert.deepEqual(starts({ from: "2024-11-03" }), ["2024-11-01", "2024-11-20"]);
+  assert.deepEqual(starts({ from: "2024-11-04" }), ["2024-11-20"]);
+  assert.deepEqual(starts({ to: "2024-11-19" }), ["2024-11-01"]);
+});